@@ -1,45 +1,203 @@
 // Main Express Application - Web Server Setup
 const express = require('express');
 const exphbs = require('express-handlebars');
+const Handlebars = require('handlebars');
 const session = require('express-session');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const config = require('./config');
+const csrf = require('./csrf');
 const business = require('./business');
+const persistence = require('./persistence');
 
 const app = express();
-const PORT = 8000;
+const PORT = config.port;
+
+// Name of the session cookie
+const SESSION_COOKIE = 'dmc.sid';
+
+// POST routes that do not need a form token: one-click unsubscribe requests come
+// from mail clients, and the link is already signed
+const CSRF_EXEMPT_PATHS = ['/unsubscribe'];
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
     destination: function (req, file, cb) {
-        cb(null, 'public/photos/');
+        cb(null, persistence.PHOTO_DIR);
     },
     filename: function (req, file, cb) {
-        // Create unique filename with timestamp
-        const uniqueName = Date.now() + '-' + file.originalname;
-        cb(null, uniqueName);
+        // Random name; the client's filename never reaches the filesystem.
+        // The extension is added once the real image type is known.
+        cb(null, crypto.randomBytes(16).toString('hex'));
     }
 });
 
-const upload = multer({ 
-    storage: storage,
-    fileFilter: function (req, file, cb) {
-        // Accept only image files
-        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-        if (allowedTypes.indexOf(file.mimetype) !== -1) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'));
+// Cache-Control for images. Public images may be kept anywhere for an hour;
+// other images only by the browser, which checks back (ETag/Last-Modified)
+// before reusing them, so revoked access takes effect at once.
+const PUBLIC_IMAGE_CACHE = 'public, max-age=3600';
+const PRIVATE_IMAGE_CACHE = 'private, no-cache';
+
+// Maximum number of files in one upload request and size of each file
+const MAX_FILES_PER_UPLOAD = 20;
+const MAX_FILE_SIZE_MB = 20;
+
+/**
+ * Wraps a multer storage engine so a file over the size limit fails on its
+ * own instead of aborting the whole upload: writing stops at the limit, the
+ * rest of the file is read and thrown away, the partial file is removed, and
+ * the file is passed on with tooLarge set.
+ * @param {Object} inner - multer storage engine that writes the files
+ * @param {number} maxBytes - Largest allowed file
+ * @returns {Object} multer storage engine
+ */
+function sizeLimitedStorage(inner, maxBytes) {
+    return {
+        _handleFile: function (req, file, cb) {
+            let size = 0;
+            const limited = new stream.Transform({
+                transform: function (chunk, encoding, done) {
+                    size += chunk.length;
+                    done(null, size <= maxBytes ? chunk : null);
+                }
+            });
+            file.stream.pipe(limited);
+            
+            inner._handleFile(req, Object.assign({}, file, { stream: limited }), function (error, info) {
+                if (error || size <= maxBytes) {
+                    return cb(error, info);
+                }
+                persistence.deletePhotoFile(info.filename).then(function () {
+                    cb(null, { tooLarge: true, size: size });
+                }, cb);
+            });
+        },
+        _removeFile: function (req, file, cb) {
+            if (file.tooLarge) {
+                return cb(null);
+            }
+            inner._removeFile(req, file, cb);
         }
+    };
+}
+
+// The image type is checked from the file contents after upload, not from the client's mimetype
+const upload = multer({ 
+    storage: sizeLimitedStorage(diskStorage, MAX_FILE_SIZE_MB * 1024 * 1024),
+    limits: {
+        files: MAX_FILES_PER_UPLOAD
     }
 });
 
+/**
+ * Lists the files of an upload for business.uploadPhotos; files over the size
+ * limit are listed with the reason they were refused
+ * @param {Object} req - Express request, after receivePhotos
+ * @returns {Array} Array of {filename, originalName, error}
+ */
+function getUploadedFiles(req) {
+    // The original name is only kept as metadata
+    const files = [];
+    const uploaded = req.files || [];
+    for (let i = 0; i < uploaded.length; i++) {
+        files.push({
+            filename: uploaded[i].filename,
+            originalName: uploaded[i].originalname,
+            error: uploaded[i].tooLarge ? 'The file is larger than ' + MAX_FILE_SIZE_MB + ' MB' : undefined
+        });
+    }
+    return files;
+}
+
+/**
+ * Explains why multer refused an upload
+ * @param {Object} error - multer.MulterError
+ * @returns {string} Message for the user
+ */
+function describeUploadError(error) {
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return 'You can upload at most ' + MAX_FILES_PER_UPLOAD + ' files at a time';
+    }
+    return 'Upload failed: ' + error.message;
+}
+
+// Middleware that receives a batch of photos and turns multer errors into a readable 400.
+// The form token of a multipart upload is checked here, once the body has been read.
+function receivePhotos(req, res, next) {
+    upload.array('photos', MAX_FILES_PER_UPLOAD)(req, res, function (error) {
+        if (!error && req.csrfDeferred && !csrf.isValidCsrfToken(req.session, csrf.readCsrfToken(req))) {
+            return discardUploads(req).then(() => rejectCsrf(req, res), next);
+        }
+        if (error instanceof multer.MulterError) {
+            if (isApiRequest(req)) {
+                return sendApiError(res, 400, describeUploadError(error));
+            }
+            return res.status(400).send(describeUploadError(error) + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+        next(error);
+    });
+}
+
+/**
+ * Removes the files of an upload that will not be processed
+ * @param {Object} req - Express request, after multer
+ * @returns {Promise<void>}
+ */
+async function discardUploads(req) {
+    const uploaded = req.files || [];
+    for (let i = 0; i < uploaded.length; i++) {
+        if (!uploaded[i].tooLarge) {
+            await persistence.deletePhotoFile(uploaded[i].filename);
+        }
+    }
+}
+
+/**
+ * Path that image URLs start with: the share link on pages seen through one, otherwise empty
+ * @param {Object} options - Handlebars helper options
+ * @returns {string} e.g. "/s/<token>" or ""
+ */
+function imageBase(options) {
+    const shareLink = options.data.root.shareLink;
+    return shareLink ? shareLink.path : '';
+}
+
 // Configure Handlebars with helpers
 app.engine('handlebars', exphbs.engine({ 
     defaultLayout: false,
     helpers: {
         eq: function(a, b) {
             return a === b;
+        },
+        urlencode: function(value) {
+            return encodeURIComponent(value);
+        },
+        // Comment text with its links, mentions, bold, italics and line breaks;
+        // everything else is escaped by business.formatCommentHtml
+        commentHtml: function(comment) {
+            return new Handlebars.SafeString(business.formatCommentHtml(comment.text, comment.mentions));
+        },
+        // Image URL for a derivative size, falling back to the original.
+        // Pages seen through a share link load images through that link.
+        photoSrc: function(photo, size, options) {
+            const available = photo.derivatives && photo.derivatives[size] ? size : 'original';
+            return imageBase(options) + '/photo/' + photo.id + '/image/' + available;
+        },
+        // srcset listing every derivative with its width
+        photoSrcset: function(photo, options) {
+            if (!photo.derivatives) {
+                return '';
+            }
+            const base = imageBase(options);
+            const entries = [];
+            const sizeNames = Object.keys(photo.derivatives);
+            for (let i = 0; i < sizeNames.length; i++) {
+                const derivative = photo.derivatives[sizeNames[i]];
+                entries.push(base + '/photo/' + photo.id + '/image/' + sizeNames[i] + ' ' + derivative.width + 'w');
+            }
+            return entries.join(', ');
         }
     }
 }));
@@ -48,26 +206,241 @@ app.set('views', './views');
 
 // Middleware
 app.use(express.urlencoded({ extended: true })); // For parsing form data
+app.use(express.json()); // For parsing API request bodies
 app.use(express.static('public')); // Serve static files from public folder
 
-// Session middleware
-app.use(session({
-    secret: 'your-secret-key-change-in-production',
+// Behind a reverse proxy, trust it to report HTTPS and the client's IP address
+if (config.trustProxy > 0) {
+    app.set('trust proxy', config.trustProxy);
+}
+
+/**
+ * Reads the API token a script sent in an "Authorization: Bearer" header
+ * @param {Object} req - Express request
+ * @returns {string|null} The token, or null if the request has none
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Session middleware - sessions are kept in MongoDB so they survive restarts
+const sessionMiddleware = session({
+    name: SESSION_COOKIE,
+    secret: config.sessionSecret,
+    store: persistence.createSessionStore(config.sessionMaxAge / 1000),
     resave: false,
     saveUninitialized: false,
     cookie: { 
-        maxAge: 1000 * 60 * 60 * 24 // 24 hours
+        maxAge: config.sessionMaxAge,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.secureCookies
     }
-}));
+});
 
-// Middleware to check if user is authenticated
-function requireAuth(req, res, next) {
-    if (!req.session.user) {
-        return res.redirect('/login');
+// Requests made with an API token are authenticated one by one, so they get
+// a throwaway session instead of a stored one and a cookie
+app.use((req, res, next) => {
+    if (!getBearerToken(req)) {
+        return sessionMiddleware(req, res, next);
+    }
+    req.session = {
+        regenerate: (callback) => callback(),
+        destroy: (callback) => callback()
+    };
+    next();
+});
+
+// Error codes sent by the API for each HTTP status
+const API_ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    429: 'too_many_requests',
+    500: 'server_error'
+};
+
+/**
+ * Checks if a request is for the JSON API, which answers with JSON instead of pages and redirects
+ * @param {Object} req - Express request
+ * @returns {boolean} True for paths under /api/
+ */
+function isApiRequest(req) {
+    return req.path.indexOf('/api/') === 0;
+}
+
+/**
+ * Sends an API error as {error: {code, message, details}}
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status, one of API_ERROR_CODES
+ * @param {string} message - What went wrong
+ * @param {*} [details] - Extra facts, such as a list of invalid fields
+ */
+function sendApiError(res, status, message, details) {
+    const error = { code: API_ERROR_CODES[status], message: message };
+    if (details !== undefined) {
+        error.details = details;
+    }
+    res.status(status).json({ error: error });
+}
+
+// Multipart uploads, whose form token is only read with the rest of the body by multer
+const MULTIPART_UPLOAD_PATHS = [/^\/album\/\d+\/upload$/, /^\/api\/v1\/albums\/\d+\/photos$/];
+
+/**
+ * Answers a request whose CSRF token is missing or wrong
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function rejectCsrf(req, res) {
+    if (isApiRequest(req)) {
+        return sendApiError(res, 403, 'Missing or invalid X-CSRF-Token header');
+    }
+    res.status(403).send('This form has expired. Please reload the page and try again.<br><br><a href="javascript:history.back()">Go Back</a>');
+}
+
+// Requests using an API token need no CSRF token, since browsers never send one on their own
+const csrfProtection = csrf.createCsrfProtection({
+    isExempt: (req) => CSRF_EXEMPT_PATHS.indexOf(req.path) !== -1 || !!getBearerToken(req),
+    isDeferred: (req) => {
+        if (!req.is('multipart/form-data')) {
+            return false;
+        }
+        for (let i = 0; i < MULTIPART_UPLOAD_PATHS.length; i++) {
+            if (MULTIPART_UPLOAD_PATHS[i].test(req.path)) {
+                return true;
+            }
+        }
+        return false;
+    },
+    reject: rejectCsrf
+});
+
+app.use(csrfProtection);
+
+// Starts a fresh session for a user who just logged in, so a session ID
+// planted before login is worthless afterwards
+function startSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((error) => {
+            if (error) {
+                return reject(error);
+            }
+            req.session.user = user;
+            resolve();
+        });
+    });
+}
+
+// Sends a visitor who is not logged in to the login page; API requests get a 401 instead
+function denyAnonymous(req, res) {
+    if (isApiRequest(req)) {
+        return sendApiError(res, 401, 'Log in first');
+    }
+    res.redirect('/login');
+}
+
+// Routes an API token with the upload scope may post to
+const UPLOAD_ROUTES = ['/album/:albumId/upload', '/api/v1/albums/:albumId/photos'];
+
+/**
+ * Checks whether an API token's scope covers a request. Read-only tokens may
+ * only look; upload tokens may also add photos; full tokens may do anything.
+ * @param {string} scope - Key of business.API_TOKEN_SCOPES
+ * @param {Object} req - Express request, inside a route
+ * @returns {boolean} True if the token may make the request
+ */
+function tokenScopeAllows(scope, req) {
+    if (scope === 'full' || req.method === 'GET' || req.method === 'HEAD') {
+        return true;
+    }
+    return scope === 'upload' && req.method === 'POST' && UPLOAD_ROUTES.indexOf(req.route.path) !== -1;
+}
+
+/**
+ * Authenticates a request by its API token instead of the session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} token - Token from the Authorization header
+ */
+async function authenticateBearer(req, res, next, token) {
+    const access = await business.authenticateApiToken(token, req.ip);
+    if (!access) {
+        if (isApiRequest(req)) {
+            return sendApiError(res, 401, 'Invalid or revoked API token');
+        }
+        return res.status(401).send('Invalid or revoked API token');
+    }
+    if (access.throttled) {
+        if (isApiRequest(req)) {
+            return sendApiError(res, 429, access.message);
+        }
+        return res.status(429).send(access.message);
+    }
+    if (!tokenScopeAllows(access.scope, req)) {
+        const message = 'This API token is limited to ' + business.API_TOKEN_SCOPES[access.scope].toLowerCase();
+        if (isApiRequest(req)) {
+            return sendApiError(res, 403, message);
+        }
+        return res.status(403).send(message);
     }
+    req.session.user = access.user;
     next();
 }
 
+// Middleware to check if user is authenticated, by session or API token.
+// Sessions started before the user's last password change are ended, and the
+// session's name and email are kept in step with the account.
+async function requireAuth(req, res, next) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+        try {
+            return await authenticateBearer(req, res, next, bearerToken);
+        } catch (error) {
+            if (isApiRequest(req)) {
+                return sendApiError(res, 500, 'Error checking API token: ' + error.message);
+            }
+            return res.status(500).send('Error checking API token: ' + error.message);
+        }
+    }
+    if (!req.session.user) {
+        return denyAnonymous(req, res);
+    }
+    try {
+        const user = await business.refreshSessionUser(req.session.user);
+        if (!user) {
+            return req.session.destroy(() => {
+                denyAnonymous(req, res);
+            });
+        }
+        req.session.user = user;
+        next();
+    } catch (error) {
+        if (isApiRequest(req)) {
+            return sendApiError(res, 500, 'Error checking session: ' + error.message);
+        }
+        res.status(500).send('Error checking session: ' + error.message);
+    }
+}
+
+// Make the unread notification count available to the header of every page
+async function loadUnreadNotifications(req, res, next) {
+    if (!req.session.user || req.method !== 'GET') {
+        return next();
+    }
+    try {
+        res.locals.unreadNotifications = await business.getUnreadNotificationCount(req.session.user.id);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+app.use(loadUnreadNotifications);
+
 // ==================== AUTHENTICATION ROUTES ====================
 
 /**
@@ -90,7 +463,7 @@ app.post('/signup', async (req, res) => {
         
         if (result.success) {
             // Log the user in automatically
-            req.session.user = result.user;
+            await startSession(req, result.user);
             res.redirect('/');
         } else {
             res.render('signup', { 
@@ -110,7 +483,10 @@ app.post('/signup', async (req, res) => {
  * GET /login
  */
 app.get('/login', (req, res) => {
-    res.render('login', { layout: undefined });
+    res.render('login', {
+        layout: undefined,
+        passwordReset: req.query.reset === '1'
+    });
 });
 
 /**
@@ -121,13 +497,13 @@ app.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
         
-        const result = await business.loginUser(email, password);
+        const result = await business.loginUser(email, password, req.ip);
         
         if (result.success) {
-            req.session.user = result.user;
+            await startSession(req, result.user);
             res.redirect('/');
         } else {
-            res.render('login', { 
+            res.status(result.throttled ? 429 : 200).render('login', { 
                 layout: undefined, 
                 error: result.message,
                 email: email
@@ -140,11 +516,101 @@ app.post('/login', async (req, res) => {
 
 /**
  * Logout
- * GET /logout
+ * POST /logout
  */
-app.get('/logout', (req, res) => {
-    req.session.destroy();
-    res.redirect('/login');
+app.post('/logout', (req, res) => {
+    req.session.destroy(() => {
+        res.clearCookie(SESSION_COOKIE);
+        res.redirect('/login');
+    });
+});
+
+/**
+ * Confirm Email - Link from a verification email; works without logging in
+ * GET /verify-email?token=
+ */
+app.get('/verify-email', async (req, res) => {
+    try {
+        const result = await business.verifyEmail(req.query.token);
+        
+        res.status(result.success ? 200 : 400).render('verify-email', {
+            layout: undefined,
+            success: result.success,
+            message: result.message,
+            loggedIn: !!req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error confirming email: ' + error.message);
+    }
+});
+
+/**
+ * Forgot Password Page
+ * GET /forgot-password
+ */
+app.get('/forgot-password', (req, res) => {
+    res.render('forgot-password', { layout: undefined });
+});
+
+/**
+ * Forgot Password Form Submission - Email a reset link
+ * POST /forgot-password
+ */
+app.post('/forgot-password', async (req, res) => {
+    try {
+        const result = await business.requestPasswordReset(req.body.email);
+        
+        res.render('forgot-password', {
+            layout: undefined,
+            error: result.success ? null : result.message,
+            sent: result.success ? result.message : null,
+            email: req.body.email
+        });
+    } catch (error) {
+        res.status(500).send('Error requesting password reset: ' + error.message);
+    }
+});
+
+/**
+ * Reset Password Page - Link from a password reset email
+ * GET /reset-password?token=
+ */
+app.get('/reset-password', async (req, res) => {
+    try {
+        const token = req.query.token || '';
+        const valid = await business.isPasswordResetTokenValid(token);
+        
+        res.status(valid ? 200 : 400).render('reset-password', {
+            layout: undefined,
+            token: token,
+            invalid: !valid
+        });
+    } catch (error) {
+        res.status(500).send('Error loading password reset: ' + error.message);
+    }
+});
+
+/**
+ * Reset Password Form Submission
+ * POST /reset-password
+ */
+app.post('/reset-password', async (req, res) => {
+    try {
+        const token = req.body.token || '';
+        const result = await business.resetPassword(token, req.body.password, req.body.confirmPassword, req.ip);
+        
+        if (result.success) {
+            res.redirect('/login?reset=1');
+        } else {
+            res.status(400).render('reset-password', {
+                layout: undefined,
+                token: token,
+                error: result.message
+            });
+        }
+    } catch (error) {
+        res.status(500).send('Error resetting password: ' + error.message);
+    }
 });
 
 // ==================== ALBUM AND PHOTO ROUTES ====================
@@ -184,13 +650,14 @@ app.get('/album/:albumId', requireAuth, async (req, res) => {
             return res.status(404).send('Album not found');
         }
         
-        // Filter photos based on visibility
+        // Filter photos based on visibility and what was shared with the user
         const userId = req.session.user.id;
+        const access = await business.getShareAccess(userId);
         const visiblePhotos = [];
         
         for (let i = 0; i < albumDetails.photos.length; i++) {
             const photo = albumDetails.photos[i];
-            if (business.canViewPhoto(photo, userId)) {
+            if (business.canViewPhoto(photo, userId, access)) {
                 visiblePhotos.push(photo);
             }
         }
@@ -203,10 +670,13 @@ app.get('/album/:albumId', requireAuth, async (req, res) => {
                 id: albumDetails.id,
                 name: albumDetails.name,
                 description: albumDetails.description,
+                unsorted: albumDetails.unsorted,
                 photos: visiblePhotos,
                 photoCount: visiblePhotos.length
             },
             photoWord: photoWord,
+            canEdit: business.canEditAlbum(albumDetails, userId),
+            canPost: business.canPostToAlbum(albumDetails, userId),
             user: req.session.user
         });
     } catch (error) {
@@ -234,12 +704,13 @@ app.get('/photo/:photoId', requireAuth, async (req, res) => {
         
         // Check if user can view this photo
         const userId = req.session.user.id;
-        if (!business.canViewPhoto(photo, userId)) {
+        const access = await business.getShareAccess(userId);
+        if (!business.canViewPhoto(photo, userId, access)) {
             return res.status(403).send('You do not have permission to view this photo');
         }
         
-        // Get comments
-        const comments = await business.getPhotoComments(photoId);
+        // Get comments, grouped into threads
+        const comments = await business.getCommentThreads(photo, userId);
         
         // Check if user can edit
         const canEdit = business.canEditPhoto(photo, userId);
@@ -247,8 +718,10 @@ app.get('/photo/:photoId', requireAuth, async (req, res) => {
         res.render('photo', { 
             layout: undefined, 
             photo: photo,
+            metadataRows: business.describeMetadata(photo.metadata),
             comments: comments,
             canEdit: canEdit,
+            canComment: business.canCommentOnPhoto(photo, userId, access),
             user: req.session.user
         });
     } catch (error) {
@@ -256,6 +729,44 @@ app.get('/photo/:photoId', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * Sends an image file found by business.getPhotoImage or getShareLinkImage.
+ * Conditional requests (ETag, Last-Modified) and Range requests are handled by sendFile.
+ * @param {Object} res - Express response
+ * @param {Object} result - Result object with file and isPublic
+ */
+function sendImage(res, result) {
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 403).send(result.message);
+    }
+    
+    res.set('Cache-Control', result.isPublic ? PUBLIC_IMAGE_CACHE : PRIVATE_IMAGE_CACHE);
+    res.sendFile(persistence.getPhotoFilePath(result.file), { cacheControl: false }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).send('Image not found');
+        }
+    });
+}
+
+/**
+ * Photo Image - One size of a photo, if the user may see it (requires authentication)
+ * GET /photo/:photoId/image/:size
+ */
+app.get('/photo/:photoId/image/:size', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.getPhotoImage(photoId, req.params.size, req.session.user);
+        sendImage(res, result);
+    } catch (error) {
+        res.status(500).send('Error loading image: ' + error.message);
+    }
+});
+
 /**
  * Edit Photo Page - Show edit form (requires authentication)
  * GET /photo/:photoId/edit
@@ -280,9 +791,13 @@ app.get('/photo/:photoId/edit', requireAuth, async (req, res) => {
             return res.status(403).send('You do not have permission to edit this photo');
         }
         
+        const albumChoices = await business.getAlbumChoices(photo, userId);
+        
         res.render('edit', { 
             layout: undefined, 
             photo: photo,
+            tagsText: (photo.tags || []).join(', '),
+            albumChoices: albumChoices,
             user: req.session.user
         });
     } catch (error) {
@@ -307,17 +822,35 @@ app.post('/photo/:photoId/update', requireAuth, async (req, res) => {
         const title = req.body.title || '';
         const description = req.body.description || '';
         const visibility = req.body.visibility || 'private';
+        const tags = req.body.tags || '';
+        
+        // Album multi-select sends a single value or an array
+        let selectedAlbums = req.body.albums || [];
+        if (!Array.isArray(selectedAlbums)) {
+            selectedAlbums = [selectedAlbums];
+        }
+        const albumIds = [];
+        for (let i = 0; i < selectedAlbums.length; i++) {
+            const albumId = parseInt(selectedAlbums[i]);
+            if (!isNaN(albumId)) {
+                albumIds.push(albumId);
+            }
+        }
         
+        // Albums are checked along with the other fields, before anything is saved
         const result = await business.updatePhotoWithVisibility(photoId, userId, {
             title: title,
             description: description,
-            visibility: visibility
+            visibility: visibility,
+            tags: tags,
+            albumIds: albumIds,
+            stripGps: req.body.stripGps === 'on'
         });
         
         if (result.success) {
             res.redirect('/photo/' + photoId);
         } else {
-            res.status(500).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
         }
     } catch (error) {
         res.status(500).send('Error updating photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
@@ -325,7 +858,7 @@ app.post('/photo/:photoId/update', requireAuth, async (req, res) => {
 });
 
 /**
- * Add Comment - Post a comment on a photo (requires authentication)
+ * Add Comment - Post a comment on a photo, or a reply when parentId is sent (requires authentication)
  * POST /photo/:photoId/comment
  */
 app.post('/photo/:photoId/comment', requireAuth, async (req, res) => {
@@ -339,11 +872,12 @@ app.post('/photo/:photoId/comment', requireAuth, async (req, res) => {
         const userId = req.session.user.id;
         const username = req.session.user.name;
         const commentText = req.body.comment || '';
+        const parentId = req.body.parentId ? parseInt(req.body.parentId) : null;
         
-        const result = await business.addComment(photoId, userId, username, commentText);
+        const result = await business.addComment(photoId, userId, username, commentText, parentId);
         
         if (result.success) {
-            res.redirect('/photo/' + photoId);
+            res.redirect('/photo/' + photoId + '#comment-' + result.comment.id);
         } else {
             res.status(500).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
         }
@@ -352,97 +886,2478 @@ app.post('/photo/:photoId/comment', requireAuth, async (req, res) => {
     }
 });
 
-// ==================== PHOTO UPLOAD ROUTES ====================
-
 /**
- * Upload Photo Page - Show upload form (requires authentication)
- * GET /album/:albumId/upload
+ * Edit Comment - Authors only; the earlier text is kept (requires authentication)
+ * POST /comment/:commentId/edit
  */
-app.get('/album/:albumId/upload', requireAuth, async (req, res) => {
+app.post('/comment/:commentId/edit', requireAuth, async (req, res) => {
     try {
-        const albumId = parseInt(req.params.albumId);
+        const commentId = parseInt(req.params.commentId);
         
-        if (isNaN(albumId)) {
-            return res.status(400).send('Invalid album ID');
+        if (isNaN(commentId)) {
+            return res.status(400).send('Invalid comment ID');
         }
         
-        const album = await business.getAlbumById(albumId);
+        const result = await business.editComment(commentId, req.session.user.id, req.body.comment);
         
-        if (!album) {
-            return res.status(404).send('Album not found');
+        if (result.success) {
+            res.redirect('/photo/' + result.comment.photoId + '#comment-' + commentId);
+        } else {
+            res.status(result.notFound ? 404 : result.forbidden ? 403 : 400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
         }
-        
-        res.render('upload', { 
-            layout: undefined, 
-            album: album,
-            user: req.session.user
-        });
     } catch (error) {
-        res.status(500).send('Error loading upload page: ' + error.message);
+        res.status(500).send('Error editing comment: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
     }
 });
 
 /**
- * Upload Photo - Process file upload (requires authentication)
- * POST /album/:albumId/upload
+ * Delete Comment - Its author or the photo owner; replies go with it (requires authentication)
+ * POST /comment/:commentId/delete
  */
-app.post('/album/:albumId/upload', requireAuth, upload.single('photo'), async (req, res) => {
+app.post('/comment/:commentId/delete', requireAuth, async (req, res) => {
     try {
-        const albumId = parseInt(req.params.albumId);
-        
-        if (isNaN(albumId)) {
-            return res.status(400).send('Invalid album ID');
-        }
+        const commentId = parseInt(req.params.commentId);
         
-        if (!req.file) {
-            return res.status(400).send('No file uploaded. <a href="javascript:history.back()">Go Back</a>');
+        if (isNaN(commentId)) {
+            return res.status(400).send('Invalid comment ID');
         }
         
-        const userId = req.session.user.id;
-        const filename = req.file.filename;
-        
-        const result = await business.uploadPhoto(albumId, userId, filename);
+        const result = await business.deleteComment(commentId, req.session.user.id);
         
         if (result.success) {
-            res.redirect('/album/' + albumId);
+            res.redirect('/photo/' + result.photoId);
         } else {
-            res.status(500).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+            res.status(result.notFound ? 404 : 403).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
         }
     } catch (error) {
-        res.status(500).send('Error uploading photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        res.status(500).send('Error deleting comment: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
     }
 });
 
-// ==================== SEARCH ROUTES ====================
+// ==================== ALBUM MANAGEMENT ROUTES ====================
 
 /**
- * Search Page - Show search form and results (requires authentication)
- * GET /search
+ * New Album Page - Show album form (requires authentication)
+ * GET /albums/new
  */
-app.get('/search', requireAuth, async (req, res) => {
+app.get('/albums/new', requireAuth, (req, res) => {
+    res.render('album-form', {
+        layout: undefined,
+        isNew: true,
+        album: {},
+        user: req.session.user
+    });
+});
+
+/**
+ * Create Album - Process new album form (requires authentication)
+ * POST /albums/new
+ */
+app.post('/albums/new', requireAuth, async (req, res) => {
     try {
-        const query = req.query.q || '';
         const userId = req.session.user.id;
-        
-        let results = [];
-        
-        if (query.trim() !== '') {
-            results = await business.searchPhotos(query, userId);
+        const name = req.body.name || '';
+        const description = req.body.description || '';
+
+        const result = await business.createAlbum(userId, name, description);
+
+        if (result.success) {
+            res.redirect('/album/' + result.album.id);
+        } else {
+            res.render('album-form', {
+                layout: undefined,
+                isNew: true,
+                error: result.message,
+                album: { name: name, description: description },
+                user: req.session.user
+            });
         }
-        
-        res.render('search', { 
-            layout: undefined, 
-            query: query,
-            results: results,
-            hasResults: results.length > 0,
-            searched: query.trim() !== '',
-            user: req.session.user
-        });
     } catch (error) {
-        res.status(500).send('Error searching photos: ' + error.message);
+        res.status(500).send('Error creating album: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
     }
 });
 
+/**
+ * Edit Album Page - Show album form (requires authentication)
+ * GET /album/:albumId/edit
+ */
+app.get('/album/:albumId/edit', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+
+        const album = await business.getAlbumById(albumId);
+
+        if (!album) {
+            return res.status(404).send('Album not found');
+        }
+
+        if (!business.canEditAlbum(album, req.session.user.id)) {
+            return res.status(403).send('You do not have permission to edit this album');
+        }
+
+        res.render('album-form', {
+            layout: undefined,
+            isNew: false,
+            album: album,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading album: ' + error.message);
+    }
+});
+
+/**
+ * Update Album - Process album edit form (requires authentication)
+ * POST /album/:albumId/edit
+ */
+app.post('/album/:albumId/edit', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+
+        const userId = req.session.user.id;
+        const name = req.body.name || '';
+        const description = req.body.description || '';
+
+        const result = await business.updateAlbum(albumId, userId, {
+            name: name,
+            description: description
+        });
+
+        if (result.success) {
+            res.redirect('/album/' + albumId);
+        } else {
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error updating album: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Delete Album Page - Ask for confirmation (requires authentication)
+ * GET /album/:albumId/delete
+ */
+app.get('/album/:albumId/delete', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+
+        const albumDetails = await business.getAlbumDetails(albumId);
+
+        if (!albumDetails) {
+            return res.status(404).send('Album not found');
+        }
+
+        if (!business.canEditAlbum(albumDetails, req.session.user.id)) {
+            return res.status(403).send('You do not have permission to delete this album');
+        }
+
+        res.render('album-delete', {
+            layout: undefined,
+            album: albumDetails,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading album: ' + error.message);
+    }
+});
+
+/**
+ * Delete Album - Remove the album and re-home its photos (requires authentication)
+ * POST /album/:albumId/delete
+ */
+app.post('/album/:albumId/delete', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+
+        const result = await business.deleteAlbum(albumId, req.session.user.id);
+
+        if (result.success) {
+            res.redirect('/');
+        } else {
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error deleting album: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== SHARING ROUTES ====================
+
+/**
+ * Lists the share permissions for the sharing form
+ * @returns {Array} [{value, label}]
+ */
+function sharePermissionChoices() {
+    const choices = [];
+    const values = Object.keys(business.SHARE_PERMISSIONS);
+    for (let i = 0; i < values.length; i++) {
+        choices.push({ value: values[i], label: business.SHARE_PERMISSIONS[values[i]] });
+    }
+    return choices;
+}
+
+/**
+ * Renders the sharing page of a photo, optionally with the outcome of an action
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} photoId - ID of the photo
+ * @param {Object} [result] - Result object from a business function
+ */
+async function renderPhotoSharing(req, res, photoId, result) {
+    const sharing = await business.getPhotoSharing(photoId, req.session.user.id);
+    
+    if (!sharing) {
+        return res.status(404).send('Photo not found<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+    
+    res.status(result && !result.success ? 400 : 200).render('sharing', {
+        layout: undefined,
+        subject: {
+            kind: 'photo',
+            name: sharing.photo.title || 'Untitled',
+            path: '/photo/' + sharing.photo.id,
+            sharingPath: '/photo/' + sharing.photo.id + '/sharing',
+            linksPath: '/photo/' + sharing.photo.id + '/links',
+            explanation: sharing.photo.visibility === 'public'
+                ? 'This photo is public, so everyone can already see it. Make it private to share it with specific people.'
+                : 'Only the people and groups below can see this photo, besides you.'
+        },
+        shares: sharing.shares,
+        groups: sharing.groups,
+        permissions: sharePermissionChoices(),
+        newLink: result && result.url ? result.url : null,
+        success: result && result.success ? result.message : null,
+        error: result && !result.success ? result.message : null,
+        user: req.session.user
+    });
+}
+
+/**
+ * Renders the sharing page of an album, optionally with the outcome of an action
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} albumId - ID of the album
+ * @param {Object} [result] - Result object from a business function
+ */
+async function renderAlbumSharing(req, res, albumId, result) {
+    const sharing = await business.getAlbumSharing(albumId, req.session.user.id);
+    
+    if (!sharing) {
+        return res.status(404).send('Album not found<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+    
+    res.status(result && !result.success ? 400 : 200).render('sharing', {
+        layout: undefined,
+        subject: {
+            kind: 'album',
+            name: sharing.album.name,
+            path: '/album/' + sharing.album.id,
+            sharingPath: '/album/' + sharing.album.id + '/sharing',
+            linksPath: '/album/' + sharing.album.id + '/links',
+            explanation: 'The people and groups below can see every photo of yours in this album, including private ones.'
+        },
+        shares: sharing.shares,
+        groups: sharing.groups,
+        permissions: sharePermissionChoices(),
+        newLink: result && result.url ? result.url : null,
+        success: result && result.success ? result.message : null,
+        error: result && !result.success ? result.message : null,
+        user: req.session.user
+    });
+}
+
+/**
+ * Photo Sharing Page - Who the photo is shared with (requires authentication)
+ * GET /photo/:photoId/sharing
+ */
+app.get('/photo/:photoId/sharing', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        await renderPhotoSharing(req, res, photoId);
+    } catch (error) {
+        res.status(500).send('Error loading sharing: ' + error.message);
+    }
+});
+
+/**
+ * Share Photo - With a user by email or with a group (requires authentication)
+ * POST /photo/:photoId/sharing
+ */
+app.post('/photo/:photoId/sharing', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.sharePhoto(photoId, req.session.user.id, {
+            email: req.body.email,
+            groupId: req.body.groupId,
+            permission: req.body.permission
+        });
+        await renderPhotoSharing(req, res, photoId, result);
+    } catch (error) {
+        res.status(500).send('Error sharing photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Stop Sharing Photo - With one user or group (requires authentication)
+ * POST /photo/:photoId/sharing/remove
+ */
+app.post('/photo/:photoId/sharing/remove', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.unsharePhoto(photoId, req.session.user.id, req.body.type, parseInt(req.body.id));
+        await renderPhotoSharing(req, res, photoId, result);
+    } catch (error) {
+        res.status(500).send('Error removing share: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Album Sharing Page - Who the album is shared with (requires authentication)
+ * GET /album/:albumId/sharing
+ */
+app.get('/album/:albumId/sharing', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        await renderAlbumSharing(req, res, albumId);
+    } catch (error) {
+        res.status(500).send('Error loading sharing: ' + error.message);
+    }
+});
+
+/**
+ * Share Album - With a user by email or with a group (requires authentication)
+ * POST /album/:albumId/sharing
+ */
+app.post('/album/:albumId/sharing', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        const result = await business.shareAlbum(albumId, req.session.user.id, {
+            email: req.body.email,
+            groupId: req.body.groupId,
+            permission: req.body.permission
+        });
+        await renderAlbumSharing(req, res, albumId, result);
+    } catch (error) {
+        res.status(500).send('Error sharing album: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Stop Sharing Album - With one user or group (requires authentication)
+ * POST /album/:albumId/sharing/remove
+ */
+app.post('/album/:albumId/sharing/remove', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        const result = await business.unshareAlbum(albumId, req.session.user.id, req.body.type, parseInt(req.body.id));
+        await renderAlbumSharing(req, res, albumId, result);
+    } catch (error) {
+        res.status(500).send('Error removing share: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== SHARE LINK ROUTES ====================
+
+/**
+ * Reads the share link form
+ * @param {Object} body - Request body
+ * @returns {Object} {expires, password, allowDownload}
+ */
+function shareLinkInput(body) {
+    return {
+        expires: body.expires,
+        password: body.password,
+        allowDownload: body.allowDownload === 'on'
+    };
+}
+
+/**
+ * Create Photo Share Link - For people without an account (requires authentication)
+ * POST /photo/:photoId/links
+ */
+app.post('/photo/:photoId/links', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.createShareLink(req.session.user.id, 'photo', photoId, shareLinkInput(req.body));
+        await renderPhotoSharing(req, res, photoId, result);
+    } catch (error) {
+        res.status(500).send('Error creating link: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Create Album Share Link - For people without an account (requires authentication)
+ * POST /album/:albumId/links
+ */
+app.post('/album/:albumId/links', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        const result = await business.createShareLink(req.session.user.id, 'album', albumId, shareLinkInput(req.body));
+        await renderAlbumSharing(req, res, albumId, result);
+    } catch (error) {
+        res.status(500).send('Error creating link: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Renders the user's share links, optionally with the outcome of an action
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [result] - Result object from a business function
+ */
+async function renderShareLinks(req, res, result) {
+    const links = await business.getShareLinks(req.session.user.id);
+    
+    res.status(result && !result.success ? 400 : 200).render('links', {
+        layout: undefined,
+        links: links,
+        success: result && result.success ? result.message : null,
+        error: result && !result.success ? result.message : null,
+        user: req.session.user
+    });
+}
+
+/**
+ * Share Links Page - The user's active links (requires authentication)
+ * GET /links
+ */
+app.get('/links', requireAuth, async (req, res) => {
+    try {
+        await renderShareLinks(req, res);
+    } catch (error) {
+        res.status(500).send('Error loading links: ' + error.message);
+    }
+});
+
+/**
+ * Revoke Share Link (requires authentication)
+ * POST /links/:linkId/revoke
+ */
+app.post('/links/:linkId/revoke', requireAuth, async (req, res) => {
+    try {
+        const linkId = parseInt(req.params.linkId);
+        
+        if (isNaN(linkId)) {
+            return res.status(400).send('Invalid link ID');
+        }
+        
+        const result = await business.revokeShareLink(linkId, req.session.user.id);
+        await renderShareLinks(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error revoking link: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// Middleware for the public pages of a share link. Works without logging in:
+// the link must still work, and a password-protected link must have been
+// unlocked in this session. The link is stored in req.shareLink.
+async function requireShareLink(req, res, next) {
+    try {
+        const link = await business.resolveShareLink(req.params.token);
+        if (!link) {
+            return res.status(404).render('share-link', { layout: undefined, unavailable: true });
+        }
+        
+        const unlocked = req.session.unlockedShareLinks || [];
+        if (link.passwordHash && unlocked.indexOf(link.id) === -1) {
+            return res.status(401).render('share-link', {
+                layout: undefined,
+                ownerName: link.ownerName,
+                path: '/s/' + req.params.token
+            });
+        }
+        
+        req.shareLink = link;
+        next();
+    } catch (error) {
+        res.status(500).send('Error loading link: ' + error.message);
+    }
+}
+
+/**
+ * Describes a share link for the album and photo templates
+ * @param {Object} req - Express request with shareLink set
+ * @param {string|null} albumName - Name of the linked album, for the back link
+ * @returns {Object} {path, ownerName, albumName, allowDownload}
+ */
+function shareLinkView(req, albumName) {
+    return {
+        path: '/s/' + req.params.token,
+        ownerName: req.shareLink.ownerName,
+        albumName: albumName,
+        allowDownload: req.shareLink.allowDownload
+    };
+}
+
+/**
+ * Renders a photo seen through a share link, read-only and without comments
+ * @param {Object} req - Express request with shareLink set
+ * @param {Object} res - Express response
+ * @param {number} photoId - ID of the photo
+ */
+async function renderShareLinkPhoto(req, res, photoId) {
+    const photo = await business.getShareLinkPhoto(req.shareLink, photoId);
+    
+    if (!photo) {
+        return res.status(404).send('Photo not found');
+    }
+    
+    let albumName = null;
+    if (req.shareLink.targetType === 'album') {
+        const album = await business.getAlbumById(req.shareLink.targetId);
+        albumName = album ? album.name : null;
+    }
+    
+    res.render('photo', {
+        layout: undefined,
+        photo: photo,
+        metadataRows: business.describeMetadata(photo.metadata),
+        shareLink: shareLinkView(req, albumName)
+    });
+}
+
+/**
+ * Shared Link Page - The linked photo or album; works without logging in
+ * GET /s/:token
+ */
+app.get('/s/:token', requireShareLink, async (req, res) => {
+    try {
+        const link = req.shareLink;
+        await business.recordShareLinkView(link);
+        
+        if (link.targetType === 'photo') {
+            return await renderShareLinkPhoto(req, res, link.targetId);
+        }
+        
+        const album = await business.getShareLinkAlbum(link);
+        
+        if (!album) {
+            return res.status(404).render('share-link', { layout: undefined, unavailable: true });
+        }
+        
+        res.render('album', {
+            layout: undefined,
+            album: album,
+            photoWord: album.photoCount === 1 ? 'photo' : 'photos',
+            shareLink: shareLinkView(req, album.name)
+        });
+    } catch (error) {
+        res.status(500).send('Error loading shared photos: ' + error.message);
+    }
+});
+
+/**
+ * Unlock Shared Link - Check the password of a protected link
+ * POST /s/:token
+ */
+app.post('/s/:token', async (req, res) => {
+    try {
+        const link = await business.resolveShareLink(req.params.token);
+        
+        if (!link) {
+            return res.status(404).render('share-link', { layout: undefined, unavailable: true });
+        }
+        
+        const result = await business.unlockShareLink(link, req.body.password, req.ip);
+        
+        if (!result.success) {
+            return res.status(401).render('share-link', {
+                layout: undefined,
+                ownerName: link.ownerName,
+                path: '/s/' + req.params.token,
+                error: result.message
+            });
+        }
+        
+        const unlocked = req.session.unlockedShareLinks || [];
+        if (unlocked.indexOf(link.id) === -1) {
+            unlocked.push(link.id);
+        }
+        req.session.unlockedShareLinks = unlocked;
+        res.redirect('/s/' + req.params.token);
+    } catch (error) {
+        res.status(500).send('Error unlocking link: ' + error.message);
+    }
+});
+
+/**
+ * Shared Photo Page - A photo inside a shared album; works without logging in
+ * GET /s/:token/photo/:photoId
+ */
+app.get('/s/:token/photo/:photoId', requireShareLink, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        await renderShareLinkPhoto(req, res, photoId);
+    } catch (error) {
+        res.status(500).send('Error loading photo: ' + error.message);
+    }
+});
+
+/**
+ * Shared Photo Image - One size of a photo covered by a share link; works without logging in
+ * GET /s/:token/photo/:photoId/image/:size
+ */
+app.get('/s/:token/photo/:photoId/image/:size', requireShareLink, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.getShareLinkImage(req.shareLink, photoId, req.params.size);
+        sendImage(res, result);
+    } catch (error) {
+        res.status(500).send('Error loading image: ' + error.message);
+    }
+});
+
+/**
+ * Download Shared Photo - The original file, if the link allows downloads
+ * GET /s/:token/photo/:photoId/download
+ */
+app.get('/s/:token/photo/:photoId/download', requireShareLink, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        if (!req.shareLink.allowDownload) {
+            return res.status(403).send('This link does not allow downloads');
+        }
+        
+        const photo = await business.getShareLinkPhoto(req.shareLink, photoId);
+        
+        if (!photo) {
+            return res.status(404).send('Photo not found');
+        }
+        
+        res.download(persistence.getPhotoFilePath(photo.filename), photo.filename);
+    } catch (error) {
+        res.status(500).send('Error downloading photo: ' + error.message);
+    }
+});
+
+// ==================== GROUP ROUTES ====================
+
+/**
+ * Groups Page - The user's groups and a form for a new one (requires authentication)
+ * GET /groups
+ */
+app.get('/groups', requireAuth, async (req, res) => {
+    try {
+        const groups = await business.getGroups(req.session.user.id);
+        
+        res.render('groups', {
+            layout: undefined,
+            groups: groups,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading groups: ' + error.message);
+    }
+});
+
+/**
+ * Create Group (requires authentication)
+ * POST /groups/new
+ */
+app.post('/groups/new', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const result = await business.createGroup(userId, req.body.name);
+        
+        if (result.success) {
+            res.redirect('/group/' + result.group.id);
+        } else {
+            const groups = await business.getGroups(userId);
+            res.status(400).render('groups', {
+                layout: undefined,
+                groups: groups,
+                error: result.message,
+                user: req.session.user
+            });
+        }
+    } catch (error) {
+        res.status(500).send('Error creating group: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Renders a group's page, optionally with the outcome of an action
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} groupId - ID of the group
+ * @param {Object} [result] - Result object from a business function
+ */
+async function renderGroup(req, res, groupId, result) {
+    const group = await business.getGroupDetails(groupId, req.session.user.id);
+    
+    if (!group) {
+        return res.status(404).send('Group not found<br><br><a href="/groups">Back to Groups</a>');
+    }
+    
+    res.status(result && !result.success ? 400 : 200).render('group', {
+        layout: undefined,
+        group: group,
+        success: result && result.success ? result.message : null,
+        error: result && !result.success ? result.message : null,
+        user: req.session.user
+    });
+}
+
+/**
+ * Group Page - Members of a group (requires authentication, owner only)
+ * GET /group/:groupId
+ */
+app.get('/group/:groupId', requireAuth, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+        
+        if (isNaN(groupId)) {
+            return res.status(400).send('Invalid group ID');
+        }
+        
+        await renderGroup(req, res, groupId);
+    } catch (error) {
+        res.status(500).send('Error loading group: ' + error.message);
+    }
+});
+
+/**
+ * Add Group Member - By email (requires authentication, owner only)
+ * POST /group/:groupId/members
+ */
+app.post('/group/:groupId/members', requireAuth, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+        
+        if (isNaN(groupId)) {
+            return res.status(400).send('Invalid group ID');
+        }
+        
+        const result = await business.addGroupMember(groupId, req.session.user.id, req.body.email);
+        await renderGroup(req, res, groupId, result);
+    } catch (error) {
+        res.status(500).send('Error adding member: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Remove Group Member (requires authentication, owner only)
+ * POST /group/:groupId/members/:userId/remove
+ */
+app.post('/group/:groupId/members/:userId/remove', requireAuth, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+        const memberId = parseInt(req.params.userId);
+        
+        if (isNaN(groupId) || isNaN(memberId)) {
+            return res.status(400).send('Invalid group or user ID');
+        }
+        
+        const result = await business.removeGroupMember(groupId, req.session.user.id, memberId);
+        await renderGroup(req, res, groupId, result);
+    } catch (error) {
+        res.status(500).send('Error removing member: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Delete Group (requires authentication, owner only)
+ * POST /group/:groupId/delete
+ */
+app.post('/group/:groupId/delete', requireAuth, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.groupId);
+        
+        if (isNaN(groupId)) {
+            return res.status(400).send('Invalid group ID');
+        }
+        
+        const result = await business.deleteGroup(groupId, req.session.user.id);
+        
+        if (result.success) {
+            res.redirect('/groups');
+        } else {
+            res.status(404).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error deleting group: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== PHOTO DELETION ROUTES ====================
+
+/**
+ * Delete Photo - Move a photo to the trash (requires authentication)
+ * POST /photo/:photoId/delete
+ */
+app.post('/photo/:photoId/delete', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.deletePhoto(photoId, req.session.user.id);
+        
+        if (result.success) {
+            res.redirect('/trash');
+        } else {
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error deleting photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Trash Page - List the user's deleted photos (requires authentication)
+ * GET /trash
+ */
+app.get('/trash', requireAuth, async (req, res) => {
+    try {
+        const photos = await business.getTrash(req.session.user.id);
+        
+        res.render('trash', {
+            layout: undefined,
+            photos: photos,
+            retentionDays: business.TRASH_RETENTION_DAYS,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading trash: ' + error.message);
+    }
+});
+
+/**
+ * Restore Photo - Take a photo out of the trash (requires authentication)
+ * POST /photo/:photoId/restore
+ */
+app.post('/photo/:photoId/restore', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.restorePhoto(photoId, req.session.user.id);
+        
+        if (result.success) {
+            res.redirect('/photo/' + photoId);
+        } else {
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error restoring photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Purge Photo - Permanently delete a photo from the trash (requires authentication)
+ * POST /photo/:photoId/purge
+ */
+app.post('/photo/:photoId/purge', requireAuth, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.purgePhoto(photoId, req.session.user.id);
+        
+        if (result.success) {
+            res.redirect('/trash');
+        } else {
+            res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error deleting photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== PHOTO UPLOAD ROUTES ====================
+
+/**
+ * Upload Photo Page - Show upload form (requires authentication)
+ * GET /album/:albumId/upload
+ */
+app.get('/album/:albumId/upload', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        const album = await business.getAlbumById(albumId);
+        
+        if (!album) {
+            return res.status(404).send('Album not found');
+        }
+        
+        if (!business.canPostToAlbum(album, req.session.user.id)) {
+            return res.status(403).send('You cannot add photos to this album');
+        }
+        
+        res.render('upload', { 
+            layout: undefined, 
+            album: album,
+            maxFiles: MAX_FILES_PER_UPLOAD,
+            maxFileSize: MAX_FILE_SIZE_MB,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading upload page: ' + error.message);
+    }
+});
+
+/**
+ * Upload Photos - Process a batch of files, each with its own result (requires authentication)
+ * POST /album/:albumId/upload
+ */
+app.post('/album/:albumId/upload', requireAuth, receivePhotos, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return res.status(400).send('Invalid album ID');
+        }
+        
+        const album = await business.getAlbumById(albumId);
+        
+        if (!album) {
+            return res.status(404).send('Album not found');
+        }
+        
+        const files = getUploadedFiles(req);
+        if (files.length === 0) {
+            return res.status(400).send('No file uploaded. <a href="javascript:history.back()">Go Back</a>');
+        }
+        
+        const results = await business.uploadPhotos(albumId, req.session.user.id, files, {
+            titlePrefix: req.body.titlePrefix || '',
+            tags: req.body.tags || '',
+            visibility: req.body.visibility || 'private'
+        });
+        
+        let succeeded = 0;
+        for (let i = 0; i < results.length; i++) {
+            if (results[i].success) {
+                succeeded++;
+            }
+        }
+        
+        res.render('upload-results', {
+            layout: undefined,
+            album: album,
+            results: results,
+            succeeded: succeeded,
+            failed: results.length - succeeded,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error uploading photos: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== TAG ROUTES ====================
+
+/**
+ * Tag Cloud Page - All tags on photos the user can see (requires authentication)
+ * GET /tags
+ */
+app.get('/tags', requireAuth, async (req, res) => {
+    try {
+        const tags = await business.getTagCloud(req.session.user.id);
+        
+        res.render('tags', {
+            layout: undefined,
+            tags: tags,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading tags: ' + error.message);
+    }
+});
+
+/**
+ * Tag Page - Photos with a given tag (requires authentication)
+ * GET /tag/:name
+ */
+app.get('/tag/:name', requireAuth, async (req, res) => {
+    try {
+        const tag = req.params.name;
+        const photos = await business.getPhotosByTag(tag, req.session.user.id);
+        const photoWord = photos.length === 1 ? 'photo' : 'photos';
+        
+        res.render('tag', {
+            layout: undefined,
+            tag: tag.toLowerCase(),
+            photos: photos,
+            photoWord: photoWord,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading tag: ' + error.message);
+    }
+});
+
+// ==================== SEARCH ROUTES ====================
+
+/**
+ * Search Page - Show search form, filters and paginated results (requires authentication)
+ * GET /search?q=&tag=&owner=&album=&visibility=&after=&before=&sort=&page=&limit=
+ */
+app.get('/search', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit);
+        
+        const parsed = business.parseSearchQuery(req.query, userId);
+        const query = parsed.criteria.text;
+        
+        let search = null;
+        
+        if (!parsed.isEmpty) {
+            search = await business.searchPhotos(parsed.criteria, userId, page, limit);
+        }
+        
+        // Links keep the text, filters and page size, only the page number changes
+        let prevLink = null;
+        let nextLink = null;
+        if (search) {
+            const linkParams = new URLSearchParams(parsed.params);
+            linkParams.set('q', query);
+            linkParams.set('limit', search.limit);
+            if (search.hasPrev) {
+                linkParams.set('page', search.page - 1);
+                prevLink = '/search?' + linkParams.toString();
+            }
+            if (search.hasNext) {
+                linkParams.set('page', search.page + 1);
+                nextLink = '/search?' + linkParams.toString();
+            }
+        }
+        
+        // Sidebar choices, marked with the current selection
+        const allAlbums = await business.getAllAlbums();
+        const albumOptions = [];
+        for (let i = 0; i < allAlbums.length; i++) {
+            albumOptions.push({
+                id: allAlbums[i].id,
+                name: allAlbums[i].name,
+                selected: String(allAlbums[i].id) === parsed.params.album
+            });
+        }
+        const sortOptions = [];
+        for (let i = 0; i < business.SEARCH_SORTS.length; i++) {
+            const sort = business.SEARCH_SORTS[i];
+            sortOptions.push({ value: sort, selected: sort === parsed.criteria.sort });
+        }
+        
+        res.render('search', { 
+            layout: undefined, 
+            query: query,
+            filters: parsed.params,
+            errors: parsed.errors,
+            albumOptions: albumOptions,
+            sortOptions: sortOptions,
+            results: search ? search.results : [],
+            hasResults: search !== null && search.results.length > 0,
+            search: search,
+            prevLink: prevLink,
+            nextLink: nextLink,
+            searched: search !== null,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error searching photos: ' + error.message);
+    }
+});
+
+// ==================== PROFILE ROUTES ====================
+
+/**
+ * User Profile - A user's name and the photos of theirs you can see (requires authentication)
+ * GET /user/:userId
+ */
+app.get('/user/:userId', requireAuth, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        
+        if (isNaN(userId)) {
+            return res.status(400).send('Invalid user ID');
+        }
+        
+        const profile = await business.getUserProfile(userId, req.session.user.id);
+        
+        if (!profile) {
+            return res.status(404).send('User not found');
+        }
+        
+        res.render('user', {
+            layout: undefined,
+            profile: profile,
+            hasMore: profile.total > profile.photos.length,
+            photoWord: profile.total === 1 ? 'photo' : 'photos',
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading profile: ' + error.message);
+    }
+});
+
+// ==================== ACCOUNT SETTINGS ROUTES ====================
+
+/**
+ * Renders the account settings page with the outcome of a change, if any
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [result] - Result object from a business function
+ */
+async function renderAccount(req, res, result) {
+    const account = await business.getAccount(req.session.user.id);
+    const apiTokens = await business.getApiTokens(req.session.user.id);
+    
+    res.status(result && !result.success ? 400 : 200).render('account', {
+        layout: undefined,
+        account: account,
+        apiTokens: apiTokens,
+        tokenScopes: business.API_TOKEN_SCOPES,
+        newToken: result && result.token ? result.token : null,
+        success: result && result.success ? result.message : null,
+        error: result && !result.success ? result.message : null,
+        user: req.session.user
+    });
+}
+
+/**
+ * Account Settings Page - Name, email and password (requires authentication)
+ * GET /settings/account
+ */
+app.get('/settings/account', requireAuth, async (req, res) => {
+    try {
+        await renderAccount(req, res);
+    } catch (error) {
+        res.status(500).send('Error loading account settings: ' + error.message);
+    }
+});
+
+/**
+ * Change Name (requires authentication)
+ * POST /settings/account/name
+ */
+app.post('/settings/account/name', requireAuth, async (req, res) => {
+    try {
+        const result = await business.updateAccountName(req.session.user.id, req.body.name);
+        
+        if (result.success) {
+            req.session.user.name = req.body.name.trim();
+        }
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error updating name: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Change Email - Sends a confirmation link to the new address (requires authentication)
+ * POST /settings/account/email
+ */
+app.post('/settings/account/email', requireAuth, async (req, res) => {
+    try {
+        const result = await business.changeEmail(req.session.user.id, req.body.email, req.body.currentPassword);
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error changing email: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Resend Email Confirmation (requires authentication)
+ * POST /settings/account/resend-verification
+ */
+app.post('/settings/account/resend-verification', requireAuth, async (req, res) => {
+    try {
+        const result = await business.resendVerification(req.session.user.id);
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error sending confirmation: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Change Password - Requires the current password and signs out other sessions (requires authentication)
+ * POST /settings/account/password
+ */
+app.post('/settings/account/password', requireAuth, async (req, res) => {
+    try {
+        const result = await business.changePassword(
+            req.session.user.id,
+            req.body.currentPassword,
+            req.body.newPassword,
+            req.body.confirmPassword,
+            req.ip
+        );
+        
+        if (result.success) {
+            // This session stays signed in; every other one is now outdated
+            req.session.user.sessionVersion = result.sessionVersion;
+        }
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error changing password: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Create API Token - Shown once on the account page (requires authentication)
+ * POST /settings/account/tokens
+ */
+app.post('/settings/account/tokens', requireAuth, async (req, res) => {
+    try {
+        const result = await business.createApiToken(req.session.user.id, req.body.name, req.body.scope);
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error creating API token: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Revoke API Token (requires authentication)
+ * POST /settings/account/tokens/:tokenId/revoke
+ */
+app.post('/settings/account/tokens/:tokenId/revoke', requireAuth, async (req, res) => {
+    try {
+        const result = await business.revokeApiToken(parseInt(req.params.tokenId, 10), req.session.user.id);
+        await renderAccount(req, res, result);
+    } catch (error) {
+        res.status(500).send('Error revoking API token: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Security History Page - Logins, password changes and deletions (requires authentication)
+ * GET /settings/security
+ */
+app.get('/settings/security', requireAuth, async (req, res) => {
+    try {
+        const history = await business.getSecurityHistory(req.session.user.id);
+        
+        res.render('security', {
+            layout: undefined,
+            history: history,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading security history: ' + error.message);
+    }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+/**
+ * Notification Center - Recent notifications, newest first (requires authentication)
+ * GET /notifications
+ */
+app.get('/notifications', requireAuth, async (req, res) => {
+    try {
+        const notifications = await business.getNotifications(req.session.user.id);
+        
+        res.render('notifications', {
+            layout: undefined,
+            notifications: notifications,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading notifications: ' + error.message);
+    }
+});
+
+/**
+ * Mark All Notifications Read (requires authentication)
+ * POST /notifications/read-all
+ */
+app.post('/notifications/read-all', requireAuth, async (req, res) => {
+    try {
+        await business.markAllNotificationsRead(req.session.user.id);
+        res.redirect('/notifications');
+    } catch (error) {
+        res.status(500).send('Error updating notifications: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Mark Notification Read (requires authentication)
+ * POST /notifications/:notificationId/read
+ */
+app.post('/notifications/:notificationId/read', requireAuth, async (req, res) => {
+    try {
+        const notificationId = parseInt(req.params.notificationId);
+        
+        if (isNaN(notificationId)) {
+            return res.status(400).send('Invalid notification ID');
+        }
+        
+        const result = await business.markNotificationRead(notificationId, req.session.user.id);
+        
+        if (result.success) {
+            res.redirect('/notifications');
+        } else {
+            res.status(404).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+        }
+    } catch (error) {
+        res.status(500).send('Error updating notification: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Notification Settings Page - Choose how each event type is emailed (requires authentication)
+ * GET /settings/notifications
+ */
+app.get('/settings/notifications', requireAuth, async (req, res) => {
+    try {
+        const settings = await business.getNotificationSettings(req.session.user.id);
+        
+        res.render('notification-settings', {
+            layout: undefined,
+            settings: settings,
+            saved: req.query.saved === '1',
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading notification settings: ' + error.message);
+    }
+});
+
+/**
+ * Save Notification Settings (requires authentication)
+ * POST /settings/notifications
+ */
+app.post('/settings/notifications', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        const result = await business.updateNotificationPrefs(userId, req.body);
+        
+        if (result.success) {
+            res.redirect('/settings/notifications?saved=1');
+        } else {
+            const settings = await business.getNotificationSettings(userId);
+            res.status(400).render('notification-settings', {
+                layout: undefined,
+                settings: settings,
+                error: result.message,
+                user: req.session.user
+            });
+        }
+    } catch (error) {
+        res.status(500).send('Error saving notification settings: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Unsubscribe Page - Signed link from a notification email; works without logging in.
+ * Only asks for confirmation, since mail scanners and link previews open links on their own.
+ * GET /unsubscribe?user=&type=&sig=
+ */
+app.get('/unsubscribe', (req, res) => {
+    const link = business.checkUnsubscribeLink(parseInt(req.query.user), req.query.type, req.query.sig);
+    
+    res.status(link.success ? 200 : 400).render('unsubscribe', {
+        layout: undefined,
+        confirm: link.success,
+        link: link,
+        success: false,
+        message: link.message
+    });
+});
+
+/**
+ * Unsubscribe - The confirmation button, and one-click List-Unsubscribe requests from mail clients (RFC 8058)
+ * POST /unsubscribe?user=&type=&sig=
+ */
+app.post('/unsubscribe', async (req, res) => {
+    try {
+        const userId = parseInt(req.query.user);
+        const result = await business.unsubscribe(userId, req.query.type, req.query.sig);
+        
+        res.status(result.success ? 200 : 400).render('unsubscribe', {
+            layout: undefined,
+            success: result.success,
+            message: result.message
+        });
+    } catch (error) {
+        res.status(500).send('Error unsubscribing: ' + error.message);
+    }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Middleware for the admin area: moderators and admins only. Runs after
+// requireAuth, so the role in the session has just been reloaded. Every action
+// is checked again by the business layer.
+function requireStaff(req, res, next) {
+    if (!req.session.user.isStaff) {
+        return res.status(403).send('You do not have permission to view this page<br><br><a href="/">Go Home</a>');
+    }
+    next();
+}
+
+// Redirects after a moderation action, or explains why it was refused
+function finishModeration(res, result, redirectTo) {
+    if (result.success) {
+        res.redirect(redirectTo);
+    } else {
+        res.status(400).send(result.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+}
+
+/**
+ * Admin Dashboard - Site statistics and the moderation log (staff only)
+ * GET /admin
+ */
+app.get('/admin', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const dashboard = await business.getAdminDashboard(req.session.user.id);
+        
+        if (!dashboard) {
+            return res.status(403).send('You do not have permission to view this page');
+        }
+        
+        res.render('admin', {
+            layout: undefined,
+            statistics: dashboard.statistics,
+            log: dashboard.log,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading admin dashboard: ' + error.message);
+    }
+});
+
+/**
+ * Admin Users Page - All accounts, with role and disable controls (staff only)
+ * GET /admin/users
+ */
+app.get('/admin/users', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const users = await business.getUsersForAdmin(req.session.user.id);
+        
+        if (!users) {
+            return res.status(403).send('You do not have permission to view this page');
+        }
+        
+        const roles = [];
+        const roleKeys = Object.keys(business.ROLES);
+        for (let i = 0; i < roleKeys.length; i++) {
+            roles.push({ value: roleKeys[i], label: business.ROLES[roleKeys[i]] });
+        }
+        
+        res.render('admin-users', {
+            layout: undefined,
+            users: users,
+            roles: roles,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading users: ' + error.message);
+    }
+});
+
+/**
+ * Disable Account (staff only)
+ * POST /admin/users/:userId/disable
+ */
+app.post('/admin/users/:userId/disable', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        
+        if (isNaN(userId)) {
+            return res.status(400).send('Invalid user ID');
+        }
+        
+        const result = await business.setUserDisabled(userId, req.session.user.id, true);
+        finishModeration(res, result, '/admin/users');
+    } catch (error) {
+        res.status(500).send('Error disabling account: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Enable Account (staff only)
+ * POST /admin/users/:userId/enable
+ */
+app.post('/admin/users/:userId/enable', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        
+        if (isNaN(userId)) {
+            return res.status(400).send('Invalid user ID');
+        }
+        
+        const result = await business.setUserDisabled(userId, req.session.user.id, false);
+        finishModeration(res, result, '/admin/users');
+    } catch (error) {
+        res.status(500).send('Error enabling account: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Change Role (admins only)
+ * POST /admin/users/:userId/role
+ */
+app.post('/admin/users/:userId/role', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        
+        if (isNaN(userId)) {
+            return res.status(400).send('Invalid user ID');
+        }
+        
+        const result = await business.changeUserRole(userId, req.session.user.id, req.body.role);
+        finishModeration(res, result, '/admin/users');
+    } catch (error) {
+        res.status(500).send('Error changing role: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Admin Photos Page - Recent photos from every user, or only hidden ones (staff only)
+ * GET /admin/photos?hidden=1
+ */
+app.get('/admin/photos', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const onlyHidden = req.query.hidden === '1';
+        const photos = await business.getPhotosForModeration(req.session.user.id, onlyHidden);
+        
+        if (!photos) {
+            return res.status(403).send('You do not have permission to view this page');
+        }
+        
+        res.render('admin-photos', {
+            layout: undefined,
+            photos: photos,
+            onlyHidden: onlyHidden,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading photos: ' + error.message);
+    }
+});
+
+/**
+ * Hide Photo - Only its owner can still see it (staff only)
+ * POST /admin/photos/:photoId/hide
+ */
+app.post('/admin/photos/:photoId/hide', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.hidePhoto(photoId, req.session.user.id, true);
+        finishModeration(res, result, '/admin/photos');
+    } catch (error) {
+        res.status(500).send('Error hiding photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Unhide Photo (staff only)
+ * POST /admin/photos/:photoId/unhide
+ */
+app.post('/admin/photos/:photoId/unhide', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.hidePhoto(photoId, req.session.user.id, false);
+        finishModeration(res, result, '/admin/photos?hidden=1');
+    } catch (error) {
+        res.status(500).send('Error showing photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Delete Photo - Permanently, skipping the owner's trash (staff only)
+ * POST /admin/photos/:photoId/delete
+ */
+app.post('/admin/photos/:photoId/delete', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.photoId);
+        
+        if (isNaN(photoId)) {
+            return res.status(400).send('Invalid photo ID');
+        }
+        
+        const result = await business.purgePhoto(photoId, req.session.user.id);
+        finishModeration(res, result, '/admin/photos');
+    } catch (error) {
+        res.status(500).send('Error deleting photo: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Admin Comments Page - Recent comments on every photo, or only hidden ones (staff only)
+ * GET /admin/comments?hidden=1
+ */
+app.get('/admin/comments', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const onlyHidden = req.query.hidden === '1';
+        const comments = await business.getCommentsForModeration(req.session.user.id, onlyHidden);
+        
+        if (!comments) {
+            return res.status(403).send('You do not have permission to view this page');
+        }
+        
+        res.render('admin-comments', {
+            layout: undefined,
+            comments: comments,
+            onlyHidden: onlyHidden,
+            user: req.session.user
+        });
+    } catch (error) {
+        res.status(500).send('Error loading comments: ' + error.message);
+    }
+});
+
+/**
+ * Hide Comment (staff only)
+ * POST /admin/comments/:commentId/hide
+ */
+app.post('/admin/comments/:commentId/hide', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const commentId = parseInt(req.params.commentId);
+        
+        if (isNaN(commentId)) {
+            return res.status(400).send('Invalid comment ID');
+        }
+        
+        const result = await business.hideComment(commentId, req.session.user.id, true);
+        finishModeration(res, result, '/admin/comments');
+    } catch (error) {
+        res.status(500).send('Error hiding comment: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Unhide Comment (staff only)
+ * POST /admin/comments/:commentId/unhide
+ */
+app.post('/admin/comments/:commentId/unhide', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const commentId = parseInt(req.params.commentId);
+        
+        if (isNaN(commentId)) {
+            return res.status(400).send('Invalid comment ID');
+        }
+        
+        const result = await business.hideComment(commentId, req.session.user.id, false);
+        finishModeration(res, result, '/admin/comments?hidden=1');
+    } catch (error) {
+        res.status(500).send('Error showing comment: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+/**
+ * Delete Comment (staff only)
+ * POST /admin/comments/:commentId/delete
+ */
+app.post('/admin/comments/:commentId/delete', requireAuth, requireStaff, async (req, res) => {
+    try {
+        const commentId = parseInt(req.params.commentId);
+        
+        if (isNaN(commentId)) {
+            return res.status(400).send('Invalid comment ID');
+        }
+        
+        const result = await business.deleteComment(commentId, req.session.user.id);
+        finishModeration(res, result, '/admin/comments');
+    } catch (error) {
+        res.status(500).send('Error deleting comment: ' + error.message + '<br><br><a href="javascript:history.back()">Go Back</a>');
+    }
+});
+
+// ==================== API ROUTES ====================
+// JSON versions of the web routes under /api/v1, described in openapi.json.
+// A single item is sent as {data}, a list as {data, nextCursor}, and a
+// failure as {error: {code, message}}. The session cookie from POST /login
+// authenticates requests; requests that change something also need the
+// X-CSRF-Token header, whose value GET /api/v1/me returns.
+
+// Items per page of an API list, unless the client asks for a different limit
+const API_PAGE_SIZE = 20;
+const API_MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes a position in a list as an opaque cursor
+ * @param {Object} position - e.g. {after: 42} or {sort: 'newest', key: '2024-05-01', id: 42, limit: 20}
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from the query string
+ * @returns {Object|null} Position, or null if the cursor is not valid
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return position && typeof position === 'object' ? position : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Reads the page size asked for in ?limit=
+ * @param {Object} req - Express request
+ * @returns {number} Page size between 1 and API_MAX_PAGE_SIZE
+ */
+function readPageSize(req) {
+    const limit = parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1) {
+        return API_PAGE_SIZE;
+    }
+    return Math.min(limit, API_MAX_PAGE_SIZE);
+}
+
+/**
+ * Cuts one page out of a list sorted by ascending ID, starting after the ID in ?cursor=
+ * @param {Object} req - Express request
+ * @param {Array} items - Items sorted by ascending id
+ * @returns {Object|null} {items, nextCursor}, or null if the cursor is not valid
+ */
+function pageAfterId(req, items) {
+    let after = 0;
+    if (req.query.cursor !== undefined) {
+        const position = decodeCursor(req.query.cursor);
+        if (!position || typeof position.after !== 'number') {
+            return null;
+        }
+        after = position.after;
+    }
+    
+    const limit = readPageSize(req);
+    const page = [];
+    let more = false;
+    for (let i = 0; i < items.length; i++) {
+        if (items[i].id <= after) {
+            continue;
+        }
+        if (page.length === limit) {
+            more = true;
+            break;
+        }
+        page.push(items[i]);
+    }
+    
+    return {
+        items: page,
+        nextCursor: more ? encodeCursor({ after: page[page.length - 1].id }) : null
+    };
+}
+
+/**
+ * Sorts items by ascending ID
+ * @param {Array} items - Items with numeric id
+ * @returns {Array} The same array, sorted
+ */
+function sortById(items) {
+    return items.sort(function (a, b) {
+        return a.id - b.id;
+    });
+}
+
+/**
+ * Converts an album to its API form
+ * @param {Object} album - Album object
+ * @param {number} userId - ID of the current user
+ * @returns {Object} {id, name, description, owner, unsorted, canEdit, canPost}
+ */
+function toApiAlbum(album, userId) {
+    return {
+        id: album.id,
+        name: album.name,
+        description: album.description || '',
+        owner: album.owner === undefined ? null : album.owner,
+        unsorted: album.unsorted === true,
+        canEdit: business.canEditAlbum(album, userId),
+        canPost: business.canPostToAlbum(album, userId)
+    };
+}
+
+/**
+ * Converts a photo to its API form, with the URL of each image size
+ * @param {Object} photo - Photo object, as stored or as returned by getPhotoDetails
+ * @returns {Object} {id, title, description, date, visibility, owner, albumIds, tags, hidden, metadata, images}
+ */
+function toApiPhoto(photo) {
+    const images = { original: '/photo/' + photo.id + '/image/original' };
+    const sizeNames = Object.keys(photo.derivatives || {});
+    for (let i = 0; i < sizeNames.length; i++) {
+        images[sizeNames[i]] = '/photo/' + photo.id + '/image/' + sizeNames[i];
+    }
+    
+    return {
+        id: photo.id,
+        title: photo.title || '',
+        description: photo.description || '',
+        date: photo.date || null,
+        visibility: photo.visibility,
+        owner: photo.owner,
+        albumIds: photo.albumIds || photo.albums || [],
+        tags: photo.tags || [],
+        hidden: !!photo.hiddenAt,
+        metadata: photo.metadata || null,
+        images: images
+    };
+}
+
+/**
+ * Converts a comment to its API form. html is the formatted text, safe to insert into a page.
+ * @param {Object} comment - Comment object
+ * @returns {Object} {id, photoId, parentId, userId, username, text, html, createdAt, editedAt}
+ */
+function toApiComment(comment) {
+    return {
+        id: comment.id,
+        photoId: comment.photoId,
+        parentId: comment.parentId || null,
+        userId: comment.userId,
+        username: comment.username,
+        text: comment.text,
+        html: business.formatCommentHtml(comment.text, comment.mentions),
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt || null
+    };
+}
+
+/**
+ * Loads a photo the current user may see, or sends the API error explaining why not
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} {photo, access}, or null once an error has been sent
+ */
+async function loadApiPhoto(req, res) {
+    const photoId = parseInt(req.params.photoId);
+    
+    if (isNaN(photoId)) {
+        sendApiError(res, 400, 'Invalid photo ID');
+        return null;
+    }
+    
+    const photo = await business.getPhotoDetails(photoId);
+    
+    if (!photo) {
+        sendApiError(res, 404, 'Photo not found');
+        return null;
+    }
+    
+    const access = await business.getShareAccess(req.session.user.id);
+    if (!business.canViewPhoto(photo, req.session.user.id, access)) {
+        sendApiError(res, 403, 'You do not have permission to view this photo');
+        return null;
+    }
+    
+    return { photo: photo, access: access };
+}
+
+/**
+ * OpenAPI Document - Describes every API endpoint
+ * GET /api/v1/openapi.json
+ */
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'openapi.json'));
+});
+
+/**
+ * Current User - The logged-in user and the CSRF token for write requests (requires authentication)
+ * GET /api/v1/me
+ */
+app.get('/api/v1/me', requireAuth, (req, res) => {
+    const user = req.session.user;
+    res.json({
+        data: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            csrfToken: req.session.csrfToken
+        }
+    });
+});
+
+/**
+ * List Albums (requires authentication)
+ * GET /api/v1/albums?cursor=&limit=
+ */
+app.get('/api/v1/albums', requireAuth, async (req, res) => {
+    try {
+        const albums = sortById(await business.getAllAlbums());
+        const page = pageAfterId(req, albums);
+        
+        if (!page) {
+            return sendApiError(res, 400, 'Invalid cursor');
+        }
+        
+        const data = [];
+        for (let i = 0; i < page.items.length; i++) {
+            data.push(toApiAlbum(page.items[i], req.session.user.id));
+        }
+        res.json({ data: data, nextCursor: page.nextCursor });
+    } catch (error) {
+        sendApiError(res, 500, 'Error loading albums: ' + error.message);
+    }
+});
+
+/**
+ * Get Album (requires authentication)
+ * GET /api/v1/albums/:albumId
+ */
+app.get('/api/v1/albums/:albumId', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return sendApiError(res, 400, 'Invalid album ID');
+        }
+        
+        const album = await business.getAlbumById(albumId);
+        
+        if (!album) {
+            return sendApiError(res, 404, 'Album not found');
+        }
+        
+        res.json({ data: toApiAlbum(album, req.session.user.id) });
+    } catch (error) {
+        sendApiError(res, 500, 'Error loading album: ' + error.message);
+    }
+});
+
+/**
+ * List Album Photos - The photos in an album the user may see (requires authentication)
+ * GET /api/v1/albums/:albumId/photos?cursor=&limit=
+ */
+app.get('/api/v1/albums/:albumId/photos', requireAuth, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return sendApiError(res, 400, 'Invalid album ID');
+        }
+        
+        const albumDetails = await business.getAlbumDetails(albumId);
+        
+        if (!albumDetails) {
+            return sendApiError(res, 404, 'Album not found');
+        }
+        
+        const userId = req.session.user.id;
+        const access = await business.getShareAccess(userId);
+        const visiblePhotos = [];
+        for (let i = 0; i < albumDetails.photos.length; i++) {
+            if (business.canViewPhoto(albumDetails.photos[i], userId, access)) {
+                visiblePhotos.push(albumDetails.photos[i]);
+            }
+        }
+        
+        const page = pageAfterId(req, sortById(visiblePhotos));
+        
+        if (!page) {
+            return sendApiError(res, 400, 'Invalid cursor');
+        }
+        
+        const data = [];
+        for (let i = 0; i < page.items.length; i++) {
+            data.push(toApiPhoto(page.items[i]));
+        }
+        res.json({ data: data, nextCursor: page.nextCursor });
+    } catch (error) {
+        sendApiError(res, 500, 'Error loading photos: ' + error.message);
+    }
+});
+
+/**
+ * Upload Photos - Multipart field "photos", with optional titlePrefix, tags and visibility (requires authentication)
+ * POST /api/v1/albums/:albumId/photos
+ */
+app.post('/api/v1/albums/:albumId/photos', requireAuth, receivePhotos, async (req, res) => {
+    try {
+        const albumId = parseInt(req.params.albumId);
+        
+        if (isNaN(albumId)) {
+            return sendApiError(res, 400, 'Invalid album ID');
+        }
+        
+        const album = await business.getAlbumById(albumId);
+        
+        if (!album) {
+            return sendApiError(res, 404, 'Album not found');
+        }
+        
+        if (!business.canPostToAlbum(album, req.session.user.id)) {
+            return sendApiError(res, 403, 'You cannot add photos to this album');
+        }
+        
+        const files = getUploadedFiles(req);
+        if (files.length === 0) {
+            return sendApiError(res, 400, 'No file uploaded');
+        }
+        
+        const results = await business.uploadPhotos(albumId, req.session.user.id, files, {
+            titlePrefix: req.body.titlePrefix || '',
+            tags: req.body.tags || '',
+            visibility: req.body.visibility || 'private'
+        });
+        
+        // Each file gets its own result; the request fails only if every file did
+        const data = [];
+        let succeeded = 0;
+        for (let i = 0; i < results.length; i++) {
+            if (results[i].success) {
+                succeeded++;
+            }
+            data.push({
+                originalName: results[i].originalName,
+                success: results[i].success,
+                message: results[i].message,
+                photo: results[i].photo ? toApiPhoto(results[i].photo) : null,
+                duplicateOf: results[i].duplicateOf || null
+            });
+        }
+        
+        if (succeeded === 0) {
+            return sendApiError(res, 400, 'No photo was uploaded', data);
+        }
+        res.status(201).json({ data: data });
+    } catch (error) {
+        sendApiError(res, 500, 'Error uploading photos: ' + error.message);
+    }
+});
+
+/**
+ * Get Photo (requires authentication)
+ * GET /api/v1/photos/:photoId
+ */
+app.get('/api/v1/photos/:photoId', requireAuth, async (req, res) => {
+    try {
+        const loaded = await loadApiPhoto(req, res);
+        
+        if (!loaded) {
+            return;
+        }
+        
+        const userId = req.session.user.id;
+        const data = toApiPhoto(loaded.photo);
+        data.canEdit = business.canEditPhoto(loaded.photo, userId);
+        data.canComment = business.canCommentOnPhoto(loaded.photo, userId, loaded.access);
+        res.json({ data: data });
+    } catch (error) {
+        sendApiError(res, 500, 'Error loading photo: ' + error.message);
+    }
+});
+
+/**
+ * Update Photo - Any of title, description, visibility, tags and albumIds (requires authentication)
+ * PATCH /api/v1/photos/:photoId
+ */
+app.patch('/api/v1/photos/:photoId', requireAuth, async (req, res) => {
+    try {
+        const loaded = await loadApiPhoto(req, res);
+        
+        if (!loaded) {
+            return;
+        }
+        
+        const userId = req.session.user.id;
+        if (!business.canEditPhoto(loaded.photo, userId)) {
+            return sendApiError(res, 403, 'You do not have permission to edit this photo');
+        }
+        
+        const body = req.body || {};
+        const invalid = [];
+        const textFields = ['title', 'description', 'visibility'];
+        for (let i = 0; i < textFields.length; i++) {
+            if (body[textFields[i]] !== undefined && typeof body[textFields[i]] !== 'string') {
+                invalid.push(textFields[i] + ' must be a string');
+            }
+        }
+        if (body.tags !== undefined && typeof body.tags !== 'string' && !Array.isArray(body.tags)) {
+            invalid.push('tags must be an array or a comma-separated string');
+        }
+        if (body.albumIds !== undefined && !Array.isArray(body.albumIds)) {
+            invalid.push('albumIds must be an array of album IDs');
+        }
+        if (invalid.length > 0) {
+            return sendApiError(res, 400, 'Invalid fields', invalid);
+        }
+        
+        let albumIds;
+        if (body.albumIds !== undefined) {
+            albumIds = [];
+            for (let i = 0; i < body.albumIds.length; i++) {
+                const albumId = parseInt(body.albumIds[i]);
+                if (!isNaN(albumId)) {
+                    albumIds.push(albumId);
+                }
+            }
+        }
+        
+        const result = await business.updatePhotoWithVisibility(loaded.photo.id, userId, {
+            title: body.title,
+            description: body.description,
+            visibility: body.visibility,
+            tags: body.tags,
+            albumIds: albumIds
+        });
+        
+        if (!result.success) {
+            return sendApiError(res, 400, result.message);
+        }
+        
+        const updated = await business.getPhotoDetails(loaded.photo.id);
+        res.json({ data: toApiPhoto(updated) });
+    } catch (error) {
+        sendApiError(res, 500, 'Error updating photo: ' + error.message);
+    }
+});
+
+/**
+ * Delete Photo - Moves it to the trash (requires authentication)
+ * DELETE /api/v1/photos/:photoId
+ */
+app.delete('/api/v1/photos/:photoId', requireAuth, async (req, res) => {
+    try {
+        const loaded = await loadApiPhoto(req, res);
+        
+        if (!loaded) {
+            return;
+        }
+        
+        if (!business.canEditPhoto(loaded.photo, req.session.user.id)) {
+            return sendApiError(res, 403, 'You do not have permission to delete this photo');
+        }
+        
+        const result = await business.deletePhoto(loaded.photo.id, req.session.user.id);
+        
+        if (!result.success) {
+            return sendApiError(res, 400, result.message);
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendApiError(res, 500, 'Error deleting photo: ' + error.message);
+    }
+});
+
+/**
+ * List Comments - Oldest first (requires authentication)
+ * GET /api/v1/photos/:photoId/comments?cursor=&limit=
+ */
+app.get('/api/v1/photos/:photoId/comments', requireAuth, async (req, res) => {
+    try {
+        const loaded = await loadApiPhoto(req, res);
+        
+        if (!loaded) {
+            return;
+        }
+        
+        const comments = sortById(await business.getPhotoComments(loaded.photo.id));
+        const page = pageAfterId(req, comments);
+        
+        if (!page) {
+            return sendApiError(res, 400, 'Invalid cursor');
+        }
+        
+        const data = [];
+        for (let i = 0; i < page.items.length; i++) {
+            data.push(toApiComment(page.items[i]));
+        }
+        res.json({ data: data, nextCursor: page.nextCursor });
+    } catch (error) {
+        sendApiError(res, 500, 'Error loading comments: ' + error.message);
+    }
+});
+
+/**
+ * Add Comment - Body {text, parentId} (requires authentication)
+ * POST /api/v1/photos/:photoId/comments
+ */
+app.post('/api/v1/photos/:photoId/comments', requireAuth, async (req, res) => {
+    try {
+        const loaded = await loadApiPhoto(req, res);
+        
+        if (!loaded) {
+            return;
+        }
+        
+        const userId = req.session.user.id;
+        if (!business.canCommentOnPhoto(loaded.photo, userId, loaded.access)) {
+            return sendApiError(res, 403, 'You cannot comment on this photo');
+        }
+        
+        const body = req.body || {};
+        const text = typeof body.text === 'string' ? body.text : '';
+        if (body.parentId !== undefined && body.parentId !== null && !Number.isInteger(body.parentId)) {
+            return sendApiError(res, 400, 'Invalid fields', ['parentId must be a comment ID']);
+        }
+        const result = await business.addComment(loaded.photo.id, userId, req.session.user.name, text, body.parentId);
+        
+        if (!result.success) {
+            return sendApiError(res, 400, result.message);
+        }
+        res.status(201).json({ data: toApiComment(result.comment) });
+    } catch (error) {
+        sendApiError(res, 500, 'Error adding comment: ' + error.message);
+    }
+});
+
+/**
+ * Edit Comment - Body {text}; authors only (requires authentication)
+ * PATCH /api/v1/comments/:commentId
+ */
+app.patch('/api/v1/comments/:commentId', requireAuth, async (req, res) => {
+    try {
+        const commentId = parseInt(req.params.commentId);
+        
+        if (isNaN(commentId)) {
+            return sendApiError(res, 400, 'Invalid comment ID');
+        }
+        if (typeof (req.body || {}).text !== 'string') {
+            return sendApiError(res, 400, 'Invalid fields', ['text must be a string']);
+        }
+        
+        const result = await business.editComment(commentId, req.session.user.id, req.body.text);
+        
+        if (!result.success) {
+            return sendApiError(res, result.notFound ? 404 : result.forbidden ? 403 : 400, result.message);
+        }
+        res.json({ data: toApiComment(result.comment) });
+    } catch (error) {
+        sendApiError(res, 500, 'Error editing comment: ' + error.message);
+    }
+});
+
+/**
+ * Delete Comment - Its author or the photo owner; replies go with it (requires authentication)
+ * DELETE /api/v1/comments/:commentId
+ */
+app.delete('/api/v1/comments/:commentId', requireAuth, async (req, res) => {
+    try {
+        const commentId = parseInt(req.params.commentId);
+        
+        if (isNaN(commentId)) {
+            return sendApiError(res, 400, 'Invalid comment ID');
+        }
+        
+        const result = await business.deleteComment(commentId, req.session.user.id);
+        
+        if (!result.success) {
+            return sendApiError(res, result.notFound ? 404 : 403, result.message);
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendApiError(res, 500, 'Error deleting comment: ' + error.message);
+    }
+});
+
+/**
+ * Decodes a search cursor and checks it belongs to a search with the same sort
+ * @param {string} cursor - Cursor from the query string
+ * @param {string} sort - Sort of the current request
+ * @returns {Object|null} {key, id, limit}, or null if the cursor is not valid
+ */
+function decodeSearchCursor(cursor, sort) {
+    const position = decodeCursor(cursor);
+    if (!position || position.sort !== sort || !Number.isInteger(position.id) || !Number.isInteger(position.limit) ||
+        position.limit < 1 || position.limit > API_MAX_PAGE_SIZE) {
+        return null;
+    }
+    if (typeof position.key !== 'string' && !Number.isFinite(position.key)) {
+        return null;
+    }
+    return { key: position.key, id: position.id, limit: position.limit };
+}
+
+/**
+ * Search Photos - Same text, qualifiers and filters as the search page (requires authentication)
+ * GET /api/v1/search?q=&tag=&owner=&album=&visibility=&after=&before=&sort=&cursor=&limit=
+ */
+app.get('/api/v1/search', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.user.id;
+        
+        const parsed = business.parseSearchQuery(req.query, userId);
+        
+        if (parsed.errors.length > 0) {
+            return sendApiError(res, 400, 'Invalid search', parsed.errors);
+        }
+        if (parsed.isEmpty) {
+            return sendApiError(res, 400, 'Enter search text or at least one filter');
+        }
+        
+        // The cursor holds the sort value and ID of the last photo sent, and keeps
+        // the sort and page size of the first request
+        let position = null;
+        let limit = readPageSize(req);
+        if (req.query.cursor !== undefined) {
+            position = decodeSearchCursor(req.query.cursor, parsed.criteria.sort);
+            if (!position) {
+                return sendApiError(res, 400, 'Invalid cursor');
+            }
+            limit = position.limit;
+        }
+        
+        const search = await business.searchPhotosAfter(parsed.criteria, userId, position, limit);
+        
+        const data = [];
+        for (let i = 0; i < search.results.length; i++) {
+            data.push(toApiPhoto(search.results[i]));
+        }
+        res.json({
+            data: data,
+            total: search.total,
+            nextCursor: search.next ? encodeCursor({
+                sort: parsed.criteria.sort,
+                key: search.next.key,
+                id: search.next.id,
+                limit: search.limit
+            }) : null
+        });
+    } catch (error) {
+        sendApiError(res, 500, 'Error searching photos: ' + error.message);
+    }
+});
+
+// Anything else under /api gets a JSON 404 instead of an HTML page
+app.use('/api', (req, res) => {
+    sendApiError(res, 404, 'No such API endpoint: ' + req.method + ' ' + req.originalUrl);
+});
+
+// Errors raised before an API route runs, such as a malformed JSON body, are sent as JSON too
+app.use((error, req, res, next) => {
+    if (!isApiRequest(req)) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendApiError(res, 400, 'The request body is not valid JSON');
+    }
+    sendApiError(res, 500, error.message);
+});
+
+// Purge expired trash once at startup and then every hour
+const TRASH_PURGE_INTERVAL = 1000 * 60 * 60;
+
+function purgeTrash() {
+    business.purgeExpiredTrash()
+        .then((count) => {
+            if (count > 0) {
+                console.log('Purged ' + count + ' photo(s) from trash');
+            }
+        })
+        .catch((error) => {
+            console.log('Error purging trash: ' + error.message);
+        });
+}
+
+purgeTrash();
+setInterval(purgeTrash, TRASH_PURGE_INTERVAL);
+
+// Send digest emails that are due once at startup and then every hour
+const DIGEST_CHECK_INTERVAL = 1000 * 60 * 60;
+
+function sendDigests() {
+    business.sendDigests()
+        .then((count) => {
+            if (count > 0) {
+                console.log('Sent ' + count + ' digest email(s)');
+            }
+        })
+        .catch((error) => {
+            console.log('Error sending digests: ' + error.message);
+        });
+}
+
+sendDigests();
+setInterval(sendDigests, DIGEST_CHECK_INTERVAL);
+
 // Start the server
 app.listen(PORT, () => {
     console.log('Digital Media Catalog running on http://localhost:' + PORT);
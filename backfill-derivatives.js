@@ -0,0 +1,20 @@
+// Backfill Script - Creates thumbnail, medium and large derivatives for
+// photos uploaded before derivatives were generated on upload
+// Usage: npm run backfill:derivatives
+
+const business = require('./business');
+const persistence = require('./persistence');
+
+async function main() {
+    try {
+        const result = await business.backfillDerivatives();
+        console.log('Derivatives created for ' + result.processed + ' photo(s), ' + result.failed + ' failed');
+    } catch (error) {
+        console.log('Error backfilling derivatives: ' + error.message);
+        process.exitCode = 1;
+    } finally {
+        await persistence.closeDB();
+    }
+}
+
+main();
@@ -0,0 +1,20 @@
+// Backfill Script - Stores the @mention key of users created before mention
+// keys were stored, so they can be mentioned in comments
+// Usage: npm run backfill:mention-keys
+
+const business = require('./business');
+const persistence = require('./persistence');
+
+async function main() {
+    try {
+        const updated = await business.backfillMentionKeys();
+        console.log('Mention keys stored for ' + updated + ' user(s)');
+    } catch (error) {
+        console.log('Error backfilling mention keys: ' + error.message);
+        process.exitCode = 1;
+    } finally {
+        await persistence.closeDB();
+    }
+}
+
+main();
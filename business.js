@@ -3,9 +3,26 @@
 const persistence = require('./persistence');
 const bcrypt = require('bcrypt');
 const email = require('./email');
+const images = require('./images');
+const crypto = require('crypto');
+const config = require('./config');
 
 const SALT_ROUNDS = 10;
 
+// Minimum length of a new password
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long email verification and password reset links stay valid
+const EMAIL_VERIFICATION_TTL = 1000 * 60 * 60 * 24;
+const PASSWORD_RESET_TTL = 1000 * 60 * 60;
+
+// Tag limits: characters per tag and tags per photo
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_PHOTO = 20;
+
+// Number of days a deleted photo stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = 30;
+
 /**
  * Gets photo details with album names instead of IDs
  * @param {number} photoId - ID of the photo
@@ -14,7 +31,8 @@ const SALT_ROUNDS = 10;
 async function getPhotoDetails(photoId) {
     const photo = await persistence.findPhotoById(photoId);
     
-    if (!photo) {
+    // Photos in the trash are treated as missing
+    if (!photo || photo.deletedAt) {
         return null;
     }
     
@@ -33,9 +51,14 @@ async function getPhotoDetails(photoId) {
         date: photo.date,
         description: photo.description,
         albums: albumNames,
+        albumIds: photo.albums,
         tags: photo.tags,
         visibility: photo.visibility,
-        owner: photo.owner
+        owner: photo.owner,
+        shares: photo.shares || [],
+        hiddenAt: photo.hiddenAt || null,
+        derivatives: photo.derivatives,
+        metadata: photo.metadata
     };
 }
 
@@ -103,6 +126,8 @@ async function getAlbumDetails(albumId) {
         id: album.id,
         name: album.name,
         description: album.description,
+        owner: album.owner,
+        unsorted: album.unsorted || false,
         photos: photos,
         photoCount: photos.length
     };
@@ -122,6 +147,18 @@ function formatDate(dateInput) {
     return months[date.getMonth()] + ' ' + date.getDate() + ', ' + date.getFullYear();
 }
 
+/**
+ * Formats a date with its time of day
+ * @param {string|number|Date} dateInput - Date
+ * @returns {string} e.g. "March 5, 2025 at 14:07"
+ */
+function formatDateTime(dateInput) {
+    const date = new Date(dateInput);
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return formatDate(date) + ' at ' + hours + ':' + minutes;
+}
+
 // ==================== USER AUTHENTICATION ====================
 
 /**
@@ -143,269 +180,4237 @@ async function registerUser(name, userEmail, password) {
         return { success: false, message: 'Email already registered' };
     }
     
+    const passwordProblem = validateNewPassword(password);
+    if (passwordProblem) {
+        return { success: false, message: passwordProblem };
+    }
+    
     // Hash password
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
     
     // Create user
     const user = await persistence.createUser({
         name: name,
+        mentionKey: mentionKey(name),
         email: userEmail,
         password: hashedPassword
     });
     
+    await sendVerificationEmail(user, user.email);
+    
     return { 
         success: true, 
         message: 'Registration successful',
-        user: {
-            id: user.id,
-            name: user.name,
-            email: user.email
-        }
+        user: toSessionUser(user)
     };
 }
 
 /**
- * Authenticates a user
+ * Authenticates a user. Repeated failures for an account or from an IP address
+ * make further attempts wait, and eventually lock the account for a while.
  * @param {string} email - User's email
  * @param {string} password - User's password (plain text)
+ * @param {string} ip - IP address the attempt came from
  * @returns {Promise<Object>} Result with success status and message/user
  */
-async function loginUser(userEmail, password) {
+async function loginUser(userEmail, password, ip) {
     // Validate inputs
     if (!userEmail || !password) {
         return { success: false, message: 'Email and password are required' };
     }
     
+    // Count the attempt up front; refuse without checking the password while the account or address has to wait
+    const keys = getLoginKeys(userEmail, ip);
+    const attempt = await reserveLoginAttempt(keys);
+    if (attempt.wait > 0) {
+        return {
+            success: false,
+            throttled: true,
+            message: 'Too many failed login attempts. Please try again in ' + describeWait(attempt.wait) + '.'
+        };
+    }
+    
     // Find user by email
     const user = await persistence.findUserByEmail(userEmail);
     if (!user) {
+        await recordFailedLogin(attempt, null, ip);
         return { success: false, message: 'Invalid email or password' };
     }
     
     // Check password
     const passwordMatch = await bcrypt.compare(password, user.password);
     if (!passwordMatch) {
+        await recordFailedLogin(attempt, user, ip);
         return { success: false, message: 'Invalid email or password' };
     }
     
+    await releaseLoginAttempt(keys);
+    
+    if (user.disabled) {
+        return { success: false, message: 'This account has been disabled. Please contact the site administrators.' };
+    }
+    
+    await recordAudit(user.id, 'login', {}, ip);
+    
     return {
         success: true,
         message: 'Login successful',
-        user: {
-            id: user.id,
-            name: user.name,
-            email: user.email
-        }
+        user: toSessionUser(user)
     };
 }
 
-// ==================== PHOTO VISIBILITY ====================
+/**
+ * Picks the user fields kept in the session
+ * @param {Object} user - User object
+ * @returns {Object} {id, name, email, sessionVersion, role, isStaff}
+ */
+function toSessionUser(user) {
+    return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        sessionVersion: user.sessionVersion || 0,
+        role: getRole(user),
+        isStaff: isStaff(user)
+    };
+}
 
 /**
- * Checks if a user can view a photo based on visibility and ownership
- * @param {Object} photo - Photo object
- * @param {number|null} userId - Current user ID (null if not logged in)
- * @returns {boolean} True if user can view the photo
+ * Reloads the user behind a session. Sessions of disabled accounts, and sessions
+ * started before the user's last password change, are no longer valid.
+ * @param {Object} sessionUser - User stored in the session
+ * @returns {Promise<Object|null>} Fresh session user, or null if the session must end
  */
-function canViewPhoto(photo, userId) {
-    if (!photo) {
-        return false;
+async function refreshSessionUser(sessionUser) {
+    const user = await persistence.findUserById(sessionUser.id);
+    if (!user || user.disabled || (user.sessionVersion || 0) !== (sessionUser.sessionVersion || 0)) {
+        return null;
+    }
+    return toSessionUser(user);
+}
+
+/**
+ * Checks a new password against the password rules
+ * @param {string} password - New password
+ * @param {string} [confirmPassword] - Repeated password, when the form asks for it
+ * @returns {string|null} What is wrong with the password, or null if it is acceptable
+ */
+function validateNewPassword(password, confirmPassword) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters';
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+        return 'Passwords do not match';
+    }
+    return null;
+}
+
+/**
+ * Checks whether notification emails may be sent to a user. Accounts created
+ * before email verification existed have no emailVerified field and count as verified.
+ * @param {Object} user - User object
+ * @returns {boolean} True if the user has a confirmed email address
+ */
+function canEmailUser(user) {
+    return !!user.email && user.emailVerified !== false;
+}
+
+// ==================== LOGIN THROTTLING ====================
+
+// Failed logins allowed before further attempts have to wait, and the failure
+// count that locks out an account or IP address. An IP address can be shared by
+// many people, so it gets more room. Wrong API token secrets are counted the
+// same way, per token ID, with the room of an address.
+const LOGIN_LIMITS = {
+    account: { freeAttempts: 3, lockoutAt: 10 },
+    token: { freeAttempts: 10, lockoutAt: 50 },
+    ip: { freeAttempts: 10, lockoutAt: 50 }
+};
+
+// Wait after the first throttled failure; it doubles with each further failure
+const LOGIN_BASE_DELAY = 1000;
+
+// How long a lockout lasts (also the longest wait)
+const LOGIN_LOCKOUT_DURATION = 1000 * 60 * 15;
+
+// Failed logins are forgotten after this long without another failure
+const LOGIN_FAILURE_WINDOW = 1000 * 60 * 60;
+
+/**
+ * Builds the throttling keys for a login attempt
+ * @param {string} userEmail - Email entered on the form
+ * @param {string} ip - IP address of the request
+ * @returns {Object} {account, ip} keys
+ */
+function getLoginKeys(userEmail, ip) {
+    return {
+        account: 'account:' + String(userEmail).trim().toLowerCase(),
+        ip: 'ip:' + (ip || 'unknown')
+    };
+}
+
+/**
+ * Builds the wait after each failure count for a set of limits: none for the
+ * free attempts, then doubling from LOGIN_BASE_DELAY, then the lockout
+ * @param {Object} limits - {freeAttempts, lockoutAt}
+ * @returns {Array<number>} Milliseconds to wait, indexed by failure count
+ */
+function buildLoginWaits(limits) {
+    const waits = [];
+    for (let failures = 0; failures <= limits.lockoutAt; failures++) {
+        let delay = 0;
+        if (failures >= limits.lockoutAt) {
+            delay = LOGIN_LOCKOUT_DURATION;
+        } else if (failures > limits.freeAttempts) {
+            delay = Math.min(LOGIN_BASE_DELAY * Math.pow(2, failures - limits.freeAttempts - 1), LOGIN_LOCKOUT_DURATION);
+        }
+        waits.push(delay);
     }
+    return waits;
+}
+
+const LOGIN_WAITS = {
+    account: buildLoginWaits(LOGIN_LIMITS.account),
+    token: buildLoginWaits(LOGIN_LIMITS.token),
+    ip: buildLoginWaits(LOGIN_LIMITS.ip)
+};
+
+/**
+ * Counts a login attempt against the account and the IP address before the
+ * password is checked, so parallel attempts cannot get past the limit. If
+ * either has to wait, nothing is counted and the attempt must be refused.
+ * @param {Object} keys - {account, ip} keys, or any of account, token and ip
+ * @returns {Promise<Object>} {wait, failures}: milliseconds left (0 if the
+ *   attempt may go ahead) and the account key's count including this attempt
+ */
+async function reserveLoginAttempt(keys) {
+    const kinds = Object.keys(keys);
+    const reserved = [];
+    let wait = 0;
+    let failures = 0;
     
-    // Public photos can be viewed by logged-in users
-    if (photo.visibility === 'public') {
-        return true;
+    for (let i = 0; i < kinds.length; i++) {
+        const attempt = await persistence.reserveLoginAttempt(keys[kinds[i]], LOGIN_WAITS[kinds[i]], LOGIN_FAILURE_WINDOW);
+        if (attempt.refused) {
+            wait = Math.max(wait, attempt.blockedUntil.getTime() - Date.now(), 1);
+        } else {
+            reserved.push(keys[kinds[i]]);
+        }
+        if (kinds[i] === 'account') {
+            failures = attempt.failures;
+        }
     }
     
-    // Private photos can only be viewed by owner
-    if (photo.visibility === 'private' && photo.owner === userId) {
-        return true;
+    // A refused attempt is not a failure, so give back what was counted
+    if (wait > 0) {
+        for (let i = 0; i < reserved.length; i++) {
+            await persistence.releaseLoginAttempt(reserved[i]);
+        }
     }
     
-    return false;
+    return { wait: wait, failures: failures };
 }
 
 /**
- * Checks if a user can edit a photo (must be owner)
- * @param {Object} photo - Photo object
- * @param {number|null} userId - Current user ID (null if not logged in)
- * @returns {boolean} True if user can edit the photo
+ * Settles a reserved attempt whose password was right: the account's counter
+ * is cleared, and the address only gets this attempt back, keeping earlier failures
+ * @param {Object} keys - {account, ip} keys
+ * @returns {Promise<void>}
  */
-function canEditPhoto(photo, userId) {
-    if (!photo || !userId) {
-        return false;
+async function releaseLoginAttempt(keys) {
+    await persistence.clearLoginAttempts(keys.account);
+    await persistence.releaseLoginAttempt(keys.ip);
+}
+
+/**
+ * Gets how long an attempt has to wait, without counting it
+ * @param {Object} keys - Any of account, token and ip keys
+ * @returns {Promise<number>} Milliseconds left, 0 if the attempt may go ahead
+ */
+async function getLoginWait(keys) {
+    const kinds = Object.keys(keys);
+    let wait = 0;
+    for (let i = 0; i < kinds.length; i++) {
+        const attempt = await persistence.findLoginAttempt(keys[kinds[i]]);
+        if (attempt) {
+            wait = Math.max(wait, attempt.blockedUntil.getTime() - Date.now());
+        }
     }
-    
-    return photo.owner === userId;
+    return wait;
 }
 
 /**
- * Updates photo details including visibility
- * @param {number} photoId - ID of the photo to update
- * @param {number} userId - ID of the user making the update
- * @param {Object} updates - Object with title, description, visibility
- * @returns {Promise<Object>} Result object with success status and message
+ * Describes a wait in words
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "30 seconds" or "15 minutes"
  */
-async function updatePhotoWithVisibility(photoId, userId, updates) {
-    const photo = await persistence.findPhotoById(photoId);
-    
-    if (!photo) {
-        return { success: false, message: 'Photo not found' };
+function describeWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return seconds + (seconds === 1 ? ' second' : ' seconds');
     }
-    
-    // Check if user can edit this photo
-    if (!canEditPhoto(photo, userId)) {
-        return { success: false, message: 'You do not have permission to edit this photo' };
+    const minutes = Math.ceil(seconds / 60);
+    return minutes + (minutes === 1 ? ' minute' : ' minutes');
+}
+
+/**
+ * Records a failed login (already counted when it was reserved) and tells the
+ * owner when it was the one that locked their account
+ * @param {Object} attempt - Reservation from reserveLoginAttempt
+ * @param {Object|null} user - Account that was tried, if it exists
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<void>}
+ */
+async function recordFailedLogin(attempt, user, ip) {
+    if (!user) {
+        return;
     }
     
-    const updateData = {};
+    await recordAudit(user.id, 'login_failed', {}, ip);
     
-    if (updates.title !== undefined) {
-        updateData.title = updates.title;
+    if (attempt.failures === LOGIN_LIMITS.account.lockoutAt) {
+        await recordAudit(user.id, 'lockout', {}, ip);
+        email.sendMail(user.email, 'Your account has been temporarily locked',
+            'Hello ' + user.name + ',\n\n' +
+            'There were ' + LOGIN_LIMITS.account.lockoutAt + ' failed attempts to log in to your Digital Media Catalog account, ' +
+            'the last one from IP address ' + (ip || 'unknown') + '.\n' +
+            'To protect your account, logging in is blocked for ' + describeWait(LOGIN_LOCKOUT_DURATION) + '.\n\n' +
+            'If this was not you, someone may be trying to guess your password. You can choose a new one here:\n' +
+            email.APP_URL + '/forgot-password\n\n' +
+            'Best regards,\nDigital Media Catalog');
     }
-    if (updates.description !== undefined) {
-        updateData.description = updates.description;
+}
+
+// ==================== AUDIT LOG ====================
+
+// Labels of the actions recorded in the audit log
+const AUDIT_ACTIONS = {
+    login: 'Logged in',
+    login_failed: 'Failed login attempt',
+    lockout: 'Account temporarily locked',
+    password_changed: 'Password changed',
+    password_reset: 'Password reset from email link',
+    email_changed: 'Email address changed',
+    visibility_changed: 'Photo visibility changed',
+    photo_deleted: 'Photo moved to trash',
+    photo_restored: 'Photo restored from trash',
+    photo_purged: 'Photo permanently deleted',
+    album_deleted: 'Album deleted',
+    photo_hidden: 'Photo hidden by a moderator',
+    photo_unhidden: 'Photo shown again by a moderator',
+    photo_removed: 'Photo deleted by a moderator',
+    comment_hidden: 'Comment hidden by a moderator',
+    comment_unhidden: 'Comment shown again by a moderator',
+    comment_deleted: 'Comment deleted by a moderator',
+    comment_deleted_by_owner: 'Comment deleted by the photo owner',
+    user_disabled: 'Account disabled',
+    user_enabled: 'Account enabled again',
+    role_changed: 'Role changed',
+    share_added: 'Shared',
+    share_removed: 'Sharing removed',
+    share_link_created: 'Share link created',
+    share_link_revoked: 'Share link revoked',
+    api_token_created: 'API token created',
+    api_token_revoked: 'API token revoked'
+};
+
+// Number of entries shown on the security history page
+const AUDIT_HISTORY_LIMIT = 100;
+
+/**
+ * Records an action in the audit log
+ * @param {number} userId - ID of the user the action concerns
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {Object} details - Extra facts, e.g. {photoId, photoTitle}
+ * @param {string} [ip] - IP address of the request, when known
+ * @param {number|null} [actorId] - ID of the user who acted, when it is not the user concerned
+ * @returns {Promise<void>}
+ */
+async function recordAudit(userId, action, details, ip, actorId) {
+    await persistence.addAuditEntry({
+        userId: userId,
+        actorId: actorId === undefined ? userId : actorId,
+        action: action,
+        details: details,
+        ip: ip || null
+    });
+}
+
+/**
+ * Describes the details of an audit log entry in words
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Description, empty if there is nothing to add
+ */
+function describeAuditDetails(entry) {
+    const details = entry.details || {};
+    if (entry.action === 'visibility_changed') {
+        return '"' + (details.photoTitle || 'Untitled') + '" from ' + details.from + ' to ' + details.to;
     }
-    if (updates.visibility !== undefined) {
-        updateData.visibility = updates.visibility;
+    if (entry.action === 'email_changed' || entry.action === 'role_changed') {
+        return 'From ' + details.from + ' to ' + details.to;
     }
+    if (details.recipient !== undefined) {
+        const subject = details.albumName !== undefined ? 'Album "' + details.albumName + '"' : '"' + (details.photoTitle || 'Untitled') + '"';
+        const permission = details.permission ? ' (' + SHARE_PERMISSIONS[details.permission].toLowerCase() + ')' : '';
+        return subject + ' with ' + details.recipient + permission;
+    }
+    if (details.tokenName !== undefined) {
+        return '"' + details.tokenName + '" (' + API_TOKEN_SCOPES[details.scope].toLowerCase() + ')';
+    }
+    if (details.commentText !== undefined) {
+        return '"' + details.commentText + '" on "' + (details.photoTitle || 'Untitled') + '"';
+    }
+    if (details.photoTitle !== undefined) {
+        return '"' + (details.photoTitle || 'Untitled') + '"' + (details.automatic ? ' (trash emptied automatically)' : '');
+    }
+    if (details.albumName !== undefined) {
+        return '"' + details.albumName + '"';
+    }
+    return '';
+}
+
+/**
+ * Gets a user's security history
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Entries, newest first, each with label, details, date and IP
+ */
+async function getSecurityHistory(userId) {
+    const entries = await persistence.getAuditEntriesByUser(userId, AUDIT_HISTORY_LIMIT);
     
-    const updated = await persistence.updatePhoto(photoId, updateData);
-    
-    if (updated) {
-        return { success: true, message: 'Photo updated successfully' };
-    } else {
-        return { success: false, message: 'Failed to update photo' };
+    const history = [];
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        history.push({
+            action: entry.action,
+            label: AUDIT_ACTIONS[entry.action] || entry.action,
+            details: describeAuditDetails(entry),
+            date: formatDateTime(entry.createdAt),
+            ip: entry.ip,
+            warning: entry.action === 'login_failed' || entry.action === 'lockout'
+        });
     }
+    return history;
 }
 
-// ==================== COMMENTS ====================
+// ==================== EMAIL VERIFICATION AND PASSWORD RESET ====================
 
 /**
- * Adds a comment to a photo
- * @param {number} photoId - ID of the photo
- * @param {number} userId - ID of the user posting comment
- * @param {string} username - Username of the commenter
- * @param {string} commentText - Comment text
- * @returns {Promise<Object>} Result with success status and message/comment
+ * Hashes a token; only hashes are stored, so a database leak reveals no usable links
+ * @param {string} token - Token from a link
+ * @returns {string} Hex-encoded SHA-256 hash
  */
-async function addComment(photoId, userId, username, commentText) {
-    // Validate inputs
-    if (!commentText || commentText.trim() === '') {
-        return { success: false, message: 'Comment cannot be empty' };
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a random single-use token
+ * @param {number} userId - ID of the user
+ * @param {string} purpose - 'verify' or 'reset'
+ * @param {string} address - Email address the token is sent to
+ * @param {number} ttl - Milliseconds until the token expires
+ * @returns {Promise<string>} The token, to be put in a link
+ */
+async function issueAuthToken(userId, purpose, address, ttl) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await persistence.createAuthToken({
+        tokenHash: hashToken(token),
+        userId: userId,
+        purpose: purpose,
+        email: address,
+        expiresAt: new Date(Date.now() + ttl)
+    });
+    return token;
+}
+
+/**
+ * Emails a link that confirms an address belongs to the user. Earlier links stop working.
+ * @param {Object} user - User object
+ * @param {string} address - Address to confirm (the current one, or a new one being switched to)
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user, address) {
+    await persistence.deleteAuthTokens(user.id, 'verify');
+    const token = await issueAuthToken(user.id, 'verify', address, EMAIL_VERIFICATION_TTL);
+    
+    email.sendMail(address, 'Confirm your email address',
+        'Hello ' + user.name + ',\n\n' +
+        'Please confirm that ' + address + ' is your email address by opening this link:\n' +
+        email.APP_URL + '/verify-email?token=' + token + '\n\n' +
+        'The link expires in 24 hours. If you did not ask for this, you can ignore this email.\n\n' +
+        'Best regards,\nDigital Media Catalog');
+}
+
+/**
+ * Confirms an email address from a verification link. If the link was sent to a
+ * new address, the account switches to that address.
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function verifyEmail(token) {
+    const invalid = { success: false, message: 'This confirmation link is invalid, has expired or was already used' };
+    if (!token) {
+        return invalid;
     }
     
-    // Check if photo exists
-    const photo = await persistence.findPhotoById(photoId);
-    if (!photo) {
-        return { success: false, message: 'Photo not found' };
+    const record = await persistence.useAuthToken(hashToken(token), 'verify');
+    if (!record) {
+        return invalid;
     }
     
-    // Check if user can comment (must be able to view the photo)
-    if (!canViewPhoto(photo, userId)) {
-        return { success: false, message: 'You cannot comment on this photo' };
+    const user = await persistence.findUserById(record.userId);
+    if (!user) {
+        return invalid;
     }
     
-    // Create comment
-    const comment = await persistence.createComment({
-        photoId: photoId,
-        userId: userId,
-        username: username,
-        text: commentText.trim()
-    });
+    if (record.email === user.email) {
+        await persistence.updateUser(user.id, { emailVerified: true });
+        return { success: true, message: 'Your email address has been confirmed.' };
+    }
     
-    // Send email notification to photo owner
-    if (photo.owner !== userId) {
-        // Get photo owner details
-        const owner = await persistence.findUserById(photo.owner);
-        if (owner && owner.email) {
-            const subject = 'New comment on your photo: ' + (photo.title || 'Untitled');
-            const body = 'Hello ' + owner.name + ',\n\n' +
-                username + ' commented on your photo "' + (photo.title || 'Untitled') + '":\n\n' +
-                '"' + commentText.trim() + '"\n\n' +
-                'View your photo to see all comments.\n\n' +
-                'Best regards,\nDigital Media Catalog';
-            
-            email.sendMail(owner.email, subject, body);
+    if (record.email === user.pendingEmail) {
+        const existingUser = await persistence.findUserByEmail(record.email);
+        if (existingUser && existingUser.id !== user.id) {
+            return { success: false, message: 'That email address is already used by another account' };
         }
+        await persistence.updateUser(user.id, { email: record.email, pendingEmail: null, emailVerified: true });
+        await recordAudit(user.id, 'email_changed', { from: user.email, to: record.email });
+        return { success: true, message: 'Your email address has been changed to ' + record.email + '.' };
     }
     
-    return {
-        success: true,
-        message: 'Comment added successfully',
-        comment: comment
-    };
+    // The link was for an address the user has since moved away from
+    return invalid;
 }
 
 /**
- * Gets all comments for a photo
- * @param {number} photoId - ID of the photo
- * @returns {Promise<Array>} Array of comments
+ * Sends a password reset link. The result is the same whether or not the
+ * address has an account, so the form cannot be used to discover accounts.
+ * @param {string} userEmail - Email address entered on the form
+ * @returns {Promise<Object>} Result object with success status and message
  */
-async function getPhotoComments(photoId) {
-    return await persistence.getCommentsByPhotoId(photoId);
+async function requestPasswordReset(userEmail) {
+    const address = (userEmail || '').trim();
+    if (!address) {
+        return { success: false, message: 'Email is required' };
+    }
+    
+    const user = await persistence.findUserByEmail(address);
+    if (user) {
+        const token = await issueAuthToken(user.id, 'reset', user.email, PASSWORD_RESET_TTL);
+        email.sendMail(user.email, 'Reset your password',
+            'Hello ' + user.name + ',\n\n' +
+            'Someone asked to reset the password of your Digital Media Catalog account.\n' +
+            'To choose a new password, open this link:\n' +
+            email.APP_URL + '/reset-password?token=' + token + '\n\n' +
+            'The link expires in 1 hour and works once. If you did not ask for this, you can ignore this email.\n\n' +
+            'Best regards,\nDigital Media Catalog');
+    }
+    
+    return { success: true, message: 'If an account exists for ' + address + ', we have sent it a link to reset the password.' };
 }
 
-// ==================== PHOTO UPLOAD ====================
+/**
+ * Checks whether a password reset link can still be used
+ * @param {string} token - Token from the link
+ * @returns {Promise<boolean>} True if the token is valid, unused and not expired
+ */
+async function isPasswordResetTokenValid(token) {
+    if (!token) {
+        return false;
+    }
+    const record = await persistence.findAuthToken(hashToken(token), 'reset');
+    return record !== null;
+}
 
 /**
- * Uploads a new photo to an album
- * @param {number} albumId - ID of the album to add photo to
- * @param {number} userId - ID of the user uploading
- * @param {string} filename - Filename of the uploaded file
- * @returns {Promise<Object>} Result with success status and message
+ * Sets a new password from a reset link and signs the user out everywhere
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @param {string} confirmPassword - New password repeated
+ * @param {string} [ip] - IP address of the request
+ * @returns {Promise<Object>} Result object with success status and message
  */
-async function uploadPhoto(albumId, userId, filename) {
-    // Check if album exists
-    const album = await persistence.findAlbumById(albumId);
-    if (!album) {
-        return { success: false, message: 'Album not found' };
+async function resetPassword(token, password, confirmPassword, ip) {
+    const passwordProblem = validateNewPassword(password, confirmPassword);
+    if (passwordProblem) {
+        return { success: false, message: passwordProblem };
     }
     
-    // Create photo with default values
-    const photoData = {
-        filename: filename,
-        title: '',
-        description: '',
-        tags: [],
-        albums: [albumId],
-        visibility: 'private',
-        owner: userId,
-        date: new Date().toISOString()
-    };
+    const record = token ? await persistence.useAuthToken(hashToken(token), 'reset') : null;
+    if (!record) {
+        return { success: false, message: 'This reset link is invalid, has expired or was already used' };
+    }
     
-    const photo = await persistence.createPhoto(photoData);
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    await persistence.updateUser(record.userId, { password: hashedPassword });
+    await persistence.incrementSessionVersion(record.userId);
+    await persistence.deleteAuthTokens(record.userId, 'reset');
+    await recordAudit(record.userId, 'password_reset', {}, ip);
     
-    if (photo) {
-        return { success: true, message: 'Photo uploaded successfully', photo: photo };
-    } else {
-        return { success: false, message: 'Failed to upload photo' };
+    // Proving access to the mailbox also ends any lockout of the account
+    const user = await persistence.findUserById(record.userId);
+    if (user) {
+        await persistence.clearLoginAttempts(getLoginKeys(user.email).account);
     }
+    
+    return { success: true, message: 'Your password has been reset. You can now log in.' };
 }
 
-// ==================== SEARCH ====================
+// ==================== ACCOUNT SETTINGS ====================
 
 /**
- * Searches photos by tags, title, and description
- * @param {string} query - Search query
- * @param {number} userId - ID of the current user
- * @returns {Promise<Array>} Array of matching photos
+ * Gets the details shown on the account settings page
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object|null>} {name, email, emailVerified, pendingEmail, awaitingConfirmation} or null if not found
+ */
+async function getAccount(userId) {
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return null;
+    }
+    return {
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        pendingEmail: user.pendingEmail || null,
+        awaitingConfirmation: !!user.pendingEmail || user.emailVerified === false
+    };
+}
+
+/**
+ * Changes the user's display name
+ * @param {number} userId - ID of the user
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Result object with success status and message
  */
-async function searchPhotos(query, userId) {
-    // Get all photos that match the search query
-    const allPhotos = await persistence.searchPhotos(query);
+async function updateAccountName(userId, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        return { success: false, message: 'Name is required' };
+    }
     
-    // Filter to only show photos the user can view
-    const visiblePhotos = [];
+    const updated = await persistence.updateUser(userId, { name: trimmed, mentionKey: mentionKey(trimmed) });
+    if (!updated) {
+        return { success: false, message: 'User not found' };
+    }
+    return { success: true, message: 'Your name has been updated.' };
+}
+
+/**
+ * Starts an email address change. The new address takes effect once it is
+ * confirmed from the link sent to it; the current address is told about the change.
+ * @param {number} userId - ID of the user
+ * @param {string} newEmail - New email address
+ * @param {string} currentPassword - Current password, to confirm it is the account owner
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function changeEmail(userId, newEmail, currentPassword) {
+    const address = (newEmail || '').trim();
+    if (!address || address.indexOf('@') === -1) {
+        return { success: false, message: 'Please enter a valid email address' };
+    }
     
-    for (let i = 0; i < allPhotos.length; i++) {
-        const photo = allPhotos[i];
-        if (canViewPhoto(photo, userId)) {
-            visiblePhotos.push(photo);
-        }
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
     }
     
-    return visiblePhotos;
+    const passwordMatch = await bcrypt.compare(currentPassword || '', user.password);
+    if (!passwordMatch) {
+        return { success: false, message: 'Current password is incorrect' };
+    }
+    
+    if (address === user.email) {
+        return { success: false, message: 'That is already your email address' };
+    }
+    
+    const existingUser = await persistence.findUserByEmail(address);
+    if (existingUser) {
+        return { success: false, message: 'That email address is already used by another account' };
+    }
+    
+    await persistence.updateUser(userId, { pendingEmail: address });
+    await sendVerificationEmail(user, address);
+    
+    email.sendMail(user.email, 'Your email address is being changed',
+        'Hello ' + user.name + ',\n\n' +
+        'Someone asked to change the email address of your Digital Media Catalog account to ' + address + '.\n' +
+        'The change takes effect once the new address is confirmed.\n\n' +
+        'If this was not you, reset your password now:\n' +
+        email.APP_URL + '/forgot-password\n\n' +
+        'Best regards,\nDigital Media Catalog');
+    
+    return { success: true, message: 'We sent a confirmation link to ' + address + '. Your email address changes once you open it.' };
+}
+
+/**
+ * Changes the user's password and signs out all of their other sessions
+ * @param {number} userId - ID of the user
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {string} confirmPassword - New password repeated
+ * @param {string} [ip] - IP address of the request
+ * @returns {Promise<Object>} Result with success status, message and the new sessionVersion
+ */
+async function changePassword(userId, currentPassword, newPassword, confirmPassword, ip) {
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const passwordMatch = await bcrypt.compare(currentPassword || '', user.password);
+    if (!passwordMatch) {
+        return { success: false, message: 'Current password is incorrect' };
+    }
+    
+    const passwordProblem = validateNewPassword(newPassword, confirmPassword);
+    if (passwordProblem) {
+        return { success: false, message: passwordProblem };
+    }
+    
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await persistence.updateUser(userId, { password: hashedPassword });
+    const sessionVersion = await persistence.incrementSessionVersion(userId);
+    await persistence.deleteAuthTokens(userId, 'reset');
+    await recordAudit(userId, 'password_changed', {}, ip);
+    
+    return {
+        success: true,
+        message: 'Your password has been changed and your other sessions have been signed out.',
+        sessionVersion: sessionVersion
+    };
+}
+
+/**
+ * Sends a new confirmation link for the address waiting to be confirmed
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function resendVerification(userId) {
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const address = user.pendingEmail || (user.emailVerified === false ? user.email : null);
+    if (!address) {
+        return { success: false, message: 'Your email address is already confirmed' };
+    }
+    
+    await sendVerificationEmail(user, address);
+    return { success: true, message: 'We sent a new confirmation link to ' + address + '.' };
+}
+
+// ==================== API TOKENS ====================
+
+// What each API token scope lets a script do
+const API_TOKEN_SCOPES = {
+    read: 'Read only',
+    upload: 'Read and upload',
+    full: 'Full access'
+};
+
+// Longest allowed API token name
+const MAX_API_TOKEN_NAME_LENGTH = 60;
+
+// Random bytes in an API token's secret
+const API_TOKEN_SECRET_BYTES = 32;
+
+// Tokens look like dmc_<id>_<secret>; the ID finds the stored hash to check the secret against
+const API_TOKEN_PATTERN = /^dmc_(\d+)_([A-Za-z0-9_-]+)$/;
+
+// How long a secret that matched its bcrypt hash is trusted without checking it again
+const API_TOKEN_CACHE_DURATION = 1000 * 60;
+
+// Token ID -> {secretHash, digest, expiresAt} of secrets checked recently. The
+// SHA-256 digest of the secret is kept, never the secret itself.
+const verifiedApiTokens = new Map();
+
+/**
+ * Checks whether a token's secret matched its hash a moment ago
+ * @param {Object} apiToken - Stored API token
+ * @param {string} secret - Secret sent with the request
+ * @returns {boolean} True if the same secret was verified recently
+ */
+function isApiTokenVerified(apiToken, secret) {
+    const entry = verifiedApiTokens.get(apiToken.id);
+    if (!entry || entry.secretHash !== apiToken.secretHash || entry.expiresAt < Date.now()) {
+        return false;
+    }
+    const digest = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(digest, entry.digest);
+}
+
+/**
+ * Remembers that a token's secret matched its hash
+ * @param {Object} apiToken - Stored API token
+ * @param {string} secret - Secret that was verified
+ */
+function rememberVerifiedApiToken(apiToken, secret) {
+    verifiedApiTokens.set(apiToken.id, {
+        secretHash: apiToken.secretHash,
+        digest: crypto.createHash('sha256').update(secret).digest(),
+        expiresAt: Date.now() + API_TOKEN_CACHE_DURATION
+    });
+}
+
+/**
+ * Creates a personal API token. The token is only shown in the result;
+ * its secret is stored as a bcrypt hash, like a password.
+ * @param {number} userId - ID of the user
+ * @param {string} name - Name to recognise the token by
+ * @param {string} scope - Key of API_TOKEN_SCOPES
+ * @returns {Promise<Object>} Result with success status and message, plus token on success
+ */
+async function createApiToken(userId, name, scope) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        return { success: false, message: 'Token name is required' };
+    }
+    if (trimmed.length > MAX_API_TOKEN_NAME_LENGTH) {
+        return { success: false, message: 'Token name must be at most ' + MAX_API_TOKEN_NAME_LENGTH + ' characters' };
+    }
+    if (!Object.prototype.hasOwnProperty.call(API_TOKEN_SCOPES, scope)) {
+        return { success: false, message: 'Please choose what the token may do' };
+    }
+    
+    const secret = crypto.randomBytes(API_TOKEN_SECRET_BYTES).toString('base64url');
+    const apiToken = await persistence.createApiToken({
+        userId: userId,
+        name: trimmed,
+        scope: scope,
+        secretHash: await bcrypt.hash(secret, SALT_ROUNDS)
+    });
+    await recordAudit(userId, 'api_token_created', { tokenId: apiToken.id, tokenName: trimmed, scope: scope });
+    
+    return {
+        success: true,
+        message: 'Token created. Copy it now; it will not be shown again.',
+        token: 'dmc_' + apiToken.id + '_' + secret
+    };
+}
+
+/**
+ * Gets a user's API tokens for the account settings page
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} [{id, name, scope, created, lastUsed}]
+ */
+async function getApiTokens(userId) {
+    const tokens = await persistence.getActiveApiTokensByUser(userId);
+    
+    const rows = [];
+    for (let i = 0; i < tokens.length; i++) {
+        rows.push({
+            id: tokens[i].id,
+            name: tokens[i].name,
+            scope: API_TOKEN_SCOPES[tokens[i].scope],
+            created: formatDate(tokens[i].createdAt),
+            lastUsed: tokens[i].lastUsedAt ? formatDateTime(tokens[i].lastUsedAt) : null
+        });
+    }
+    return rows;
+}
+
+/**
+ * Revokes one of the user's API tokens
+ * @param {number} tokenId - ID of the API token
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function revokeApiToken(tokenId, userId) {
+    const apiToken = await persistence.revokeApiToken(tokenId, userId);
+    if (!apiToken) {
+        return { success: false, message: 'Token not found' };
+    }
+    
+    verifiedApiTokens.delete(apiToken.id);
+    await recordAudit(userId, 'api_token_revoked', { tokenId: apiToken.id, tokenName: apiToken.name, scope: apiToken.scope });
+    return { success: true, message: 'Token "' + apiToken.name + '" revoked. It no longer works.' };
+}
+
+/**
+ * Checks an API token sent by a script and records that it was used.
+ * Tokens stop working when they are revoked and while their user is disabled.
+ * Wrong secrets are counted like failed logins: per token ID for tokens that
+ * exist, and per IP address (apart from web logins) for IDs that do not, so a
+ * busy address never blocks the good tokens used from it. While a key has to
+ * wait, its secrets are not checked at all. A secret that matched is trusted
+ * for a minute, so scripts sending many requests do not pay for bcrypt each time.
+ * @param {string} token - Token from the Authorization header
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<Object|null>} {user (session user), scope}, {throttled, message}
+ *   while the token ID or address has to wait, or null if the token does not work
+ */
+async function authenticateApiToken(token, ip) {
+    const match = API_TOKEN_PATTERN.exec(token || '');
+    if (!match) {
+        return null;
+    }
+    
+    const tokenId = parseInt(match[1], 10);
+    const apiToken = await persistence.findActiveApiToken(tokenId);
+    
+    if (!apiToken || !isApiTokenVerified(apiToken, match[2])) {
+        const keys = apiToken ? { token: 'token:' + tokenId } : { ip: 'apiip:' + (ip || 'unknown') };
+        const wait = await getLoginWait(keys);
+        if (wait > 0) {
+            return { throttled: true, message: 'Too many invalid API tokens. Please try again in ' + describeWait(wait) + '.' };
+        }
+        
+        if (!apiToken || !(await bcrypt.compare(match[2], apiToken.secretHash))) {
+            await reserveLoginAttempt(keys);
+            return null;
+        }
+        rememberVerifiedApiToken(apiToken, match[2]);
+        await persistence.clearLoginAttempts(keys.token);
+    }
+    
+    const user = await persistence.findUserById(apiToken.userId);
+    if (!user || user.disabled) {
+        return null;
+    }
+    
+    await persistence.recordApiTokenUse(apiToken.id);
+    return { user: toSessionUser(user), scope: apiToken.scope };
+}
+
+// ==================== PHOTO VISIBILITY ====================
+
+// Visibility choices for a photo. Shared photos are visible to the users and
+// groups on their share list.
+const PHOTO_VISIBILITIES = ['public', 'private', 'shared'];
+
+/**
+ * Works out what a user may do with a photo
+ * @param {Object} photo - Photo object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @param {Object} [access] - The user's share access from getShareAccess; without it
+ *   only public photos and the user's own photos are visible
+ * @returns {string|null} 'owner', 'comment', 'view', or null if the user cannot see the photo
+ */
+function getPhotoPermission(photo, userId, access) {
+    if (!photo || photo.deletedAt) {
+        return null;
+    }
+    
+    // Owners always see their photos, even when a moderator has hidden them
+    if (userId && photo.owner === userId) {
+        return 'owner';
+    }
+    
+    // Photos hidden by a moderator can only be viewed by owner
+    if (photo.hiddenAt) {
+        return null;
+    }
+    
+    // Public photos can be viewed and commented on by logged-in users
+    if (photo.visibility === 'public') {
+        return 'comment';
+    }
+    
+    if (!access) {
+        return null;
+    }
+    
+    // Shared photos can be viewed by the users and groups they were shared with
+    let permission = null;
+    if (photo.visibility === 'shared') {
+        permission = findSharePermission(photo.shares, access);
+    }
+    
+    // Photos inherit the shares of their albums, as long as the album belongs to the photo's owner
+    const albumIds = photo.albumIds || photo.albums || [];
+    for (let i = 0; i < albumIds.length; i++) {
+        const album = access.albums[albumIds[i]];
+        if (album && album.owner === photo.owner) {
+            permission = strongerPermission(permission, album.permission);
+        }
+    }
+    
+    return permission;
+}
+
+/**
+ * Checks if a user can view a photo based on visibility, ownership and shares
+ * @param {Object} photo - Photo object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @param {Object} [access] - The user's share access from getShareAccess
+ * @returns {boolean} True if user can view the photo
+ */
+function canViewPhoto(photo, userId, access) {
+    return getPhotoPermission(photo, userId, access) !== null;
+}
+
+/**
+ * Checks if a user can comment on a photo. Photos shared view-only can be
+ * seen but not commented on.
+ * @param {Object} photo - Photo object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @param {Object} [access] - The user's share access from getShareAccess
+ * @returns {boolean} True if user can comment on the photo
+ */
+function canCommentOnPhoto(photo, userId, access) {
+    const permission = getPhotoPermission(photo, userId, access);
+    return permission === 'owner' || permission === 'comment';
+}
+
+/**
+ * Checks if a user can edit a photo (must be owner)
+ * @param {Object} photo - Photo object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @returns {boolean} True if user can edit the photo
+ */
+function canEditPhoto(photo, userId) {
+    if (!photo || !userId) {
+        return false;
+    }
+    
+    return photo.owner === userId;
+}
+
+/**
+ * Updates photo details including visibility, and optionally its albums and
+ * GPS location. Everything is checked before anything is saved, so a refused
+ * change leaves the photo as it was.
+ * @param {number} photoId - ID of the photo to update
+ * @param {number} userId - ID of the user making the update
+ * @param {Object} updates - Object with title, description, visibility, tags, and
+ *   optionally albumIds (see updatePhotoAlbums) and stripGps (true to remove the location)
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function updatePhotoWithVisibility(photoId, userId, updates) {
+    const photo = await persistence.findPhotoById(photoId);
+    
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+    
+    // Check if user can edit this photo
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to edit this photo' };
+    }
+    
+    const updateData = {};
+    
+    if (updates.title !== undefined) {
+        updateData.title = updates.title;
+    }
+    if (updates.description !== undefined) {
+        updateData.description = updates.description;
+    }
+    if (updates.visibility !== undefined) {
+        if (PHOTO_VISIBILITIES.indexOf(updates.visibility) === -1) {
+            return { success: false, message: 'Visibility must be public, private or shared' };
+        }
+        updateData.visibility = updates.visibility;
+    }
+    if (updates.tags !== undefined) {
+        updateData.tags = normalizeTags(updates.tags);
+    }
+    
+    let albums = null;
+    if (updates.albumIds !== undefined) {
+        albums = await checkPhotoAlbums(photo, userId, updates.albumIds);
+        if (!albums.success) {
+            return albums;
+        }
+    }
+    
+    // Remove the GPS location first so it is gone before the photo can become public
+    if (updates.stripGps) {
+        const stripResult = await stripPhotoGps(photoId, userId);
+        if (!stripResult.success) {
+            return stripResult;
+        }
+    }
+    
+    const updated = await persistence.updatePhoto(photoId, updateData);
+    if (updated && albums) {
+        await setPhotoAlbumIds(photo, albums.albumIds);
+    }
+    
+    if (updated && updateData.visibility !== undefined && updateData.visibility !== photo.visibility) {
+        await recordAudit(userId, 'visibility_changed', {
+            photoId: photo.id,
+            photoTitle: updateData.title !== undefined ? updateData.title : photo.title,
+            from: photo.visibility,
+            to: updateData.visibility
+        });
+    }
+    
+    if (updated) {
+        return { success: true, message: 'Photo updated successfully' };
+    } else {
+        return { success: false, message: 'Failed to update photo' };
+    }
+}
+
+// Sizes an image can be requested in: the derivative sizes and the uploaded original
+const IMAGE_SIZES = Object.keys(images.DERIVATIVE_SIZES).concat(['original']);
+
+/**
+ * Finds the stored file for one size of a photo. Photos whose derivatives
+ * have not been created yet are sent in their original size.
+ * @param {Object} photo - Photo object
+ * @param {string} size - One of IMAGE_SIZES
+ * @returns {string} Path of the file, relative to the photo folder
+ */
+function getImageFile(photo, size) {
+    if (size === 'original' || !photo.derivatives || !photo.derivatives[size]) {
+        return photo.filename;
+    }
+    return photo.derivatives[size].path;
+}
+
+/**
+ * Gets the image file of a photo for a logged-in user, applying the same rules
+ * as the photo page. Owners also get the photos in their trash. Staff get the
+ * thumbnail of every photo, which is all the moderation list shows; the
+ * other sizes of a private photo stay with the people it is shared with.
+ * @param {number} photoId - ID of the photo
+ * @param {string} size - One of IMAGE_SIZES
+ * @param {Object} sessionUser - Session user {id, isStaff}
+ * @returns {Promise<Object>} Result with success status and message, plus file and
+ *   isPublic on success; notFound is set when the photo or size does not exist
+ */
+async function getPhotoImage(photoId, size, sessionUser) {
+    const photo = IMAGE_SIZES.indexOf(size) !== -1 ? await persistence.findPhotoById(photoId) : null;
+    
+    if (!photo || (photo.deletedAt && photo.owner !== sessionUser.id)) {
+        return { success: false, notFound: true, message: 'Image not found' };
+    }
+    
+    // Public and own photos need no share lookup, which keeps galleries cheap
+    let allowed = canViewPhoto(photo, sessionUser.id) || photo.owner === sessionUser.id || (sessionUser.isStaff && size === 'thumb');
+    if (!allowed) {
+        allowed = canViewPhoto(photo, sessionUser.id, await getShareAccess(sessionUser.id));
+    }
+    if (!allowed) {
+        return { success: false, message: 'You do not have permission to view this photo' };
+    }
+    
+    return {
+        success: true,
+        message: 'Image found',
+        file: getImageFile(photo, size),
+        isPublic: photo.visibility === 'public' && !photo.hiddenAt && !photo.deletedAt
+    };
+}
+
+// ==================== TAGS ====================
+
+/**
+ * Normalises a tag list: trims, lower-cases, collapses inner whitespace,
+ * cuts each tag to MAX_TAG_LENGTH, drops empties and duplicates, and keeps
+ * at most MAX_TAGS_PER_PHOTO tags.
+ * @param {string|Array<string>} input - Comma-separated string or array of tags
+ * @returns {Array<string>} Normalised tags
+ */
+function normalizeTags(input) {
+    let rawTags = [];
+    if (Array.isArray(input)) {
+        rawTags = input;
+    } else if (typeof input === 'string') {
+        rawTags = input.split(',');
+    }
+
+    const tags = [];
+    for (let i = 0; i < rawTags.length; i++) {
+        if (typeof rawTags[i] !== 'string') {
+            continue;
+        }
+
+        const tag = rawTags[i].trim().toLowerCase().replace(/\s+/g, ' ').substring(0, MAX_TAG_LENGTH).trim();
+
+        if (tag !== '' && tags.indexOf(tag) === -1) {
+            tags.push(tag);
+        }
+        if (tags.length === MAX_TAGS_PER_PHOTO) {
+            break;
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * Builds a tag cloud over the photos a user can see
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Array>} Array of {name, count, size} sorted by name, size is 1-5
+ */
+async function getTagCloud(userId) {
+    // Visibility is applied in the query, so only the counts are loaded
+    const access = await getShareAccess(userId);
+    const counts = await persistence.getTagCounts(access);
+
+    let maxCount = 1;
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i].count > maxCount) {
+            maxCount = counts[i].count;
+        }
+    }
+
+    const cloud = [];
+    for (let i = 0; i < counts.length; i++) {
+        cloud.push({
+            name: counts[i].name,
+            count: counts[i].count,
+            size: 1 + Math.round((counts[i].count - 1) / Math.max(maxCount - 1, 1) * 4)
+        });
+    }
+
+    return cloud;
+}
+
+/**
+ * Gets the photos with a tag that a user can see
+ * @param {string} tag - Tag name (normalised before lookup)
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Array>} Array of photos
+ */
+async function getPhotosByTag(tag, userId) {
+    const normalized = normalizeTags([tag]);
+    if (normalized.length === 0) {
+        return [];
+    }
+
+    const photos = await persistence.getPhotosByTag(normalized[0]);
+    const access = await getShareAccess(userId);
+    const visiblePhotos = [];
+
+    for (let i = 0; i < photos.length; i++) {
+        if (canViewPhoto(photos[i], userId, access)) {
+            visiblePhotos.push(photos[i]);
+        }
+    }
+
+    return visiblePhotos;
+}
+
+// ==================== ALBUM MANAGEMENT ====================
+
+/**
+ * Checks if a user can edit or delete an album (must be owner)
+ * @param {Object} album - Album object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @returns {boolean} True if user can edit the album
+ */
+function canEditAlbum(album, userId) {
+    if (!album || !userId) {
+        return false;
+    }
+
+    return album.owner === userId;
+}
+
+/**
+ * Checks if a user can add photos to an album. Albums without an owner
+ * (seeded shared albums) are open to everyone; owned albums only to the owner.
+ * @param {Object} album - Album object
+ * @param {number|null} userId - Current user ID (null if not logged in)
+ * @returns {boolean} True if user can post into the album
+ */
+function canPostToAlbum(album, userId) {
+    if (!album || !userId) {
+        return false;
+    }
+
+    if (album.owner === undefined || album.owner === null) {
+        return !album.unsorted;
+    }
+
+    return album.owner === userId;
+}
+
+/**
+ * Creates a new album owned by the user
+ * @param {number} userId - ID of the user creating the album
+ * @param {string} name - Album name
+ * @param {string} description - Album description
+ * @returns {Promise<Object>} Result with success status and message/album
+ */
+async function createAlbum(userId, name, description) {
+    if (!name || name.trim() === '') {
+        return { success: false, message: 'Album name is required' };
+    }
+
+    const album = await persistence.createAlbum({
+        name: name.trim(),
+        description: (description || '').trim(),
+        owner: userId
+    });
+
+    return { success: true, message: 'Album created successfully', album: album };
+}
+
+/**
+ * Updates an album's name and description
+ * @param {number} albumId - ID of the album to update
+ * @param {number} userId - ID of the user making the update
+ * @param {Object} updates - Object with name, description
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function updateAlbum(albumId, userId, updates) {
+    const album = await persistence.findAlbumById(albumId);
+
+    if (!album) {
+        return { success: false, message: 'Album not found' };
+    }
+
+    if (!canEditAlbum(album, userId)) {
+        return { success: false, message: 'You do not have permission to edit this album' };
+    }
+
+    if (!updates.name || updates.name.trim() === '') {
+        return { success: false, message: 'Album name is required' };
+    }
+
+    const updated = await persistence.updateAlbum(albumId, {
+        name: updates.name.trim(),
+        description: (updates.description || '').trim()
+    });
+
+    if (updated) {
+        return { success: true, message: 'Album updated successfully' };
+    } else {
+        return { success: false, message: 'Failed to update album' };
+    }
+}
+
+/**
+ * Gets the user's "Unsorted" album, creating it the first time it is needed
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Object>} Unsorted album object
+ */
+async function getUnsortedAlbum(userId) {
+    const existing = await persistence.findUnsortedAlbum(userId);
+    if (existing) {
+        return existing;
+    }
+
+    return await persistence.createAlbum({
+        name: 'Unsorted',
+        description: 'Photos that no longer belong to any album',
+        owner: userId,
+        unsorted: true
+    });
+}
+
+/**
+ * Gets the albums a photo can be placed in, marking the ones it is in now
+ * @param {Object} photo - Photo object (as returned by getPhotoDetails)
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Array>} Array of {id, name, selected}
+ */
+async function getAlbumChoices(photo, userId) {
+    const albums = await persistence.loadAlbums();
+    const choices = [];
+
+    for (let i = 0; i < albums.length; i++) {
+        const selected = photo.albumIds.indexOf(albums[i].id) !== -1;
+        if (selected || canPostToAlbum(albums[i], userId)) {
+            choices.push({ id: albums[i].id, name: albums[i].name, selected: selected });
+        }
+    }
+
+    return choices;
+}
+
+/**
+ * Sets which albums a photo belongs to, adding and removing memberships.
+ * Every newly added album must exist and accept posts from the user; albums
+ * the photo is already in may be kept. A photo left in no album goes to the
+ * owner's "Unsorted" album, and leaves it again once it is in a real album.
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the user making the change
+ * @param {Array<number>} albumIds - Albums the photo should belong to
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function updatePhotoAlbums(photoId, userId, albumIds) {
+    const photo = await persistence.findPhotoById(photoId);
+
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to edit this photo' };
+    }
+
+    const checked = await checkPhotoAlbums(photo, userId, albumIds);
+    if (!checked.success) {
+        return checked;
+    }
+
+    const updated = await setPhotoAlbumIds(photo, checked.albumIds);
+
+    if (updated) {
+        return { success: true, message: 'Albums updated successfully' };
+    } else {
+        return { success: false, message: 'Failed to update albums' };
+    }
+}
+
+/**
+ * Checks the albums a photo should belong to, without changing anything
+ * (see updatePhotoAlbums for the rules)
+ * @param {Object} photo - Photo object
+ * @param {number} userId - ID of the user making the change
+ * @param {Array<number>} albumIds - Albums the photo should belong to
+ * @returns {Promise<Object>} Result object with success status and message,
+ *   plus albumIds to store on success (empty if the photo goes to "Unsorted")
+ */
+async function checkPhotoAlbums(photo, userId, albumIds) {
+    const albums = [];
+    let hasRealAlbum = false;
+
+    for (let i = 0; i < albumIds.length; i++) {
+        const albumId = albumIds[i];
+        if (albums.indexOf(albumId) !== -1) {
+            continue;
+        }
+
+        const album = await persistence.findAlbumById(albumId);
+        if (!album) {
+            return { success: false, message: 'Album ' + albumId + ' not found' };
+        }
+
+        const alreadyMember = photo.albums.indexOf(albumId) !== -1;
+        if (!alreadyMember && !canPostToAlbum(album, userId)) {
+            return { success: false, message: 'You cannot add photos to the album "' + album.name + '"' };
+        }
+
+        if (!album.unsorted) {
+            hasRealAlbum = true;
+        }
+        albums.push(album);
+    }
+
+    const newAlbumIds = [];
+    for (let i = 0; i < albums.length; i++) {
+        if (!(hasRealAlbum && albums[i].unsorted)) {
+            newAlbumIds.push(albums[i].id);
+        }
+    }
+
+    return { success: true, message: 'Albums are valid', albumIds: newAlbumIds };
+}
+
+/**
+ * Stores the albums of a photo checked by checkPhotoAlbums; a photo in no
+ * album goes to its owner's "Unsorted" album
+ * @param {Object} photo - Photo object
+ * @param {Array<number>} albumIds - Checked album IDs
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function setPhotoAlbumIds(photo, albumIds) {
+    if (albumIds.length === 0) {
+        const unsorted = await getUnsortedAlbum(photo.owner);
+        albumIds = [unsorted.id];
+    }
+    return await persistence.setPhotoAlbums(photo.id, albumIds);
+}
+
+/**
+ * Deletes an album. Photos that only belonged to this album are moved to
+ * their owner's "Unsorted" album so they never point at a missing album.
+ * @param {number} albumId - ID of the album to delete
+ * @param {number} userId - ID of the user deleting the album
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function deleteAlbum(albumId, userId) {
+    const album = await persistence.findAlbumById(albumId);
+
+    if (!album) {
+        return { success: false, message: 'Album not found' };
+    }
+
+    if (!canEditAlbum(album, userId)) {
+        return { success: false, message: 'You do not have permission to delete this album' };
+    }
+
+    if (album.unsorted) {
+        return { success: false, message: 'The Unsorted album cannot be deleted' };
+    }
+
+    const photos = await persistence.getPhotosByAlbum(albumId);
+
+    for (let i = 0; i < photos.length; i++) {
+        const photo = photos[i];
+        const remaining = [];
+
+        for (let j = 0; j < photo.albums.length; j++) {
+            if (photo.albums[j] !== albumId) {
+                remaining.push(photo.albums[j]);
+            }
+        }
+
+        if (remaining.length === 0) {
+            const unsorted = await getUnsortedAlbum(photo.owner);
+            remaining.push(unsorted.id);
+        }
+
+        await persistence.setPhotoAlbums(photo.id, remaining);
+    }
+
+    const deleted = await persistence.deleteAlbum(albumId);
+
+    if (deleted) {
+        await recordAudit(userId, 'album_deleted', { albumId: album.id, albumName: album.name });
+        return { success: true, message: 'Album deleted successfully' };
+    } else {
+        return { success: false, message: 'Failed to delete album' };
+    }
+}
+
+// ==================== SHARING ====================
+
+// What the people a photo or album is shared with may do
+const SHARE_PERMISSIONS = {
+    view: 'Can view',
+    comment: 'Can view and comment'
+};
+
+// Share permissions from weakest to strongest
+const SHARE_PERMISSION_ORDER = ['view', 'comment'];
+
+/**
+ * Picks the stronger of two share permissions
+ * @param {string|null} a - Permission or null
+ * @param {string|null} b - Permission or null
+ * @returns {string|null} The stronger permission
+ */
+function strongerPermission(a, b) {
+    return SHARE_PERMISSION_ORDER.indexOf(b) > SHARE_PERMISSION_ORDER.indexOf(a) ? b : a;
+}
+
+/**
+ * Finds the strongest permission a share list gives a user, directly or through a group
+ * @param {Array|undefined} shares - Share list [{type, id, permission}]
+ * @param {Object} access - The user's share access from getShareAccess
+ * @returns {string|null} 'view', 'comment', or null if nothing is shared with the user
+ */
+function findSharePermission(shares, access) {
+    let permission = null;
+    const list = shares || [];
+    for (let i = 0; i < list.length; i++) {
+        const share = list[i];
+        const matches = (share.type === 'user' && share.id === access.userId) ||
+            (share.type === 'group' && access.groupIds.indexOf(share.id) !== -1);
+        if (matches) {
+            permission = strongerPermission(permission, share.permission);
+        }
+    }
+    return permission;
+}
+
+/**
+ * Collects what has been shared with a user: the groups they belong to and the
+ * albums shared with them. Pass the result to canViewPhoto and canCommentOnPhoto.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} {userId, groupIds, albums}, where albums maps album ID to {owner, permission}
+ */
+async function getShareAccess(userId) {
+    const groups = await persistence.getGroupsByMember(userId);
+    const groupIds = [];
+    for (let i = 0; i < groups.length; i++) {
+        groupIds.push(groups[i].id);
+    }
+    
+    const access = { userId: userId, groupIds: groupIds, albums: {} };
+    const sharedAlbums = await persistence.getAlbumsSharedWith(userId, groupIds);
+    for (let i = 0; i < sharedAlbums.length; i++) {
+        access.albums[sharedAlbums[i].id] = {
+            owner: sharedAlbums[i].owner,
+            permission: findSharePermission(sharedAlbums[i].shares, access)
+        };
+    }
+    return access;
+}
+
+/**
+ * Works out who a share is for, from an email address or one of the owner's groups
+ * @param {number} ownerId - ID of the user sharing
+ * @param {Object} input - {email, groupId, permission} from the sharing form
+ * @returns {Promise<Object>} {share, label, recipients, groupName} or {error}
+ */
+async function resolveShareRecipient(ownerId, input) {
+    if (!SHARE_PERMISSIONS[input.permission]) {
+        return { error: 'Choose whether they can comment' };
+    }
+    
+    const groupId = parseInt(input.groupId);
+    if (!isNaN(groupId)) {
+        const group = await persistence.findGroupById(groupId);
+        if (!group || group.owner !== ownerId) {
+            return { error: 'Group not found' };
+        }
+        
+        const recipients = [];
+        for (let i = 0; i < group.members.length; i++) {
+            const member = await persistence.findUserById(group.members[i]);
+            if (member) {
+                recipients.push(member);
+            }
+        }
+        return {
+            share: { type: 'group', id: group.id, permission: input.permission },
+            label: 'group "' + group.name + '"',
+            recipients: recipients,
+            groupName: group.name
+        };
+    }
+    
+    const address = (input.email || '').trim();
+    if (!address) {
+        return { error: 'Enter an email address or choose a group' };
+    }
+    
+    const user = await persistence.findUserByEmail(address);
+    if (!user) {
+        return { error: 'No account uses ' + address };
+    }
+    if (user.id === ownerId) {
+        return { error: 'You cannot share with yourself' };
+    }
+    
+    return {
+        share: { type: 'user', id: user.id, permission: input.permission },
+        label: user.name,
+        recipients: [user],
+        groupName: null
+    };
+}
+
+/**
+ * Adds a share to a share list, or updates the permission of an existing one
+ * @param {Array|undefined} shares - Current share list
+ * @param {Object} share - {type, id, permission}
+ * @returns {Object} {shares, added}; added is false when the recipient was already on the list
+ */
+function mergeShare(shares, share) {
+    const merged = [];
+    let added = true;
+    const list = shares || [];
+    for (let i = 0; i < list.length; i++) {
+        if (list[i].type === share.type && list[i].id === share.id) {
+            merged.push(share);
+            added = false;
+        } else {
+            merged.push(list[i]);
+        }
+    }
+    if (added) {
+        merged.push(share);
+    }
+    return { shares: merged, added: added };
+}
+
+/**
+ * Removes a share from a share list
+ * @param {Array|undefined} shares - Current share list
+ * @param {string} type - 'user' or 'group'
+ * @param {number} id - ID of the user or group
+ * @returns {Object} {shares, removed} with the share that was removed, or null
+ */
+function withoutShare(shares, type, id) {
+    const remaining = [];
+    let removed = null;
+    const list = shares || [];
+    for (let i = 0; i < list.length; i++) {
+        if (list[i].type === type && list[i].id === id) {
+            removed = list[i];
+        } else {
+            remaining.push(list[i]);
+        }
+    }
+    return { shares: remaining, removed: removed };
+}
+
+/**
+ * Describes a share list for the sharing page
+ * @param {Array|undefined} shares - Share list
+ * @returns {Promise<Array>} [{type, id, name, label, detail, permission, permissionLabel}]
+ */
+async function describeShares(shares) {
+    const described = [];
+    const list = shares || [];
+    for (let i = 0; i < list.length; i++) {
+        const share = list[i];
+        const entry = {
+            type: share.type,
+            id: share.id,
+            permission: share.permission,
+            permissionLabel: SHARE_PERMISSIONS[share.permission]
+        };
+        if (share.type === 'group') {
+            const group = await persistence.findGroupById(share.id);
+            entry.name = group ? group.name : 'Deleted group';
+            entry.detail = group ? group.members.length + (group.members.length === 1 ? ' member' : ' members') : '';
+        } else {
+            const user = await persistence.findUserById(share.id);
+            entry.name = user ? user.name : 'Deleted user';
+            entry.detail = user ? user.email : '';
+        }
+        entry.label = share.type === 'group' ? 'group "' + entry.name + '"' : entry.name;
+        described.push(entry);
+    }
+    return described;
+}
+
+/**
+ * Notifies the people something was just shared with
+ * @param {Object} actor - User who shared
+ * @param {Object} recipient - Resolved recipient from resolveShareRecipient
+ * @param {Object} data - Notification data {photoId, photoTitle} or {albumId, albumName}
+ * @returns {Promise<void>}
+ */
+async function notifyShareRecipients(actor, recipient, data) {
+    const notificationData = Object.assign({ actorName: actor.name }, data);
+    if (recipient.groupName) {
+        notificationData.groupName = recipient.groupName;
+    }
+    for (let i = 0; i < recipient.recipients.length; i++) {
+        if (recipient.recipients[i].id !== actor.id) {
+            await notifyUser(recipient.recipients[i], 'share', notificationData);
+        }
+    }
+}
+
+/**
+ * Gets the share list of a photo and the owner's groups, for the sharing page
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Object|null>} {photo, shares, groups}, or null if the photo
+ *   does not exist or belongs to someone else
+ */
+async function getPhotoSharing(photoId, userId) {
+    const photo = await persistence.findPhotoById(photoId);
+    if (!photo || photo.deletedAt || !canEditPhoto(photo, userId)) {
+        return null;
+    }
+    
+    return {
+        photo: photo,
+        shares: await describeShares(photo.shares),
+        groups: await persistence.getGroupsByOwner(userId)
+    };
+}
+
+/**
+ * Shares a photo with a user or one of the owner's groups. A private photo
+ * becomes shared; public photos are already visible to everyone.
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the owner
+ * @param {Object} input - {email, groupId, permission} from the sharing form
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function sharePhoto(photoId, userId, input) {
+    const photo = await persistence.findPhotoById(photoId);
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+    
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to share this photo' };
+    }
+    
+    if (photo.visibility === 'public') {
+        return { success: false, message: 'Public photos are already visible to everyone. Make the photo private first.' };
+    }
+    
+    const recipient = await resolveShareRecipient(userId, input);
+    if (recipient.error) {
+        return { success: false, message: recipient.error };
+    }
+    
+    const merged = mergeShare(photo.shares, recipient.share);
+    const updates = { shares: merged.shares };
+    if (photo.visibility !== 'shared') {
+        updates.visibility = 'shared';
+    }
+    await persistence.updatePhoto(photo.id, updates);
+    
+    if (updates.visibility) {
+        await recordAudit(userId, 'visibility_changed', {
+            photoId: photo.id,
+            photoTitle: photo.title,
+            from: photo.visibility,
+            to: updates.visibility
+        });
+    }
+    await recordAudit(userId, 'share_added', {
+        photoId: photo.id,
+        photoTitle: photo.title,
+        recipient: recipient.label,
+        permission: recipient.share.permission
+    });
+    
+    if (merged.added) {
+        const actor = await persistence.findUserById(userId);
+        await notifyShareRecipients(actor, recipient, { photoId: photo.id, photoTitle: photo.title || 'Untitled' });
+    }
+    
+    return { success: true, message: 'Shared with ' + recipient.label };
+}
+
+/**
+ * Stops sharing a photo with a user or group
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the owner
+ * @param {string} type - 'user' or 'group'
+ * @param {number} recipientId - ID of the user or group
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function unsharePhoto(photoId, userId, type, recipientId) {
+    const photo = await persistence.findPhotoById(photoId);
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+    
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to share this photo' };
+    }
+    
+    const result = withoutShare(photo.shares, type, recipientId);
+    if (!result.removed) {
+        return { success: false, message: 'This photo is not shared with them' };
+    }
+    
+    await persistence.updatePhoto(photo.id, { shares: result.shares });
+    await recordAudit(userId, 'share_removed', {
+        photoId: photo.id,
+        photoTitle: photo.title,
+        recipient: (await describeShares([result.removed]))[0].label
+    });
+    
+    return { success: true, message: 'Sharing removed' };
+}
+
+/**
+ * Gets the share list of an album and the owner's groups, for the sharing page
+ * @param {number} albumId - ID of the album
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Object|null>} {album, shares, groups}, or null if the album
+ *   does not exist or belongs to someone else
+ */
+async function getAlbumSharing(albumId, userId) {
+    const album = await persistence.findAlbumById(albumId);
+    if (!canEditAlbum(album, userId)) {
+        return null;
+    }
+    
+    return {
+        album: album,
+        shares: await describeShares(album.shares),
+        groups: await persistence.getGroupsByOwner(userId)
+    };
+}
+
+/**
+ * Shares an album with a user or one of the owner's groups. Every photo of
+ * the owner in the album is shared with them too, whatever its own visibility.
+ * @param {number} albumId - ID of the album
+ * @param {number} userId - ID of the owner
+ * @param {Object} input - {email, groupId, permission} from the sharing form
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function shareAlbum(albumId, userId, input) {
+    const album = await persistence.findAlbumById(albumId);
+    if (!album) {
+        return { success: false, message: 'Album not found' };
+    }
+    
+    if (!canEditAlbum(album, userId)) {
+        return { success: false, message: 'You do not have permission to share this album' };
+    }
+    
+    const recipient = await resolveShareRecipient(userId, input);
+    if (recipient.error) {
+        return { success: false, message: recipient.error };
+    }
+    
+    const merged = mergeShare(album.shares, recipient.share);
+    await persistence.updateAlbum(album.id, { shares: merged.shares });
+    await recordAudit(userId, 'share_added', {
+        albumId: album.id,
+        albumName: album.name,
+        recipient: recipient.label,
+        permission: recipient.share.permission
+    });
+    
+    if (merged.added) {
+        const actor = await persistence.findUserById(userId);
+        await notifyShareRecipients(actor, recipient, { albumId: album.id, albumName: album.name });
+    }
+    
+    return { success: true, message: 'Shared with ' + recipient.label };
+}
+
+/**
+ * Stops sharing an album with a user or group
+ * @param {number} albumId - ID of the album
+ * @param {number} userId - ID of the owner
+ * @param {string} type - 'user' or 'group'
+ * @param {number} recipientId - ID of the user or group
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function unshareAlbum(albumId, userId, type, recipientId) {
+    const album = await persistence.findAlbumById(albumId);
+    if (!album) {
+        return { success: false, message: 'Album not found' };
+    }
+    
+    if (!canEditAlbum(album, userId)) {
+        return { success: false, message: 'You do not have permission to share this album' };
+    }
+    
+    const result = withoutShare(album.shares, type, recipientId);
+    if (!result.removed) {
+        return { success: false, message: 'This album is not shared with them' };
+    }
+    
+    await persistence.updateAlbum(album.id, { shares: result.shares });
+    await recordAudit(userId, 'share_removed', {
+        albumId: album.id,
+        albumName: album.name,
+        recipient: (await describeShares([result.removed]))[0].label
+    });
+    
+    return { success: true, message: 'Sharing removed' };
+}
+
+// ==================== SHARE LINKS ====================
+
+// Random bytes in a share link token
+const SHARE_LINK_TOKEN_BYTES = 24;
+
+/**
+ * Finds what a new share link would point at, if the user owns it
+ * @param {number} userId - ID of the user creating the link
+ * @param {string} targetType - 'photo' or 'album'
+ * @param {number} targetId - ID of the photo or album
+ * @returns {Promise<Object|null>} {details, name} with audit details, or null if the user cannot link to it
+ */
+async function findShareLinkTarget(userId, targetType, targetId) {
+    if (targetType === 'photo') {
+        const photo = await persistence.findPhotoById(targetId);
+        if (!photo || photo.deletedAt || photo.hiddenAt || !canEditPhoto(photo, userId)) {
+            return null;
+        }
+        return { details: { photoId: photo.id, photoTitle: photo.title }, name: photo.title || 'Untitled' };
+    }
+    if (targetType === 'album') {
+        const album = await persistence.findAlbumById(targetId);
+        if (!canEditAlbum(album, userId)) {
+            return null;
+        }
+        return { details: { albumId: album.id, albumName: album.name }, name: album.name };
+    }
+    return null;
+}
+
+/**
+ * Creates a share link to a photo or album for people without an account.
+ * The token is only shown in the returned URL; just its hash is stored.
+ * @param {number} userId - ID of the owner
+ * @param {string} targetType - 'photo' or 'album'
+ * @param {number} targetId - ID of the photo or album
+ * @param {Object} input - {expires (YYYY-MM-DD or empty), password (optional), allowDownload}
+ * @returns {Promise<Object>} Result with success status and message, plus url on success
+ */
+async function createShareLink(userId, targetType, targetId, input) {
+    const target = await findShareLinkTarget(userId, targetType, targetId);
+    if (!target) {
+        return { success: false, message: 'You can only create links to your own photos and albums' };
+    }
+    
+    // A link expires at the end of the chosen day
+    let expiresAt = null;
+    const expires = (input.expires || '').trim();
+    if (expires) {
+        if (!isValidDate(expires)) {
+            return { success: false, message: 'Enter the expiry date as YYYY-MM-DD' };
+        }
+        expiresAt = new Date(expires + 'T23:59:59.999');
+        if (expiresAt.getTime() <= Date.now()) {
+            return { success: false, message: 'The expiry date must be in the future' };
+        }
+    }
+    
+    const password = input.password || '';
+    const token = crypto.randomBytes(SHARE_LINK_TOKEN_BYTES).toString('base64url');
+    
+    await persistence.createShareLink({
+        tokenHash: hashToken(token),
+        owner: userId,
+        targetType: targetType,
+        targetId: targetId,
+        expiresAt: expiresAt,
+        passwordHash: password ? await bcrypt.hash(password, SALT_ROUNDS) : null,
+        allowDownload: input.allowDownload === true
+    });
+    await recordAudit(userId, 'share_link_created', target.details);
+    
+    return {
+        success: true,
+        message: 'Link created. Copy it now; it will not be shown again.',
+        url: email.APP_URL + '/s/' + token
+    };
+}
+
+/**
+ * Finds the share link for a token. Links stop working when they are revoked
+ * or expire, and when their owner's account is disabled.
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} Share link with the owner's name as ownerName, or null if it does not work
+ */
+async function resolveShareLink(token) {
+    if (!token) {
+        return null;
+    }
+    
+    const link = await persistence.findActiveShareLink(hashToken(token));
+    if (!link) {
+        return null;
+    }
+    
+    const owner = await persistence.findUserById(link.owner);
+    if (!owner || owner.disabled) {
+        return null;
+    }
+    link.ownerName = owner.name;
+    return link;
+}
+
+/**
+ * Checks the password of a share link. Wrong guesses are throttled per link
+ * and per IP address, the same way failed logins are.
+ * @param {Object} link - Share link
+ * @param {string} password - Password entered by the visitor
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function unlockShareLink(link, password, ip) {
+    if (!link.passwordHash) {
+        return { success: true, message: 'This link has no password' };
+    }
+    
+    const keys = { account: 'link:' + link.id, ip: 'ip:' + (ip || 'unknown') };
+    const attempt = await reserveLoginAttempt(keys);
+    if (attempt.wait > 0) {
+        return { success: false, message: 'Too many wrong passwords. Please try again in ' + describeWait(attempt.wait) + '.' };
+    }
+    
+    if (!password || !(await bcrypt.compare(password, link.passwordHash))) {
+        return { success: false, message: 'Wrong password' };
+    }
+    
+    await releaseLoginAttempt(keys);
+    return { success: true, message: 'Unlocked' };
+}
+
+/**
+ * Checks if a photo can be seen through a share link: it must belong to the
+ * link's owner, not be hidden by a moderator, and be the linked photo or in
+ * the linked album
+ * @param {Object} link - Share link
+ * @param {Object} photo - Photo object (as returned by getPhotoDetails)
+ * @returns {boolean} True if the photo is part of the link
+ */
+function isPhotoInShareLink(link, photo) {
+    if (!photo || photo.hiddenAt || photo.owner !== link.owner) {
+        return false;
+    }
+    if (link.targetType === 'photo') {
+        return photo.id === link.targetId;
+    }
+    return photo.albumIds.indexOf(link.targetId) !== -1;
+}
+
+/**
+ * Gets the album a share link points at, with the photos visitors may see
+ * @param {Object} link - Share link to an album
+ * @returns {Promise<Object|null>} Album details, or null if the album is gone
+ */
+async function getShareLinkAlbum(link) {
+    const album = await getAlbumDetails(link.targetId);
+    if (!album || album.owner !== link.owner) {
+        return null;
+    }
+    
+    const photos = [];
+    for (let i = 0; i < album.photos.length; i++) {
+        const photo = album.photos[i];
+        if (photo.owner === link.owner && !photo.hiddenAt) {
+            photos.push(photo);
+        }
+    }
+    album.photos = photos;
+    album.photoCount = photos.length;
+    return album;
+}
+
+/**
+ * Gets a photo through a share link. Anyone holding the link can see it, so
+ * the GPS location is left out of its metadata.
+ * @param {Object} link - Share link
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<Object|null>} Photo details, or null if the link does not cover the photo
+ */
+async function getShareLinkPhoto(link, photoId) {
+    const photo = await getPhotoDetails(photoId);
+    if (!isPhotoInShareLink(link, photo)) {
+        return null;
+    }
+    
+    if (photo.metadata && photo.metadata.gps) {
+        photo.metadata = Object.assign({}, photo.metadata);
+        delete photo.metadata.gps;
+    }
+    return photo;
+}
+
+/**
+ * Gets the image file of a photo seen through a share link. The original is
+ * only sent when the link allows downloads, or when there is nothing smaller.
+ * @param {Object} link - Share link
+ * @param {number} photoId - ID of the photo
+ * @param {string} size - One of IMAGE_SIZES
+ * @returns {Promise<Object>} Result with success status and message, plus file and
+ *   isPublic on success; notFound is set when the link does not cover the photo
+ */
+async function getShareLinkImage(link, photoId, size) {
+    const photo = IMAGE_SIZES.indexOf(size) !== -1 ? await getShareLinkPhoto(link, photoId) : null;
+    
+    if (!photo) {
+        return { success: false, notFound: true, message: 'Image not found' };
+    }
+    
+    if (size === 'original' && photo.derivatives && !link.allowDownload) {
+        return { success: false, message: 'This link does not allow downloads' };
+    }
+    
+    return { success: true, message: 'Image found', file: getImageFile(photo, size), isPublic: false };
+}
+
+/**
+ * Counts a visit to a share link
+ * @param {Object} link - Share link
+ * @returns {Promise<void>}
+ */
+async function recordShareLinkView(link) {
+    await persistence.recordShareLinkView(link.id);
+}
+
+/**
+ * Gets a user's active share links for the links page
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Array>} [{id, kind, name, path, created, expires, hasPassword, allowDownload, views, lastViewed}]
+ */
+async function getShareLinks(userId) {
+    const links = await persistence.getActiveShareLinksByOwner(userId);
+    
+    const rows = [];
+    for (let i = 0; i < links.length; i++) {
+        const link = links[i];
+        const row = {
+            id: link.id,
+            kind: link.targetType,
+            path: '/' + link.targetType + '/' + link.targetId,
+            created: formatDate(link.createdAt),
+            expires: link.expiresAt ? formatDate(link.expiresAt) : null,
+            hasPassword: !!link.passwordHash,
+            allowDownload: link.allowDownload,
+            views: link.views,
+            lastViewed: link.lastViewedAt ? formatDateTime(link.lastViewedAt) : null
+        };
+        if (link.targetType === 'photo') {
+            const photo = await persistence.findPhotoById(link.targetId);
+            row.name = photo ? photo.title || 'Untitled' : 'Deleted photo';
+        } else {
+            const album = await persistence.findAlbumById(link.targetId);
+            row.name = album ? album.name : 'Deleted album';
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Revokes one of the user's share links
+ * @param {number} linkId - ID of the share link
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function revokeShareLink(linkId, userId) {
+    const link = await persistence.revokeShareLink(linkId, userId);
+    if (!link) {
+        return { success: false, message: 'Link not found' };
+    }
+    
+    if (link.targetType === 'photo') {
+        const photo = await persistence.findPhotoById(link.targetId);
+        await recordAudit(userId, 'share_link_revoked', { photoId: link.targetId, photoTitle: photo ? photo.title : '' });
+    } else {
+        const album = await persistence.findAlbumById(link.targetId);
+        await recordAudit(userId, 'share_link_revoked', { albumId: link.targetId, albumName: album ? album.name : 'Deleted album' });
+    }
+    
+    return { success: true, message: 'Link revoked. It no longer works.' };
+}
+
+// ==================== GROUPS ====================
+
+// Longest allowed group name
+const MAX_GROUP_NAME_LENGTH = 60;
+
+/**
+ * Gets the groups a user has created, with their member counts
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Array>} Array of groups
+ */
+async function getGroups(userId) {
+    const groups = await persistence.getGroupsByOwner(userId);
+    for (let i = 0; i < groups.length; i++) {
+        groups[i].memberCount = groups[i].members.length;
+        groups[i].memberWord = groups[i].members.length === 1 ? 'member' : 'members';
+    }
+    return groups;
+}
+
+/**
+ * Creates a group that photos and albums can be shared with
+ * @param {number} userId - ID of the owner
+ * @param {string} name - Group name
+ * @returns {Promise<Object>} Result with success status and message/group
+ */
+async function createGroup(userId, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        return { success: false, message: 'Group name is required' };
+    }
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+        return { success: false, message: 'Group name must be at most ' + MAX_GROUP_NAME_LENGTH + ' characters' };
+    }
+    
+    const group = await persistence.createGroup({ name: trimmed, owner: userId });
+    return { success: true, message: 'Group created', group: group };
+}
+
+/**
+ * Gets a group with its members, for its owner
+ * @param {number} groupId - ID of the group
+ * @param {number} userId - ID of the current user
+ * @returns {Promise<Object|null>} {id, name, members}, or null if the group does
+ *   not exist or belongs to someone else
+ */
+async function getGroupDetails(groupId, userId) {
+    const group = await persistence.findGroupById(groupId);
+    if (!group || group.owner !== userId) {
+        return null;
+    }
+    
+    const members = [];
+    for (let i = 0; i < group.members.length; i++) {
+        const member = await persistence.findUserById(group.members[i]);
+        if (member) {
+            members.push({ id: member.id, name: member.name, email: member.email });
+        }
+    }
+    
+    return { id: group.id, name: group.name, members: members };
+}
+
+/**
+ * Adds a user to a group by email address. They get access to everything
+ * already shared with the group.
+ * @param {number} groupId - ID of the group
+ * @param {number} userId - ID of the owner
+ * @param {string} memberEmail - Email of the new member
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function addGroupMember(groupId, userId, memberEmail) {
+    const group = await persistence.findGroupById(groupId);
+    if (!group || group.owner !== userId) {
+        return { success: false, message: 'Group not found' };
+    }
+    
+    const address = (memberEmail || '').trim();
+    if (!address) {
+        return { success: false, message: 'Email is required' };
+    }
+    
+    const member = await persistence.findUserByEmail(address);
+    if (!member) {
+        return { success: false, message: 'No account uses ' + address };
+    }
+    if (member.id === userId) {
+        return { success: false, message: 'You always see your own photos; there is no need to add yourself' };
+    }
+    
+    const added = await persistence.addGroupMember(group.id, member.id);
+    return { success: true, message: added ? member.name + ' added' : member.name + ' is already a member' };
+}
+
+/**
+ * Removes a user from a group
+ * @param {number} groupId - ID of the group
+ * @param {number} userId - ID of the owner
+ * @param {number} memberId - ID of the member
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function removeGroupMember(groupId, userId, memberId) {
+    const group = await persistence.findGroupById(groupId);
+    if (!group || group.owner !== userId) {
+        return { success: false, message: 'Group not found' };
+    }
+    
+    const removed = await persistence.removeGroupMember(group.id, memberId);
+    if (!removed) {
+        return { success: false, message: 'That user is not a member of this group' };
+    }
+    return { success: true, message: 'Member removed' };
+}
+
+/**
+ * Deletes a group; everything shared with it stops being shared with its members
+ * @param {number} groupId - ID of the group
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function deleteGroup(groupId, userId) {
+    const group = await persistence.findGroupById(groupId);
+    if (!group || group.owner !== userId) {
+        return { success: false, message: 'Group not found' };
+    }
+    
+    await persistence.deleteGroup(group.id);
+    return { success: true, message: 'Group deleted' };
+}
+
+// ==================== COMMENTS ====================
+
+// @mentions use a user's name without spaces, e.g. @AnnSmith for "Ann Smith".
+// An @ right after a slash is part of an address such as example.com/@ann.
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@\/])@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/u;
+
+// Most people one comment can mention
+const MAX_MENTIONS_PER_COMMENT = 10;
+
+// Formatting understood in comments, in order of precedence: [label](https://...)
+// links, bare http(s) links, @mentions, **bold**, *italics* or _italics_, and line breaks
+const COMMENT_FORMAT_PATTERN = new RegExp([
+    /\[([^\]\n]+)\]\((https?:\/\/[^\s()<>]+)\)/.source,
+    /(https?:\/\/[^\s<>"]*[^\s<>".,;:!?)'\]])/.source,
+    MENTION_PATTERN.source,
+    /\*\*([^*\n]+)\*\*/.source,
+    /\*([^*\n]+)\*/.source,
+    /(?<![\p{L}\p{N}_])_([^_\n]+)_(?![\p{L}\p{N}_])/u.source,
+    /\r?\n/.source
+].join('|'), 'gu');
+
+/**
+ * Gets the name a user is @mentioned by: their name without spaces, in lower
+ * case. It is stored on each user as mentionKey, so changing it needs the
+ * stored keys rebuilt.
+ * @param {string} name - User name, or the name typed after @
+ * @returns {string} Mention key
+ */
+function mentionKey(name) {
+    return name.replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Lists the names typed after @ in a comment, read the same way
+ * formatCommentHtml reads it, so an @ inside a link never counts
+ * @param {string} text - Comment text, or a bold or italic part of it
+ * @param {Array<string>} names - Names found so far; added to
+ * @returns {Array<string>} The names, in the order they appear
+ */
+function findMentionNames(text, names) {
+    const pattern = new RegExp(COMMENT_FORMAT_PATTERN);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[4]) {
+            names.push(match[4]);
+        } else if (match[5] || match[6] || match[7]) {
+            findMentionNames(match[5] || match[6] || match[7], names);
+        }
+    }
+    return names;
+}
+
+/**
+ * Finds the users @mentioned in a comment. Only people who can see the photo
+ * can be mentioned, and a name shared by several of them mentions nobody.
+ * @param {Object} photo - Photo being commented on
+ * @param {string} text - Comment text
+ * @returns {Promise<Array>} Mentions [{key, userId}], in the order first mentioned
+ */
+async function resolveMentions(photo, text) {
+    const keys = [];
+    const names = findMentionNames(text, []);
+    for (let i = 0; i < names.length && keys.length < MAX_MENTIONS_PER_COMMENT; i++) {
+        const key = mentionKey(names[i]);
+        if (keys.indexOf(key) === -1) {
+            keys.push(key);
+        }
+    }
+    if (keys.length === 0) {
+        return [];
+    }
+    
+    // Key -> ID of the only matching user who can see the photo, or null when several can
+    const matches = {};
+    const users = await persistence.findUsersByMentionKeys(keys);
+    for (let i = 0; i < users.length; i++) {
+        if (!canViewPhoto(photo, users[i].id, await getShareAccess(users[i].id))) {
+            continue;
+        }
+        const key = users[i].mentionKey;
+        matches[key] = matches[key] === undefined ? users[i].id : null;
+    }
+    
+    const mentions = [];
+    for (let i = 0; i < keys.length; i++) {
+        if (matches[keys[i]]) {
+            mentions.push({ key: keys[i], userId: matches[keys[i]] });
+        }
+    }
+    return mentions;
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Text with HTML special characters replaced by entities
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turns comment text into HTML. All text is escaped; the only markup produced
+ * is links to http(s) addresses and mentioned users' profiles, <strong>, <em> and <br>.
+ * @param {string} text - Comment text
+ * @param {Array} [mentions] - Mentions stored with the comment [{key, userId}]
+ * @returns {string} Safe HTML
+ */
+function formatCommentHtml(text, mentions) {
+    const mentioned = {};
+    const list = mentions || [];
+    for (let i = 0; i < list.length; i++) {
+        mentioned[list[i].key] = list[i].userId;
+    }
+    return formatCommentFragment(text || '', mentioned);
+}
+
+/**
+ * Formats part of a comment; bold and italic text is formatted again inside
+ * @param {string} text - Comment text
+ * @param {Object} mentioned - Map of mention key to user ID
+ * @returns {string} Safe HTML
+ */
+function formatCommentFragment(text, mentioned) {
+    const pattern = new RegExp(COMMENT_FORMAT_PATTERN);
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        html += escapeHtml(text.substring(last, match.index));
+        last = pattern.lastIndex;
+        
+        if (match[2]) {
+            html += formatCommentLink(match[2], escapeHtml(match[1]));
+        } else if (match[3]) {
+            html += formatCommentLink(match[3], escapeHtml(match[3]));
+        } else if (match[4]) {
+            const userId = mentioned[mentionKey(match[4])];
+            html += userId ? '<a href="/user/' + userId + '" class="mention">@' + escapeHtml(match[4]) + '</a>' : escapeHtml(match[0]);
+        } else if (match[5]) {
+            html += '<strong>' + formatCommentFragment(match[5], mentioned) + '</strong>';
+        } else if (match[6] || match[7]) {
+            html += '<em>' + formatCommentFragment(match[6] || match[7], mentioned) + '</em>';
+        } else {
+            html += '<br>';
+        }
+    }
+    return html + escapeHtml(text.substring(last));
+}
+
+/**
+ * Builds a link to an outside address found in a comment
+ * @param {string} url - http(s) address
+ * @param {string} labelHtml - Escaped link text
+ * @returns {string} Safe HTML
+ */
+function formatCommentLink(url, labelHtml) {
+    return '<a href="' + escapeHtml(url) + '" rel="nofollow noopener noreferrer" target="_blank">' + labelHtml + '</a>';
+}
+
+/**
+ * Adds a comment to a photo, or a reply to one of its comments
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the user posting comment
+ * @param {string} username - Username of the commenter
+ * @param {string} commentText - Comment text
+ * @param {number} [parentId] - ID of the comment being replied to
+ * @returns {Promise<Object>} Result with success status and message/comment
+ */
+async function addComment(photoId, userId, username, commentText, parentId) {
+    // Validate inputs
+    if (!commentText || commentText.trim() === '') {
+        return { success: false, message: 'Comment cannot be empty' };
+    }
+    
+    // Check if photo exists
+    const photo = await persistence.findPhotoById(photoId);
+    if (!photo) {
+        return { success: false, message: 'Photo not found' };
+    }
+    
+    // Check if user can comment (must be able to view the photo, and not only view-only)
+    if (!canCommentOnPhoto(photo, userId, await getShareAccess(userId))) {
+        return { success: false, message: 'You cannot comment on this photo' };
+    }
+    
+    // Replies go one level deep: answering a reply adds to the same thread
+    let parent = null;
+    if (parentId) {
+        parent = await persistence.findCommentById(parentId);
+        if (!parent || parent.photoId !== photo.id || parent.hiddenAt) {
+            return { success: false, message: 'The comment you replied to no longer exists' };
+        }
+    }
+    
+    // Create comment
+    const text = commentText.trim();
+    const comment = await persistence.createComment({
+        photoId: photoId,
+        userId: userId,
+        username: username,
+        text: text,
+        parentId: parent ? parent.parentId || parent.id : null,
+        mentions: await resolveMentions(photo, text)
+    });
+    
+    await notifyCommentParticipants(photo, comment, parent);
+    
+    return {
+        success: true,
+        message: 'Comment added successfully',
+        comment: comment
+    };
+}
+
+/**
+ * Builds the notification data for a comment
+ * @param {Object} photo - Photo that was commented on
+ * @param {Object} comment - The comment
+ * @returns {Object} {actorName, photoId, photoTitle, text}
+ */
+function commentNotificationData(photo, comment) {
+    return {
+        actorName: comment.username,
+        photoId: photo.id,
+        photoTitle: photo.title || 'Untitled',
+        text: comment.text
+    };
+}
+
+/**
+ * Notifies the people @mentioned in a comment, except those already notified
+ * @param {Array} mentions - Mentions [{key, userId}]
+ * @param {Object} data - Notification data
+ * @param {Array<number>} notified - IDs of users already notified; the mentioned users are added
+ * @returns {Promise<void>}
+ */
+async function notifyMentions(mentions, data, notified) {
+    for (let i = 0; i < mentions.length; i++) {
+        if (notified.indexOf(mentions[i].userId) !== -1) {
+            continue;
+        }
+        notified.push(mentions[i].userId);
+        
+        const user = await persistence.findUserById(mentions[i].userId);
+        if (user) {
+            await notifyUser(user, 'mention', data);
+        }
+    }
+}
+
+/**
+ * Notifies the people @mentioned in a new comment and the photo owner. A reply
+ * also notifies the author of the comment answered and everyone else in its
+ * thread (who can still see the photo); a new top-level comment starts a
+ * thread of its own, so earlier commenters are not told about it.
+ * Each person gets one notification, a mention taking precedence.
+ * @param {Object} photo - Photo that was commented on
+ * @param {Object} comment - The new comment
+ * @param {Object|null} parent - Comment being replied to, if any
+ * @returns {Promise<void>}
+ */
+async function notifyCommentParticipants(photo, comment, parent) {
+    const data = commentNotificationData(photo, comment);
+    
+    const notified = [comment.userId];
+    await notifyMentions(comment.mentions, data, notified);
+    
+    if (notified.indexOf(photo.owner) === -1) {
+        notified.push(photo.owner);
+        const owner = await persistence.findUserById(photo.owner);
+        if (owner) {
+            await notifyUser(owner, 'comment', data);
+        }
+    }
+    
+    if (!parent) {
+        return;
+    }
+    
+    if (notified.indexOf(parent.userId) === -1) {
+        notified.push(parent.userId);
+        await notifyReplyParticipant(photo, parent.userId, Object.assign({ directReply: true }, data));
+    }
+    
+    // Each person in the thread is notified once, however many comments they left in it
+    const comments = await persistence.getCommentsByPhotoId(photo.id);
+    for (let i = 0; i < comments.length; i++) {
+        if (comments[i].id !== comment.parentId && comments[i].parentId !== comment.parentId) {
+            continue;
+        }
+        const participantId = comments[i].userId;
+        if (notified.indexOf(participantId) !== -1) {
+            continue;
+        }
+        notified.push(participantId);
+        await notifyReplyParticipant(photo, participantId, data);
+    }
+}
+
+/**
+ * Sends a reply notification to someone in a conversation, if they can still see the photo
+ * @param {Object} photo - Photo that was commented on
+ * @param {number} userId - ID of the participant
+ * @param {Object} data - Notification data
+ * @returns {Promise<void>}
+ */
+async function notifyReplyParticipant(photo, userId, data) {
+    const participant = await persistence.findUserById(userId);
+    if (participant && canViewPhoto(photo, participant.id, await getShareAccess(participant.id))) {
+        await notifyUser(participant, 'reply', data);
+    }
+}
+
+/**
+ * Gets the comments shown on a photo; comments hidden by a moderator are left
+ * out, along with the replies to them
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<Array>} Array of comments, oldest first
+ */
+async function getPhotoComments(photoId) {
+    const comments = await persistence.getCommentsByPhotoId(photoId);
+    
+    const hiddenIds = [];
+    for (let i = 0; i < comments.length; i++) {
+        if (comments[i].hiddenAt) {
+            hiddenIds.push(comments[i].id);
+        }
+    }
+    
+    const visible = [];
+    for (let i = 0; i < comments.length; i++) {
+        if (!comments[i].hiddenAt && hiddenIds.indexOf(comments[i].parentId) === -1) {
+            visible.push(comments[i]);
+        }
+    }
+    return visible;
+}
+
+/**
+ * Gets the comments shown on a photo page, as threads of top-level comments
+ * with their replies, and what the viewer may do with each
+ * @param {Object} photo - Photo object
+ * @param {number} userId - ID of the viewer
+ * @returns {Promise<Array>} Top-level comments, oldest first, each with date, history, canEdit, canDelete and replies
+ */
+async function getCommentThreads(photo, userId) {
+    const comments = await getPhotoComments(photo.id);
+    
+    const threads = [];
+    const threadsById = {};
+    for (let i = 0; i < comments.length; i++) {
+        const comment = comments[i];
+        comment.date = formatDateTime(comment.createdAt);
+        comment.canEdit = comment.userId === userId;
+        comment.canDelete = comment.userId === userId || photo.owner === userId;
+        
+        // Earlier versions, newest first, for the "edited" marker
+        const history = comment.history || [];
+        comment.history = [];
+        for (let j = history.length - 1; j >= 0; j--) {
+            comment.history.push({ text: history[j].text, date: formatDateTime(history[j].replacedAt) });
+        }
+        
+        if (comment.parentId) {
+            if (threadsById[comment.parentId]) {
+                threadsById[comment.parentId].replies.push(comment);
+            }
+        } else {
+            comment.replies = [];
+            threadsById[comment.id] = comment;
+            threads.push(comment);
+        }
+    }
+    return threads;
+}
+
+/**
+ * Changes the text of one of the user's comments. The earlier text is kept in
+ * the comment's history and the comment is marked as edited.
+ * @param {number} commentId - ID of the comment
+ * @param {number} userId - ID of the user editing it
+ * @param {string} commentText - New text
+ * @returns {Promise<Object>} Result with success status and message, plus comment on success;
+ *     notFound or forbidden explain a failure
+ */
+async function editComment(commentId, userId, commentText) {
+    const text = (commentText || '').trim();
+    if (!text) {
+        return { success: false, message: 'Comment cannot be empty' };
+    }
+    
+    const comment = await persistence.findCommentById(commentId);
+    if (!comment || comment.hiddenAt) {
+        return { success: false, message: 'Comment not found', notFound: true };
+    }
+    if (comment.userId !== userId) {
+        return { success: false, message: 'You can only edit your own comments', forbidden: true };
+    }
+    
+    const photo = await persistence.findPhotoById(comment.photoId);
+    if (!photo || !canCommentOnPhoto(photo, userId, await getShareAccess(userId))) {
+        return { success: false, message: 'You cannot comment on this photo any more', forbidden: true };
+    }
+    
+    if (text !== comment.text) {
+        // Only people the edit mentions for the first time are notified
+        const notified = [userId];
+        const earlier = comment.mentions || [];
+        for (let i = 0; i < earlier.length; i++) {
+            notified.push(earlier[i].userId);
+        }
+        
+        const mentions = await resolveMentions(photo, text);
+        if (!(await persistence.editComment(comment.id, comment.text, text, mentions))) {
+            return { success: false, message: 'The comment changed while you were editing it. Please try again.' };
+        }
+        
+        comment.text = text;
+        await notifyMentions(mentions, commentNotificationData(photo, comment), notified);
+    }
+    
+    return {
+        success: true,
+        message: 'Comment updated',
+        comment: await persistence.findCommentById(comment.id)
+    };
+}
+
+/**
+ * Deletes a comment and the replies to it. Authors can delete their own
+ * comments, photo owners any comment on their photo, and staff any comment.
+ * @param {number} commentId - ID of the comment
+ * @param {number} actorId - ID of the user deleting it
+ * @returns {Promise<Object>} Result with success status and message, plus photoId on success
+ */
+async function deleteComment(commentId, actorId) {
+    const comment = await persistence.findCommentById(commentId);
+    if (!comment) {
+        return { success: false, message: 'Comment not found', notFound: true };
+    }
+    
+    const photo = await persistence.findPhotoById(comment.photoId);
+    const isPhotoOwner = !!photo && photo.owner === actorId;
+    if (comment.userId !== actorId && !isPhotoOwner && !(await getStaffUser(actorId))) {
+        return { success: false, message: 'You can only delete your own comments and comments on your photos' };
+    }
+    
+    await persistence.deleteComment(comment.id);
+    
+    // Someone else removing a comment shows up in its author's security history
+    if (comment.userId !== actorId) {
+        await recordAudit(comment.userId, isPhotoOwner ? 'comment_deleted_by_owner' : 'comment_deleted', {
+            commentId: comment.id,
+            commentText: excerptComment(comment.text),
+            photoId: comment.photoId,
+            photoTitle: photo ? photo.title : ''
+        }, null, actorId);
+    }
+    
+    return { success: true, message: 'Comment deleted', photoId: comment.photoId };
+}
+
+// ==================== NOTIFICATIONS ====================
+
+// Event types users can be notified about, with the label shown on the settings page
+const NOTIFICATION_TYPES = {
+    comment: 'Comments on my photos',
+    reply: 'Replies in threads I commented in',
+    mention: 'Mentions of me in comments',
+    share: 'Photos shared with me'
+};
+
+// Ways each event type can be delivered, with their labels
+const NOTIFICATION_DELIVERIES = {
+    immediate: 'Immediately',
+    daily: 'Daily digest',
+    off: 'Off'
+};
+
+// Delivery used for each event type until the user picks one
+const DEFAULT_NOTIFICATION_PREFS = {
+    comment: 'immediate',
+    reply: 'daily',
+    mention: 'immediate',
+    share: 'immediate'
+};
+
+// Number of recent notifications shown in the notification center
+const NOTIFICATION_CENTER_LIMIT = 100;
+
+// A user's pending events go out in one digest once the oldest has waited this long
+const DIGEST_INTERVAL = 1000 * 60 * 60 * 24;
+
+
+/**
+ * Gets a user's notification preferences, filling in defaults for types never set
+ * @param {Object} user - User object
+ * @returns {Object} Map of event type to delivery
+ */
+function getNotificationPrefs(user) {
+    const saved = user.notificationPrefs || {};
+    const prefs = {};
+    const types = Object.keys(NOTIFICATION_TYPES);
+    for (let i = 0; i < types.length; i++) {
+        const type = types[i];
+        prefs[type] = NOTIFICATION_DELIVERIES[saved[type]] ? saved[type] : DEFAULT_NOTIFICATION_PREFS[type];
+    }
+    return prefs;
+}
+
+/**
+ * Gets the rows of the notification settings page
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array|null>} One row per event type {type, label, options}, or null if the user does not exist
+ */
+async function getNotificationSettings(userId) {
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return null;
+    }
+    
+    const prefs = getNotificationPrefs(user);
+    const deliveries = Object.keys(NOTIFICATION_DELIVERIES);
+    const rows = [];
+    const types = Object.keys(NOTIFICATION_TYPES);
+    for (let i = 0; i < types.length; i++) {
+        const type = types[i];
+        const options = [];
+        for (let j = 0; j < deliveries.length; j++) {
+            options.push({
+                value: deliveries[j],
+                label: NOTIFICATION_DELIVERIES[deliveries[j]],
+                selected: prefs[type] === deliveries[j]
+            });
+        }
+        rows.push({ type: type, label: NOTIFICATION_TYPES[type], options: options });
+    }
+    return rows;
+}
+
+/**
+ * Saves a user's notification preferences. Turning a type off also drops its
+ * events still waiting for a digest.
+ * @param {number} userId - ID of the user
+ * @param {Object} input - Map of event type to delivery, e.g. form fields
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function updateNotificationPrefs(userId, input) {
+    const user = await persistence.findUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    const prefs = getNotificationPrefs(user);
+    const turnedOff = [];
+    const types = Object.keys(NOTIFICATION_TYPES);
+    for (let i = 0; i < types.length; i++) {
+        const type = types[i];
+        if (input[type] === undefined) {
+            continue;
+        }
+        if (!NOTIFICATION_DELIVERIES[input[type]]) {
+            return { success: false, message: 'Invalid choice for ' + NOTIFICATION_TYPES[type].toLowerCase() };
+        }
+        if (input[type] === 'off' && prefs[type] !== 'off') {
+            turnedOff.push(type);
+        }
+        prefs[type] = input[type];
+    }
+    
+    await persistence.updateNotificationPrefs(userId, prefs);
+    if (turnedOff.length > 0) {
+        await persistence.cancelPendingDigest(userId, turnedOff);
+    }
+    
+    return { success: true, message: 'Notification settings saved' };
+}
+
+/**
+ * Signs an unsubscribe link
+ * @param {number} userId - ID of the user
+ * @param {string} type - Event type, or 'all'
+ * @returns {string} Hex-encoded signature
+ */
+function signUnsubscribe(userId, type) {
+    // Signed links work without logging in but cannot be forged
+    return crypto.createHmac('sha256', config.unsubscribeSecret)
+        .update('unsubscribe:' + userId + ':' + type)
+        .digest('hex');
+}
+
+/**
+ * Builds the signed one-click unsubscribe link for a user and event type
+ * @param {number} userId - ID of the user
+ * @param {string} type - Event type, or 'all' for every type
+ * @returns {string} Path with query string
+ */
+function getUnsubscribePath(userId, type) {
+    return '/unsubscribe?user=' + userId + '&type=' + type + '&sig=' + signUnsubscribe(userId, type);
+}
+
+/**
+ * Checks a signed unsubscribe link without changing anything, for the page
+ * that asks the user to confirm
+ * @param {number} userId - ID of the user
+ * @param {string} type - Event type, or 'all' for every type
+ * @param {string} signature - Signature from the link
+ * @returns {Object} Result object with success status and message, plus the
+ *   link's path and what it stops (e.g. "all notification emails") when valid
+ */
+function checkUnsubscribeLink(userId, type, signature) {
+    if (isNaN(userId) || (type !== 'all' && !NOTIFICATION_TYPES[type]) || typeof signature !== 'string') {
+        return { success: false, message: 'This unsubscribe link is not valid' };
+    }
+    
+    const expected = Buffer.from(signUnsubscribe(userId, type), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { success: false, message: 'This unsubscribe link is not valid' };
+    }
+    
+    return {
+        success: true,
+        message: 'Valid unsubscribe link',
+        path: getUnsubscribePath(userId, type),
+        description: type === 'all' ? 'all notification emails' : 'emails for "' + NOTIFICATION_TYPES[type] + '"'
+    };
+}
+
+/**
+ * Turns notifications off from a signed unsubscribe link (no login needed)
+ * @param {number} userId - ID of the user
+ * @param {string} type - Event type, or 'all' for every type
+ * @param {string} signature - Signature from the link
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function unsubscribe(userId, type, signature) {
+    const link = checkUnsubscribeLink(userId, type, signature);
+    if (!link.success) {
+        return link;
+    }
+    
+    const input = {};
+    const types = Object.keys(NOTIFICATION_TYPES);
+    for (let i = 0; i < types.length; i++) {
+        if (type === 'all' || types[i] === type) {
+            input[types[i]] = 'off';
+        }
+    }
+    
+    const result = await updateNotificationPrefs(userId, input);
+    if (!result.success) {
+        return result;
+    }
+    
+    if (type === 'all') {
+        return { success: true, message: 'You will no longer receive any notification emails.' };
+    }
+    return { success: true, message: 'You will no longer receive emails for "' + NOTIFICATION_TYPES[type] + '".' };
+}
+
+/**
+ * Describes a notification event in one line
+ * @param {Object} notification - Notification object
+ * @returns {string} Summary such as 'Ann commented on your photo "Beach"'
+ */
+function describeNotification(notification) {
+    const data = notification.data;
+    if (notification.type === 'comment') {
+        return data.actorName + ' commented on your photo "' + data.photoTitle + '"';
+    }
+    if (notification.type === 'reply' && data.directReply) {
+        return data.actorName + ' replied to your comment on "' + data.photoTitle + '"';
+    }
+    if (notification.type === 'reply') {
+        return data.actorName + ' also commented on "' + data.photoTitle + '"';
+    }
+    if (notification.type === 'mention') {
+        return data.actorName + ' mentioned you in a comment on "' + data.photoTitle + '"';
+    }
+    if (notification.type === 'share' && data.albumId) {
+        return data.actorName + ' shared the album "' + data.albumName + '" with you';
+    }
+    if (notification.type === 'share') {
+        return data.actorName + ' shared "' + data.photoTitle + '" with you';
+    }
+    return 'New activity on "' + data.photoTitle + '"';
+}
+
+/**
+ * Gets the link a notification points to: its album for shared albums, otherwise its photo
+ * @param {Object} notification - Notification object
+ * @returns {string} Path of the album or photo page
+ */
+function getNotificationLink(notification) {
+    if (notification.data.albumId) {
+        return '/album/' + notification.data.albumId;
+    }
+    return '/photo/' + notification.data.photoId;
+}
+
+/**
+ * Gets a user's recent notifications for the notification center
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Notifications, newest first, each with summary, link, date and unread flag
+ */
+async function getNotifications(userId) {
+    const notifications = await persistence.getNotificationsByUser(userId, NOTIFICATION_CENTER_LIMIT);
+    
+    const items = [];
+    for (let i = 0; i < notifications.length; i++) {
+        const notification = notifications[i];
+        items.push({
+            id: notification.id,
+            type: notification.type,
+            summary: describeNotification(notification),
+            text: notification.data.text,
+            link: getNotificationLink(notification),
+            date: formatDate(notification.createdAt),
+            unread: !notification.readAt
+        });
+    }
+    return items;
+}
+
+/**
+ * Counts a user's unread notifications (shown as a badge in the header)
+ * @param {number} userId - ID of the user
+ * @returns {Promise<number>} Number of unread notifications
+ */
+async function getUnreadNotificationCount(userId) {
+    return await persistence.countUnreadNotifications(userId);
+}
+
+/**
+ * Marks one notification as read
+ * @param {number} notificationId - ID of the notification
+ * @param {number} userId - ID of the user it must belong to
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function markNotificationRead(notificationId, userId) {
+    const found = await persistence.markNotificationRead(notificationId, userId);
+    if (!found) {
+        return { success: false, message: 'Notification not found' };
+    }
+    return { success: true, message: 'Notification marked as read' };
+}
+
+/**
+ * Marks all of a user's notifications as read
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function markAllNotificationsRead(userId) {
+    const count = await persistence.markAllNotificationsRead(userId);
+    return { success: true, message: count + ' notification(s) marked as read' };
+}
+
+/**
+ * Records a notification event for a user and, depending on their preferences,
+ * emails it now or keeps it for their daily digest
+ * @param {Object} user - User to notify
+ * @param {string} type - Event type (key of NOTIFICATION_TYPES); also the email template name
+ * @param {Object} data - Event details {actorName, photoId, photoTitle, text}
+ * @returns {Promise<void>}
+ */
+async function notifyUser(user, type, data) {
+    const delivery = getNotificationPrefs(user)[type];
+    
+    await persistence.createNotification({
+        userId: user.id,
+        type: type,
+        data: data,
+        pendingDigest: delivery === 'daily'
+    });
+    
+    if (delivery === 'immediate' && canEmailUser(user)) {
+        email.sendTemplate(user.email, type, Object.assign({ recipientName: user.name }, data), getUnsubscribePath(user.id, type));
+    }
+}
+
+/**
+ * Sends a digest email to every user whose oldest pending event is at least a
+ * day old, and marks those events as sent
+ * @returns {Promise<number>} Number of digest emails sent
+ */
+async function sendDigests() {
+    const pending = await persistence.getPendingDigestNotifications();
+    
+    // Group pending events by user, keeping them oldest first
+    const byUser = {};
+    const userIds = [];
+    for (let i = 0; i < pending.length; i++) {
+        const userId = pending[i].userId;
+        if (!byUser[userId]) {
+            byUser[userId] = [];
+            userIds.push(userId);
+        }
+        byUser[userId].push(pending[i]);
+    }
+    
+    const cutoff = Date.now() - DIGEST_INTERVAL;
+    let sent = 0;
+    
+    for (let i = 0; i < userIds.length; i++) {
+        const events = byUser[userIds[i]];
+        if (events[0].createdAt.getTime() > cutoff) {
+            continue;
+        }
+        
+        const items = [];
+        const ids = [];
+        for (let j = 0; j < events.length; j++) {
+            ids.push(events[j].id);
+            items.push({
+                summary: describeNotification(events[j]),
+                link: getNotificationLink(events[j]),
+                text: events[j].data.text
+            });
+        }
+        
+        const user = await persistence.findUserById(userIds[i]);
+        if (user && canEmailUser(user)) {
+            email.sendTemplate(user.email, 'digest', {
+                recipientName: user.name,
+                count: items.length,
+                updateWord: items.length === 1 ? 'update' : 'updates',
+                items: items
+            }, getUnsubscribePath(user.id, 'all'));
+            sent++;
+        }
+        await persistence.markNotificationsDigested(ids);
+    }
+    
+    return sent;
+}
+
+// ==================== PHOTO UPLOAD ====================
+
+/**
+ * Uploads a new photo to an album. The file's real type is checked from its
+ * contents, it is renamed to its generated name plus the matching extension,
+ * and a file already in the album (same content hash) is refused. Whenever
+ * the photo is not created, the uploaded file and any derivatives made from
+ * it are removed from disk.
+ * @param {number} albumId - ID of the album to add photo to
+ * @param {number} userId - ID of the user uploading
+ * @param {string} filename - Generated name the upload was stored under
+ * @param {Object} [details] - Optional {title, tags, visibility, originalName} for the new photo
+ * @returns {Promise<Object>} Result with success status and message, plus duplicateOf when refused as a duplicate
+ */
+async function uploadPhoto(albumId, userId, filename, details) {
+    details = details || {};
+    let storedName = filename;
+    
+    try {
+        const result = await storeUploadedPhoto(albumId, userId, filename, details, function (newName) {
+            storedName = newName;
+        });
+        if (!result.success) {
+            await discardUploadedPhoto(storedName);
+        }
+        return result;
+    } catch (error) {
+        await discardUploadedPhoto(storedName);
+        throw error;
+    }
+}
+
+/**
+ * Removes an upload that did not become a photo, with whatever derivatives were
+ * already made from it (also those of a run that failed halfway)
+ * @param {string} filename - Name the upload is stored under
+ * @returns {Promise<void>}
+ */
+async function discardUploadedPhoto(filename) {
+    await persistence.deletePhotoFile(filename);
+    
+    const sizeNames = Object.keys(images.DERIVATIVE_SIZES);
+    for (let i = 0; i < sizeNames.length; i++) {
+        await persistence.deletePhotoFile(images.getDerivativePath(filename, sizeNames[i]));
+    }
+}
+
+/**
+ * Does the work of uploadPhoto; the caller cleans up the files on failure
+ * @param {number} albumId - ID of the album to add photo to
+ * @param {number} userId - ID of the user uploading
+ * @param {string} filename - Generated name the upload was stored under
+ * @param {Object} details - {title, tags, visibility, originalName}
+ * @param {Function} onRename - Called with the new filename once the file is renamed
+ * @returns {Promise<Object>} Result with success status and message
+ */
+async function storeUploadedPhoto(albumId, userId, filename, details, onRename) {
+    // Check if album exists
+    const album = await persistence.findAlbumById(albumId);
+    if (!album) {
+        return { success: false, message: 'Album not found' };
+    }
+    
+    // Check if user can add photos to this album
+    if (!canPostToAlbum(album, userId)) {
+        return { success: false, message: 'You cannot add photos to this album' };
+    }
+    
+    // Trust the file contents, not the type the client claimed
+    const filePath = persistence.getPhotoFilePath(filename);
+    const imageType = await images.detectImageType(filePath);
+    if (!imageType) {
+        return { success: false, message: 'Not a supported image (JPEG, PNG, GIF, WebP)' };
+    }
+    
+    // The same image twice in one album is almost always a mistake
+    const contentHash = await images.hashFile(filePath);
+    const duplicate = await persistence.findPhotoByHashInAlbum(contentHash, albumId);
+    if (duplicate) {
+        return {
+            success: false,
+            message: 'This image is already in the album',
+            duplicateOf: duplicate.id
+        };
+    }
+    
+    const finalName = filename + '.' + images.IMAGE_EXTENSIONS[imageType];
+    await persistence.renamePhotoFile(filename, finalName);
+    onRename(finalName);
+    
+    // Resized copies for galleries; the original is still usable if this fails
+    const derivatives = await generateDerivatives(finalName);
+    
+    // Camera metadata; the capture time becomes the photo date when present
+    const metadata = await readPhotoMetadata(finalName);
+    const date = metadata && metadata.takenAt ? metadata.takenAt : new Date().toISOString();
+    
+    // Create photo with default values
+    const photoData = {
+        filename: finalName,
+        title: details.title || '',
+        description: '',
+        tags: normalizeTags(details.tags || []),
+        albums: [albumId],
+        visibility: details.visibility === 'public' ? 'public' : 'private',
+        owner: userId,
+        date: date,
+        derivatives: derivatives,
+        metadata: metadata,
+        originalName: details.originalName || '',
+        contentHash: contentHash
+    };
+    
+    const photo = await persistence.createPhoto(photoData);
+    
+    if (photo) {
+        return { success: true, message: 'Photo uploaded successfully', photo: photo };
+    } else {
+        return { success: false, message: 'Failed to upload photo' };
+    }
+}
+
+/**
+ * Uploads several photos to an album. Each file is handled on its own, so
+ * one bad file does not stop the others.
+ * @param {number} albumId - ID of the album to add photos to
+ * @param {number} userId - ID of the user uploading
+ * @param {Array} files - Array of {filename, originalName, error}; error is set
+ *   for a file that was refused while it was received, and becomes its result
+ * @param {Object} options - Shared {titlePrefix, tags, visibility} for the batch
+ * @returns {Promise<Array>} Array of {originalName, success, message, photo, duplicateOf} in upload order
+ */
+async function uploadPhotos(albumId, userId, files, options) {
+    const results = [];
+    const titlePrefix = (options.titlePrefix || '').trim();
+    let count = 0;
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const details = {
+            title: titlePrefix !== '' ? titlePrefix + ' ' + (count + 1) : '',
+            tags: options.tags,
+            visibility: options.visibility,
+            originalName: file.originalName
+        };
+
+        let result;
+        if (file.error) {
+            result = { success: false, message: file.error };
+        } else {
+            try {
+                result = await uploadPhoto(albumId, userId, file.filename, details);
+            } catch (error) {
+                result = { success: false, message: error.message };
+            }
+        }
+
+        if (result.success) {
+            count++;
+        }
+
+        results.push({
+            originalName: file.originalName,
+            success: result.success,
+            message: result.message,
+            photo: result.photo,
+            duplicateOf: result.duplicateOf
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Generates the thumbnail, medium and large derivatives of an uploaded file
+ * @param {string} filename - Filename of the original in the photo folder
+ * @returns {Promise<Object|null>} Map of size name to derivative, or null if the image could not be processed
+ */
+async function generateDerivatives(filename) {
+    try {
+        return await images.createDerivatives(persistence.PHOTO_DIR, filename);
+    } catch (error) {
+        console.log('Error creating derivatives for ' + filename + ': ' + error.message);
+        return null;
+    }
+}
+
+/**
+ * Reads the EXIF/XMP metadata of an uploaded file
+ * @param {string} filename - Filename of the original in the photo folder
+ * @returns {Promise<Object|null>} Metadata object, or null if the file has none or cannot be read
+ */
+async function readPhotoMetadata(filename) {
+    try {
+        return await images.readMetadata(persistence.getPhotoFilePath(filename));
+    } catch (error) {
+        console.log('Error reading metadata for ' + filename + ': ' + error.message);
+        return null;
+    }
+}
+
+/**
+ * Removes the GPS location from a photo, both from the stored metadata and
+ * from the original file. Derivatives never carry metadata. The file's content
+ * hash changes with it, so it is stored again for duplicate detection.
+ * @param {number} photoId - ID of the photo
+ * @param {number} userId - ID of the user making the change
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function stripPhotoGps(photoId, userId) {
+    const photo = await persistence.findPhotoById(photoId);
+
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to edit this photo' };
+    }
+
+    const filePath = persistence.getPhotoFilePath(photo.filename);
+    await images.stripGps(filePath);
+    await persistence.removePhotoGps(photoId, await images.hashFile(filePath));
+
+    return { success: true, message: 'Location removed from photo' };
+}
+
+/**
+ * Turns stored metadata into label/value rows for the photo page
+ * @param {Object|null} metadata - Photo metadata sub-document
+ * @returns {Array} Array of {label, value}
+ */
+function describeMetadata(metadata) {
+    const rows = [];
+    if (!metadata) {
+        return rows;
+    }
+
+    if (metadata.takenAt) {
+        rows.push({ label: 'Taken', value: formatDate(metadata.takenAt) });
+    }
+
+    const camera = [metadata.make, metadata.model].join(' ').trim();
+    if (camera !== '') {
+        rows.push({ label: 'Camera', value: camera });
+    }
+    if (metadata.lens) {
+        rows.push({ label: 'Lens', value: metadata.lens });
+    }
+
+    const exposure = [];
+    if (metadata.exposureTime) {
+        exposure.push(metadata.exposureTime < 1
+            ? '1/' + Math.round(1 / metadata.exposureTime) + 's'
+            : metadata.exposureTime + 's');
+    }
+    if (metadata.fNumber) {
+        exposure.push('f/' + metadata.fNumber);
+    }
+    if (metadata.focalLength) {
+        exposure.push(metadata.focalLength + 'mm');
+    }
+    if (metadata.iso) {
+        exposure.push('ISO ' + metadata.iso);
+    }
+    if (exposure.length > 0) {
+        rows.push({ label: 'Exposure', value: exposure.join(' · ') });
+    }
+
+    if (metadata.width && metadata.height) {
+        rows.push({ label: 'Size', value: metadata.width + ' × ' + metadata.height });
+    }
+
+    if (metadata.gps) {
+        rows.push({
+            label: 'Location',
+            value: metadata.gps.latitude.toFixed(5) + ', ' + metadata.gps.longitude.toFixed(5),
+            link: 'https://www.openstreetmap.org/?mlat=' + metadata.gps.latitude + '&mlon=' + metadata.gps.longitude
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Creates derivatives for every photo that does not have them yet
+ * @returns {Promise<Object>} Counts of photos processed and failed
+ */
+async function backfillDerivatives() {
+    const photos = await persistence.getPhotosWithoutDerivatives();
+    let processed = 0;
+    let failed = 0;
+
+    for (let i = 0; i < photos.length; i++) {
+        const derivatives = await generateDerivatives(photos[i].filename);
+        if (derivatives) {
+            await persistence.setPhotoDerivatives(photos[i].id, derivatives);
+            processed++;
+        } else {
+            failed++;
+        }
+    }
+
+    return { processed: processed, failed: failed };
+}
+
+/**
+ * Stores the mention key of every user created before mention keys were stored
+ * @returns {Promise<number>} Number of users updated
+ */
+async function backfillMentionKeys() {
+    const users = await persistence.getUsersWithoutMentionKey();
+    for (let i = 0; i < users.length; i++) {
+        await persistence.updateUser(users[i].id, { mentionKey: mentionKey(users[i].name || '') });
+    }
+    return users.length;
+}
+
+// ==================== PHOTO DELETION ====================
+
+/**
+ * Moves a photo to the owner's trash. It can be restored until the
+ * retention window runs out, after which it is purged.
+ * @param {number} photoId - ID of the photo to delete
+ * @param {number} userId - ID of the user deleting the photo
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function deletePhoto(photoId, userId) {
+    const photo = await persistence.findPhotoById(photoId);
+
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to delete this photo' };
+    }
+
+    const trashed = await persistence.trashPhoto(photoId);
+
+    if (trashed) {
+        await recordAudit(userId, 'photo_deleted', { photoId: photo.id, photoTitle: photo.title });
+        return { success: true, message: 'Photo moved to trash' };
+    } else {
+        return { success: false, message: 'Failed to delete photo' };
+    }
+}
+
+/**
+ * Restores a photo from the trash. Albums deleted in the meantime are dropped
+ * and a photo left without albums goes to the owner's "Unsorted" album.
+ * @param {number} photoId - ID of the photo to restore
+ * @param {number} userId - ID of the user restoring the photo
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function restorePhoto(photoId, userId) {
+    const photo = await persistence.findPhotoById(photoId);
+
+    if (!photo || !photo.deletedAt) {
+        return { success: false, message: 'Photo not found in trash' };
+    }
+
+    if (!canEditPhoto(photo, userId)) {
+        return { success: false, message: 'You do not have permission to restore this photo' };
+    }
+
+    const albums = [];
+    for (let i = 0; i < photo.albums.length; i++) {
+        const album = await persistence.findAlbumById(photo.albums[i]);
+        if (album) {
+            albums.push(album.id);
+        }
+    }
+
+    if (albums.length === 0) {
+        const unsorted = await getUnsortedAlbum(photo.owner);
+        albums.push(unsorted.id);
+    }
+
+    await persistence.setPhotoAlbums(photoId, albums);
+    const restored = await persistence.restorePhoto(photoId);
+
+    if (restored) {
+        await recordAudit(userId, 'photo_restored', { photoId: photo.id, photoTitle: photo.title });
+        return { success: true, message: 'Photo restored', albumId: albums[0] };
+    } else {
+        return { success: false, message: 'Failed to restore photo' };
+    }
+}
+
+/**
+ * Permanently removes a photo: its document, its comments and its files on disk
+ * @param {Object} photo - Photo object
+ * @returns {Promise<void>}
+ */
+async function purgePhotoData(photo) {
+    await persistence.deleteCommentsByPhotoId(photo.id);
+    await persistence.deletePhoto(photo.id);
+    await persistence.deletePhotoFile(photo.filename);
+
+    if (photo.derivatives) {
+        const sizeNames = Object.keys(photo.derivatives);
+        for (let i = 0; i < sizeNames.length; i++) {
+            await persistence.deletePhotoFile(photo.derivatives[sizeNames[i]].path);
+        }
+    }
+}
+
+/**
+ * Permanently deletes a photo. Owners can only purge photos that are already
+ * in the trash; moderators and admins can remove any photo.
+ * @param {number} photoId - ID of the photo to purge
+ * @param {number} userId - ID of the user purging the photo
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function purgePhoto(photoId, userId) {
+    const photo = await persistence.findPhotoById(photoId);
+    const moderating = !!photo && !canEditPhoto(photo, userId) && !!(await getStaffUser(userId));
+
+    if (!photo || (!photo.deletedAt && !moderating)) {
+        return { success: false, message: 'Photo not found in trash' };
+    }
+
+    if (!canEditPhoto(photo, userId) && !moderating) {
+        return { success: false, message: 'You do not have permission to delete this photo' };
+    }
+
+    await purgePhotoData(photo);
+    if (moderating) {
+        await recordAudit(photo.owner, 'photo_removed', { photoId: photo.id, photoTitle: photo.title }, null, userId);
+    } else {
+        await recordAudit(userId, 'photo_purged', { photoId: photo.id, photoTitle: photo.title });
+    }
+
+    return { success: true, message: 'Photo permanently deleted' };
+}
+
+/**
+ * Gets the photos in a user's trash, each with the date it will be purged
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Array>} Array of trashed photos
+ */
+async function getTrash(userId) {
+    const photos = await persistence.getTrashedPhotosByOwner(userId);
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    for (let i = 0; i < photos.length; i++) {
+        const purgeAt = new Date(photos[i].deletedAt.getTime() + retentionMs);
+        photos[i].purgeDate = formatDate(purgeAt);
+    }
+
+    return photos;
+}
+
+/**
+ * Purges every trashed photo whose retention window has run out
+ * @returns {Promise<number>} Number of photos purged
+ */
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = await persistence.getTrashedPhotosBefore(cutoff);
+
+    for (let i = 0; i < expired.length; i++) {
+        await purgePhotoData(expired[i]);
+        await recordAudit(expired[i].owner, 'photo_purged', {
+            photoId: expired[i].id,
+            photoTitle: expired[i].title,
+            automatic: true
+        });
+    }
+
+    return expired.length;
+}
+
+// ==================== ROLES AND MODERATION ====================
+
+// Roles a user can have, with their labels. Moderators and admins are staff.
+const ROLES = {
+    user: 'User',
+    moderator: 'Moderator',
+    admin: 'Admin'
+};
+
+// Audit log actions listed in the moderation log
+const MODERATION_ACTIONS = [
+    'photo_hidden', 'photo_unhidden', 'photo_removed',
+    'comment_hidden', 'comment_unhidden', 'comment_deleted',
+    'user_disabled', 'user_enabled', 'role_changed'
+];
+
+// Entries in the moderation log, and photos or comments listed for moderation
+const MODERATION_LOG_LIMIT = 50;
+const MODERATION_LIST_LIMIT = 100;
+
+// Users who signed up within this period count as new in the site statistics
+const NEW_USER_PERIOD = 1000 * 60 * 60 * 24 * 7;
+
+// Longest comment excerpt stored in the audit log
+const COMMENT_EXCERPT_LENGTH = 80;
+
+/**
+ * Gets a user's role. Accounts created before roles existed are regular users.
+ * @param {Object} user - User object
+ * @returns {string} Key of ROLES
+ */
+function getRole(user) {
+    return ROLES[user.role] ? user.role : 'user';
+}
+
+/**
+ * Checks if a user is an active moderator or admin
+ * @param {Object|null} user - User object
+ * @returns {boolean} True if the user is staff
+ */
+function isStaff(user) {
+    return !!user && !user.disabled && getRole(user) !== 'user';
+}
+
+/**
+ * Checks if a user is an active admin
+ * @param {Object|null} user - User object
+ * @returns {boolean} True if the user is an admin
+ */
+function isAdmin(user) {
+    return !!user && !user.disabled && getRole(user) === 'admin';
+}
+
+/**
+ * Loads a user and checks that they are staff. The role is always read from
+ * the database, never trusted from the session.
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object|null>} User object, or null if the user is not staff
+ */
+async function getStaffUser(userId) {
+    const user = await persistence.findUserById(userId);
+    return isStaff(user) ? user : null;
+}
+
+/**
+ * Checks if a staff member may disable or enable another account.
+ * Nobody can act on their own account, and only admins can act on staff accounts.
+ * @param {Object} actor - Staff member
+ * @param {Object} target - Account to act on
+ * @returns {boolean} True if allowed
+ */
+function canManageUser(actor, target) {
+    if (!isStaff(actor) || actor.id === target.id) {
+        return false;
+    }
+    return isAdmin(actor) || getRole(target) === 'user';
+}
+
+/**
+ * Shortens a comment for the audit log
+ * @param {string} text - Comment text
+ * @returns {string} Excerpt
+ */
+function excerptComment(text) {
+    if (text.length <= COMMENT_EXCERPT_LENGTH) {
+        return text;
+    }
+    return text.substring(0, COMMENT_EXCERPT_LENGTH - 1) + '…';
+}
+
+/**
+ * Builds a map of user ID to name
+ * @returns {Promise<Object>} Map of user ID to name
+ */
+async function getUserNames() {
+    const users = await persistence.listUsers();
+    const names = {};
+    for (let i = 0; i < users.length; i++) {
+        names[users[i].id] = users[i].name;
+    }
+    return names;
+}
+
+/**
+ * Gets the site statistics and the moderation log for the admin dashboard
+ * @param {number} actorId - ID of the staff member
+ * @returns {Promise<Object|null>} {statistics, log}, or null if the user is not staff
+ */
+async function getAdminDashboard(actorId) {
+    if (!(await getStaffUser(actorId))) {
+        return null;
+    }
+    
+    const statistics = await persistence.getSiteStatistics(new Date(Date.now() - NEW_USER_PERIOD));
+    const entries = await persistence.getAuditEntriesByActions(MODERATION_ACTIONS, MODERATION_LOG_LIMIT);
+    const names = await getUserNames();
+    
+    const log = [];
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        log.push({
+            label: AUDIT_ACTIONS[entry.action] || entry.action,
+            details: describeAuditDetails(entry),
+            // Entries without an actor were made from the command line
+            actorName: entry.actorId ? names[entry.actorId] || 'Deleted user' : 'System',
+            userName: names[entry.userId] || 'Deleted user',
+            date: formatDateTime(entry.createdAt)
+        });
+    }
+    
+    return { statistics: statistics, log: log };
+}
+
+/**
+ * Lists all accounts for the user management page
+ * @param {number} actorId - ID of the staff member
+ * @returns {Promise<Array|null>} Accounts with what the staff member may do to each,
+ *   or null if the user is not staff
+ */
+async function getUsersForAdmin(actorId) {
+    const actor = await getStaffUser(actorId);
+    if (!actor) {
+        return null;
+    }
+    
+    const users = await persistence.listUsers();
+    const rows = [];
+    for (let i = 0; i < users.length; i++) {
+        const user = users[i];
+        rows.push({
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: getRole(user),
+            roleLabel: ROLES[getRole(user)],
+            disabled: !!user.disabled,
+            joined: user.createdAt ? formatDate(user.createdAt) : '',
+            canManage: canManageUser(actor, user),
+            canChangeRole: isAdmin(actor) && user.id !== actor.id
+        });
+    }
+    return rows;
+}
+
+/**
+ * Disables an account, or enables it again. Disabled users cannot log in and
+ * their open sessions end on their next request.
+ * @param {number} targetId - ID of the account
+ * @param {number} actorId - ID of the staff member
+ * @param {boolean} disabled - True to disable, false to enable
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function setUserDisabled(targetId, actorId, disabled) {
+    const actor = await getStaffUser(actorId);
+    if (!actor) {
+        return { success: false, message: 'You do not have permission to moderate' };
+    }
+    
+    const target = await persistence.findUserById(targetId);
+    if (!target) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    if (!canManageUser(actor, target)) {
+        return { success: false, message: 'You do not have permission to manage this account' };
+    }
+    
+    if (!!target.disabled === disabled) {
+        return { success: true, message: disabled ? 'Account is already disabled' : 'Account is already enabled' };
+    }
+    
+    await persistence.updateUser(target.id, { disabled: disabled });
+    await recordAudit(target.id, disabled ? 'user_disabled' : 'user_enabled', {}, null, actor.id);
+    
+    return { success: true, message: disabled ? 'Account disabled' : 'Account enabled' };
+}
+
+/**
+ * Gives an account a new role (admins only). Admins cannot change their own
+ * role, so the site always keeps at least one admin.
+ * @param {number} targetId - ID of the account
+ * @param {number} actorId - ID of the admin
+ * @param {string} role - Key of ROLES
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function changeUserRole(targetId, actorId, role) {
+    const actor = await persistence.findUserById(actorId);
+    if (!isAdmin(actor)) {
+        return { success: false, message: 'Only admins can change roles' };
+    }
+    
+    if (!ROLES[role]) {
+        return { success: false, message: 'Unknown role' };
+    }
+    
+    const target = await persistence.findUserById(targetId);
+    if (!target) {
+        return { success: false, message: 'User not found' };
+    }
+    
+    if (target.id === actor.id) {
+        return { success: false, message: 'You cannot change your own role' };
+    }
+    
+    const previousRole = getRole(target);
+    if (previousRole !== role) {
+        await persistence.updateUser(target.id, { role: role });
+        await recordAudit(target.id, 'role_changed', { from: ROLES[previousRole], to: ROLES[role] }, null, actor.id);
+    }
+    
+    return { success: true, message: target.name + ' is now ' + ROLES[role].toLowerCase() };
+}
+
+/**
+ * Gives an account a new role without a staff member, for the set-role script.
+ * This is how the first admin is created.
+ * @param {string} userEmail - Email of the account
+ * @param {string} role - Key of ROLES
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function assignRole(userEmail, role) {
+    if (!ROLES[role]) {
+        return { success: false, message: 'Unknown role "' + role + '". Use one of: ' + Object.keys(ROLES).join(', ') };
+    }
+    
+    const user = await persistence.findUserByEmail(userEmail);
+    if (!user) {
+        return { success: false, message: 'No account uses ' + userEmail };
+    }
+    
+    const previousRole = getRole(user);
+    if (previousRole !== role) {
+        await persistence.updateUser(user.id, { role: role });
+        await recordAudit(user.id, 'role_changed', { from: ROLES[previousRole], to: ROLES[role] }, null, null);
+    }
+    
+    return { success: true, message: user.name + ' <' + user.email + '> is now ' + ROLES[role].toLowerCase() };
+}
+
+/**
+ * Lists recent photos for moderation
+ * @param {number} actorId - ID of the staff member
+ * @param {boolean} onlyHidden - Only list hidden photos
+ * @returns {Promise<Array|null>} Photos with owner names, or null if the user is not staff
+ */
+async function getPhotosForModeration(actorId, onlyHidden) {
+    if (!(await getStaffUser(actorId))) {
+        return null;
+    }
+    
+    const photos = await persistence.getRecentPhotos(onlyHidden, MODERATION_LIST_LIMIT);
+    const names = await getUserNames();
+    for (let i = 0; i < photos.length; i++) {
+        photos[i].ownerName = names[photos[i].owner] || 'Deleted user';
+    }
+    return photos;
+}
+
+/**
+ * Lists recent comments for moderation
+ * @param {number} actorId - ID of the staff member
+ * @param {boolean} onlyHidden - Only list hidden comments
+ * @returns {Promise<Array|null>} Comments with formatted dates, or null if the user is not staff
+ */
+async function getCommentsForModeration(actorId, onlyHidden) {
+    if (!(await getStaffUser(actorId))) {
+        return null;
+    }
+    
+    const comments = await persistence.getRecentComments(onlyHidden, MODERATION_LIST_LIMIT);
+    for (let i = 0; i < comments.length; i++) {
+        comments[i].date = formatDateTime(comments[i].createdAt);
+    }
+    return comments;
+}
+
+/**
+ * Hides a photo from everyone but its owner, or shows it again (staff only)
+ * @param {number} photoId - ID of the photo
+ * @param {number} actorId - ID of the staff member
+ * @param {boolean} hidden - True to hide, false to show again
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function hidePhoto(photoId, actorId, hidden) {
+    const actor = await getStaffUser(actorId);
+    if (!actor) {
+        return { success: false, message: 'You do not have permission to moderate' };
+    }
+    
+    const photo = await persistence.findPhotoById(photoId);
+    if (!photo || photo.deletedAt) {
+        return { success: false, message: 'Photo not found' };
+    }
+    
+    await persistence.setPhotoHidden(photo.id, hidden ? actor.id : null);
+    await recordAudit(photo.owner, hidden ? 'photo_hidden' : 'photo_unhidden', {
+        photoId: photo.id,
+        photoTitle: photo.title
+    }, null, actor.id);
+    
+    return { success: true, message: hidden ? 'Photo hidden' : 'Photo shown again' };
+}
+
+/**
+ * Hides a comment from everyone, or shows it again (staff only)
+ * @param {number} commentId - ID of the comment
+ * @param {number} actorId - ID of the staff member
+ * @param {boolean} hidden - True to hide, false to show again
+ * @returns {Promise<Object>} Result object with success status and message
+ */
+async function hideComment(commentId, actorId, hidden) {
+    const actor = await getStaffUser(actorId);
+    if (!actor) {
+        return { success: false, message: 'You do not have permission to moderate' };
+    }
+    
+    const comment = await persistence.findCommentById(commentId);
+    if (!comment) {
+        return { success: false, message: 'Comment not found' };
+    }
+    
+    const photo = await persistence.findPhotoById(comment.photoId);
+    await persistence.setCommentHidden(comment.id, hidden ? actor.id : null);
+    await recordAudit(comment.userId, hidden ? 'comment_hidden' : 'comment_unhidden', {
+        commentId: comment.id,
+        commentText: excerptComment(comment.text),
+        photoId: comment.photoId,
+        photoTitle: photo ? photo.title : ''
+    }, null, actor.id);
+    
+    return { success: true, message: hidden ? 'Comment hidden' : 'Comment shown again' };
+}
+
+// ==================== SEARCH ====================
+
+// Search paging: default and maximum number of results per page
+const SEARCH_PAGE_SIZE = 12;
+const SEARCH_MAX_PAGE_SIZE = 48;
+
+// Sort orders accepted by search; relevance needs search text
+const SEARCH_SORTS = ['relevance', 'newest', 'oldest', 'title', 'comments'];
+
+// Field qualifiers understood inside the search box, e.g. "tag:beach owner:me"
+const SEARCH_QUALIFIERS = ['tag', 'owner', 'album', 'visibility', 'before', 'after', 'sort'];
+
+/**
+ * Checks that a string is a calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date is valid
+ */
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().substring(0, 10) === value;
+}
+
+/**
+ * Parses search input into free text and structured filters.
+ * Qualifiers typed in the search box (tag:, owner:, album:, visibility:,
+ * before:, after:, sort:) are combined with the sidebar fields: tags from
+ * both are required, otherwise the sidebar field wins. Invalid values are
+ * reported, not applied.
+ * @param {Object} input - Raw input {q, tag, owner, album, visibility, before, after, sort}
+ * @param {number} userId - ID of the current user (used for owner:me)
+ * @returns {Object} Object with criteria for the search, the normalised params and any errors
+ */
+function parseSearchQuery(input, userId) {
+    const raw = {};
+    const textWords = [];
+    const tokens = (input.q || '').trim().split(/\s+/);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const colon = token.indexOf(':');
+        const key = colon > 0 ? token.substring(0, colon).toLowerCase() : '';
+
+        if (key !== '' && SEARCH_QUALIFIERS.indexOf(key) !== -1 && colon < token.length - 1) {
+            const value = token.substring(colon + 1);
+            if (key === 'tag') {
+                raw.tags = (raw.tags || []).concat([value]);
+            } else {
+                raw[key] = value;
+            }
+        } else if (token !== '') {
+            textWords.push(token);
+        }
+    }
+
+    // Sidebar fields override qualifiers typed in the box
+    for (let i = 0; i < SEARCH_QUALIFIERS.length; i++) {
+        const key = SEARCH_QUALIFIERS[i];
+        const value = typeof input[key] === 'string' ? input[key].trim() : '';
+        if (value === '') {
+            continue;
+        }
+        if (key === 'tag') {
+            raw.tags = (raw.tags || []).concat(value.split(','));
+        } else {
+            raw[key] = value;
+        }
+    }
+
+    const criteria = { text: textWords.join(' ') };
+    const params = {};
+    const errors = [];
+
+    if (raw.tags) {
+        criteria.tags = normalizeTags(raw.tags);
+        params.tag = criteria.tags.join(',');
+    }
+
+    if (raw.owner !== undefined) {
+        if (raw.owner.toLowerCase() === 'me') {
+            criteria.ownerId = userId;
+            params.owner = 'me';
+        } else if (/^\d+$/.test(raw.owner)) {
+            criteria.ownerId = parseInt(raw.owner);
+            params.owner = raw.owner;
+        } else {
+            errors.push('Owner must be "me" or a user ID');
+        }
+    }
+
+    if (raw.album !== undefined) {
+        if (/^\d+$/.test(raw.album)) {
+            criteria.albumId = parseInt(raw.album);
+            params.album = String(criteria.albumId);
+        } else {
+            errors.push('Album must be an album ID');
+        }
+    }
+
+    if (raw.visibility !== undefined) {
+        const visibility = raw.visibility.toLowerCase();
+        if (PHOTO_VISIBILITIES.indexOf(visibility) !== -1) {
+            criteria.visibility = visibility;
+            params.visibility = visibility;
+        } else {
+            errors.push('Visibility must be "public", "private" or "shared"');
+        }
+    }
+
+    if (raw.after !== undefined) {
+        if (isValidDate(raw.after)) {
+            criteria.after = raw.after;
+            params.after = raw.after;
+        } else {
+            errors.push('"After" must be a date in YYYY-MM-DD form');
+        }
+    }
+
+    if (raw.before !== undefined) {
+        if (isValidDate(raw.before)) {
+            criteria.before = raw.before;
+            params.before = raw.before;
+        } else {
+            errors.push('"Before" must be a date in YYYY-MM-DD form');
+        }
+    }
+
+    if (criteria.after && criteria.before && criteria.after >= criteria.before) {
+        errors.push('"After" must be earlier than "Before"');
+        delete criteria.after;
+        delete criteria.before;
+        delete params.after;
+        delete params.before;
+    }
+
+    let sort = criteria.text !== '' ? 'relevance' : 'newest';
+    if (raw.sort !== undefined) {
+        const requested = raw.sort.toLowerCase();
+        if (SEARCH_SORTS.indexOf(requested) === -1) {
+            errors.push('Sort must be one of: ' + SEARCH_SORTS.join(', '));
+        } else if (requested === 'relevance' && criteria.text === '') {
+            errors.push('Sorting by relevance needs search words');
+        } else {
+            sort = requested;
+            params.sort = requested;
+        }
+    }
+    criteria.sort = sort;
+
+    // Something to search for: words or at least one filter
+    const hasFilters = Object.keys(params).length > (params.sort ? 1 : 0);
+
+    return {
+        criteria: criteria,
+        params: params,
+        errors: errors,
+        isEmpty: criteria.text === '' && !hasFilters
+    };
+}
+
+/**
+ * Searches photos by text and structured filters
+ * @param {Object} criteria - Parsed criteria from parseSearchQuery
+ * @param {number} userId - ID of the current user
+ * @param {number} page - Page number (1-based, defaults to 1)
+ * @param {number} limit - Results per page (defaults to SEARCH_PAGE_SIZE)
+ * @returns {Promise<Object>} Object with results, total, page, limit, totalPages, hasPrev, hasNext
+ */
+async function searchPhotos(criteria, userId, page, limit) {
+    if (!page || isNaN(page) || page < 1) {
+        page = 1;
+    }
+    if (!limit || isNaN(limit) || limit < 1) {
+        limit = SEARCH_PAGE_SIZE;
+    }
+    if (limit > SEARCH_MAX_PAGE_SIZE) {
+        limit = SEARCH_MAX_PAGE_SIZE;
+    }
+    
+    // Visibility is applied in the query so paging and counts stay correct
+    const access = await getShareAccess(userId);
+    const found = await persistence.searchPhotos(criteria, access, (page - 1) * limit, limit);
+    const totalPages = Math.max(Math.ceil(found.total / limit), 1);
+    
+    return {
+        results: found.photos,
+        total: found.total,
+        page: page,
+        limit: limit,
+        totalPages: totalPages,
+        from: found.total === 0 ? 0 : (page - 1) * limit + 1,
+        to: (page - 1) * limit + found.photos.length,
+        hasPrev: page > 1,
+        hasNext: page < totalPages
+    };
+}
+
+/**
+ * Searches photos one page at a time by position rather than page number, so
+ * a page continues exactly where the previous one ended
+ * @param {Object} criteria - Parsed criteria from parseSearchQuery
+ * @param {number} userId - ID of the current user
+ * @param {Object|null} position - {key, id} of the last photo of the previous page, null for the first page
+ * @param {number} limit - Results per page (defaults to SEARCH_PAGE_SIZE)
+ * @returns {Promise<Object>} {results, total, limit, next}; next is the position to continue from, null on the last page
+ */
+async function searchPhotosAfter(criteria, userId, position, limit) {
+    if (!limit || isNaN(limit) || limit < 1) {
+        limit = SEARCH_PAGE_SIZE;
+    }
+    if (limit > SEARCH_MAX_PAGE_SIZE) {
+        limit = SEARCH_MAX_PAGE_SIZE;
+    }
+    
+    // One extra result tells whether there is a next page
+    const access = await getShareAccess(userId);
+    const found = await persistence.searchPhotos(criteria, access, 0, limit + 1, position || undefined);
+    const results = found.photos.slice(0, limit);
+    const last = results[results.length - 1];
+    
+    return {
+        results: results,
+        total: found.total,
+        limit: limit,
+        next: found.photos.length > limit ? { key: last.sortKey, id: last.id } : null
+    };
+}
+
+// ==================== PROFILES ====================
+
+/**
+ * Gets a user's profile page: their name and the photos of theirs the viewer can see
+ * @param {number} profileUserId - ID of the user whose profile it is
+ * @param {number} viewerId - ID of the current user
+ * @returns {Promise<Object|null>} {id, name, memberSince, photos, total} or null if there is no such active user
+ */
+async function getUserProfile(profileUserId, viewerId) {
+    const user = await persistence.findUserById(profileUserId);
+    if (!user || user.disabled) {
+        return null;
+    }
+    
+    const found = await searchPhotos({ text: '', ownerId: user.id, sort: 'newest' }, viewerId, 1, SEARCH_MAX_PAGE_SIZE);
+    return {
+        id: user.id,
+        name: user.name,
+        memberSince: user.createdAt ? formatDate(user.createdAt) : null,
+        photos: found.results,
+        total: found.total
+    };
 }
 
 module.exports = {
@@ -417,11 +4422,101 @@ module.exports = {
     formatDate,
     registerUser,
     loginUser,
+    refreshSessionUser,
+    verifyEmail,
+    requestPasswordReset,
+    isPasswordResetTokenValid,
+    resetPassword,
+    getAccount,
+    updateAccountName,
+    changeEmail,
+    changePassword,
+    resendVerification,
+    getSecurityHistory,
+    API_TOKEN_SCOPES,
+    createApiToken,
+    getApiTokens,
+    revokeApiToken,
+    authenticateApiToken,
+    PHOTO_VISIBILITIES,
+    getShareAccess,
     canViewPhoto,
+    canCommentOnPhoto,
+    getPhotoImage,
     canEditPhoto,
     updatePhotoWithVisibility,
+    normalizeTags,
+    getTagCloud,
+    getPhotosByTag,
+    canEditAlbum,
+    canPostToAlbum,
+    getAlbumChoices,
+    updatePhotoAlbums,
+    createAlbum,
+    updateAlbum,
+    deleteAlbum,
+    SHARE_PERMISSIONS,
+    getPhotoSharing,
+    sharePhoto,
+    unsharePhoto,
+    getAlbumSharing,
+    shareAlbum,
+    unshareAlbum,
+    createShareLink,
+    resolveShareLink,
+    unlockShareLink,
+    getShareLinkAlbum,
+    getShareLinkPhoto,
+    getShareLinkImage,
+    recordShareLinkView,
+    getShareLinks,
+    revokeShareLink,
+    getGroups,
+    createGroup,
+    getGroupDetails,
+    addGroupMember,
+    removeGroupMember,
+    deleteGroup,
     addComment,
     getPhotoComments,
+    getCommentThreads,
+    formatCommentHtml,
+    editComment,
+    deleteComment,
+    getNotificationSettings,
+    updateNotificationPrefs,
+    checkUnsubscribeLink,
+    unsubscribe,
+    sendDigests,
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
     uploadPhoto,
-    searchPhotos
+    uploadPhotos,
+    stripPhotoGps,
+    describeMetadata,
+    backfillDerivatives,
+    backfillMentionKeys,
+    deletePhoto,
+    restorePhoto,
+    purgePhoto,
+    getTrash,
+    purgeExpiredTrash,
+    ROLES,
+    getAdminDashboard,
+    getUsersForAdmin,
+    setUserDisabled,
+    changeUserRole,
+    assignRole,
+    getPhotosForModeration,
+    getCommentsForModeration,
+    hidePhoto,
+    hideComment,
+    TRASH_RETENTION_DAYS,
+    parseSearchQuery,
+    searchPhotos,
+    searchPhotosAfter,
+    getUserProfile,
+    SEARCH_SORTS
 };
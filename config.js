@@ -0,0 +1,44 @@
+// Configuration - Settings read from environment variables
+// Secrets must be set when NODE_ENV is "production"; in development an insecure
+// fallback is used (with a warning) so the app runs without any setup.
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Reads a secret from the environment
+ * @param {string} name - Environment variable name
+ * @param {string} developmentValue - Value used outside production when the variable is not set
+ * @returns {string} The secret
+ */
+function readSecret(name, developmentValue) {
+    if (process.env[name]) {
+        return process.env[name];
+    }
+    if (IS_PRODUCTION) {
+        throw new Error(name + ' must be set in production');
+    }
+    console.log('Warning: ' + name + ' is not set, using an insecure development value');
+    return developmentValue;
+}
+
+module.exports = {
+    isProduction: IS_PRODUCTION,
+    
+    // Port the web server listens on
+    port: parseInt(process.env.PORT) || 8000,
+    
+    // Key that signs session cookies
+    sessionSecret: readSecret('SESSION_SECRET', 'development-session-secret'),
+    
+    // Key that signs unsubscribe links in notification emails
+    unsubscribeSecret: readSecret('UNSUBSCRIBE_SECRET', 'development-unsubscribe-secret'),
+    
+    // How long a login lasts without activity
+    sessionMaxAge: 1000 * 60 * 60 * 24,
+    
+    // Only send the session cookie over HTTPS (SECURE_COOKIES=true|false, on by default in production)
+    secureCookies: process.env.SECURE_COOKIES ? process.env.SECURE_COOKIES === 'true' : IS_PRODUCTION,
+    
+    // Number of reverse proxies in front of the app, so HTTPS and client IP addresses are detected behind them
+    trustProxy: parseInt(process.env.TRUST_PROXY) || 0
+};
@@ -0,0 +1,82 @@
+// CSRF Protection - Synchronizer tokens for forms and cookie-authenticated API calls
+// Each session gets a random token that every form sends back in a hidden
+// "_csrf" field, and API clients using the session cookie in an X-CSRF-Token
+// header. The token is never accepted from the query string, where it would
+// end up in access logs, browser history and proxies.
+
+const crypto = require('crypto');
+
+// Random bytes in a session's token
+const CSRF_TOKEN_BYTES = 32;
+
+/**
+ * Gets the session's CSRF token, creating it on first use
+ * @param {Object} session - Express session
+ * @returns {string} Hex-encoded token
+ */
+function ensureCsrfToken(session) {
+    if (!session.csrfToken) {
+        session.csrfToken = crypto.randomBytes(CSRF_TOKEN_BYTES).toString('hex');
+    }
+    return session.csrfToken;
+}
+
+/**
+ * Reads the token a request sent, from the form body or the X-CSRF-Token header
+ * @param {Object} req - Express request
+ * @returns {string} The token, empty if none was sent
+ */
+function readCsrfToken(req) {
+    return String((req.body && req.body._csrf) || req.get('X-CSRF-Token') || '');
+}
+
+/**
+ * Checks a sent token against the session's, in constant time
+ * @param {Object} session - Express session
+ * @param {string} sent - Token sent with the request
+ * @returns {boolean} True if the token matches
+ */
+function isValidCsrfToken(session, sent) {
+    if (!session.csrfToken) {
+        return false;
+    }
+    // Compare byte lengths: a string of the right length can still hold multi-byte characters
+    const given = Buffer.from(String(sent));
+    const expected = Buffer.from(session.csrfToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Builds the CSRF middleware. GET and HEAD requests are never checked.
+ * Deferred requests are multipart uploads, whose body is only read later by
+ * multer; they are marked with req.csrfDeferred and must be checked with
+ * isValidCsrfToken once the body has been read.
+ * @param {Object} options - {isExempt(req), isDeferred(req), reject(req, res)}
+ * @returns {Function} Express middleware
+ */
+function createCsrfProtection(options) {
+    return function csrfProtection(req, res, next) {
+        res.locals.csrfToken = ensureCsrfToken(req.session);
+
+        if (req.method === 'GET' || req.method === 'HEAD' || options.isExempt(req)) {
+            return next();
+        }
+
+        const sent = readCsrfToken(req);
+        if (sent === '' && options.isDeferred(req)) {
+            req.csrfDeferred = true;
+            return next();
+        }
+        if (!isValidCsrfToken(req.session, sent)) {
+            return options.reject(req, res);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ensureCsrfToken,
+    readCsrfToken,
+    isValidCsrfToken,
+    createCsrfProtection
+};
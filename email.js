@@ -1,57 +1,335 @@
 // Email Module - Handles email notifications
-// This module provides a sendMail function that can be replaced with a real email system
-
-/**
- * Sends an email notification
- * This function logs the email details to the console for demonstration
- * 
- * Example integration points:
- * - Nodemailer with SMTP server
- * - SendGrid API
- * - AWS Simple Email Service (SES)
- * - Mailgun API
- * 
- * @param {string} to - Recipient email address
- * @param {string} subject - Email subject line
- * @param {string} body - Email body text (plain text)
- * @returns {boolean} Returns true to indicate the email was processed
+// Messages are rendered from templates, queued, and delivered through a
+// pluggable transport with retry and backoff, so a failing mail server never
+// breaks the request that triggered the email.
+//
+// Transport is chosen with EMAIL_TRANSPORT:
+// - console (default): prints each email to the console
+// - smtp: delivers through SMTP_HOST/SMTP_PORT (a local stand-in such as MailHog works)
+// - outbox: keeps messages in memory for tests, and writes them to EMAIL_OUTBOX_DIR if set
+
+const nodemailer = require('nodemailer');
+const Handlebars = require('handlebars');
+const fs = require('fs');
+const path = require('path');
+const persistence = require('./persistence');
+
+// Address emails are sent from and base URL used for links inside emails
+const MAIL_FROM = process.env.MAIL_FROM || 'Digital Media Catalog <no-reply@localhost>';
+const APP_URL = process.env.APP_URL || 'http://localhost:8000';
+
+// Folder holding one subfolder per notification type with subject, html and text templates
+const TEMPLATE_DIR = path.join(__dirname, 'views', 'emails');
+
+// Delivery attempts per message and delay before the first retry (doubles each time)
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 1000;
+
+// ==================== TRANSPORTS ====================
+
+/**
+ * Prints an email to the console
+ * @param {Object} message - {from, to, subject, text, html}
+ * @returns {Promise<void>}
  */
-function sendMail(to, subject, body) {
-    // Validate inputs
-    if (!to || !subject || !body) {
-        console.log('[EMAIL ERROR] Missing required fields');
-        return false;
-    }
-    
-    // Get current timestamp for logging
+async function sendWithConsole(message) {
     const timestamp = new Date().toISOString();
-    
-    // Log the email notification to console
+
     console.log('');
     console.log('╔════════════════════════════════════════════════════════════╗');
     console.log('║                    EMAIL NOTIFICATION                       ║');
     console.log('╠════════════════════════════════════════════════════════════╣');
     console.log('║ Timestamp: ' + timestamp);
-    console.log('║ To: ' + to);
-    console.log('║ Subject: ' + subject);
+    console.log('║ To: ' + message.to);
+    console.log('║ Subject: ' + message.subject);
     console.log('╠════════════════════════════════════════════════════════════╣');
     console.log('║ Body:');
-    
+
     // Print body with proper formatting
-    const bodyLines = body.split('\n');
+    const bodyLines = message.text.split('\n');
     for (let i = 0; i < bodyLines.length; i++) {
         console.log('║   ' + bodyLines[i]);
     }
-    
+
     console.log('╚════════════════════════════════════════════════════════════╝');
     console.log('');
-    
-    // Return true to indicate success
-    // The calling code can check this return value
+}
+
+let smtpTransporter = null;
+
+/**
+ * Delivers an email through the configured SMTP server
+ * @param {Object} message - {from, to, subject, text, html}
+ * @returns {Promise<void>}
+ */
+async function sendWithSmtp(message) {
+    if (!smtpTransporter) {
+        const options = {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true'
+        };
+        if (process.env.SMTP_USER) {
+            options.auth = {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            };
+        }
+        smtpTransporter = nodemailer.createTransport(options);
+    }
+
+    await smtpTransporter.sendMail(message);
+}
+
+// Messages delivered by the outbox transport, oldest first
+const outbox = [];
+
+/**
+ * Stores an email in the in-memory outbox, and as a JSON file when EMAIL_OUTBOX_DIR is set
+ * @param {Object} message - {from, to, subject, text, html}
+ * @returns {Promise<void>}
+ */
+async function sendWithOutbox(message) {
+    const stored = {
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        headers: message.headers,
+        sentAt: new Date().toISOString()
+    };
+    outbox.push(stored);
+
+    if (process.env.EMAIL_OUTBOX_DIR) {
+        // Name the file before waiting, so messages sent together never share a name
+        const filename = Date.now() + '-' + outbox.length + '.json';
+        await fs.promises.mkdir(process.env.EMAIL_OUTBOX_DIR, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(process.env.EMAIL_OUTBOX_DIR, filename),
+            JSON.stringify(stored, null, 2)
+        );
+    }
+}
+
+const TRANSPORTS = {
+    console: sendWithConsole,
+    smtp: sendWithSmtp,
+    outbox: sendWithOutbox
+};
+
+let transportName = TRANSPORTS[process.env.EMAIL_TRANSPORT] ? process.env.EMAIL_TRANSPORT : 'console';
+
+/**
+ * Switches the transport used for messages sent from now on
+ * @param {string} name - 'console', 'smtp' or 'outbox'
+ */
+function setTransport(name) {
+    if (!TRANSPORTS[name]) {
+        throw new Error('Unknown email transport: ' + name);
+    }
+    transportName = name;
+}
+
+/**
+ * Gets the messages delivered by the outbox transport
+ * @returns {Array} Array of messages, oldest first
+ */
+function getOutbox() {
+    return outbox;
+}
+
+/**
+ * Empties the outbox
+ */
+function clearOutbox() {
+    outbox.length = 0;
+}
+
+// ==================== SEND QUEUE ====================
+
+let pending = 0;
+let idleWaiters = [];
+
+/**
+ * Records the outcome of a delivery in the email log. Logging problems are
+ * reported to the console and never affect delivery.
+ * @param {Object} job - Queue entry
+ * @param {string} status - 'sent' or 'failed'
+ * @param {string|null} errorMessage - Last error, if any
+ */
+function logDelivery(job, status, errorMessage) {
+    persistence.logEmail({
+        to: job.message.to,
+        subject: job.message.subject,
+        template: job.template,
+        transport: transportName,
+        status: status,
+        attempts: job.attempts,
+        error: errorMessage
+    }).catch(function (error) {
+        console.log('[EMAIL ERROR] Could not write email log: ' + error.message);
+    });
+}
+
+/**
+ * Marks a job as finished and wakes anyone waiting for the queue to drain
+ */
+function finishJob() {
+    pending--;
+    if (pending === 0) {
+        const waiters = idleWaiters;
+        idleWaiters = [];
+        for (let i = 0; i < waiters.length; i++) {
+            waiters[i]();
+        }
+    }
+}
+
+/**
+ * Tries to deliver a queued message, scheduling a retry with exponential backoff on failure
+ * @param {Object} job - Queue entry {message, template, attempts}
+ */
+async function deliver(job) {
+    job.attempts++;
+    try {
+        await TRANSPORTS[transportName](job.message);
+        logDelivery(job, 'sent', null);
+        finishJob();
+    } catch (error) {
+        if (job.attempts < MAX_ATTEMPTS) {
+            const delay = RETRY_BASE_DELAY * Math.pow(2, job.attempts - 1);
+            console.log('[EMAIL ERROR] Delivery to ' + job.message.to + ' failed (' + error.message + '), retrying in ' + delay + 'ms');
+            const timer = setTimeout(function () {
+                deliver(job);
+            }, delay);
+            timer.unref();
+        } else {
+            console.log('[EMAIL ERROR] Giving up on email to ' + job.message.to + ' after ' + job.attempts + ' attempts: ' + error.message);
+            logDelivery(job, 'failed', error.message);
+            finishJob();
+        }
+    }
+}
+
+/**
+ * Adds a message to the send queue
+ * @param {Object} message - {to, subject, text, html, headers}
+ * @param {string|null} template - Template name, for the log
+ */
+function enqueue(message, template) {
+    message.from = MAIL_FROM;
+    pending++;
+    deliver({ message: message, template: template, attempts: 0 });
+}
+
+/**
+ * Waits until every queued message has been delivered or given up on
+ * @returns {Promise<void>}
+ */
+function whenIdle() {
+    if (pending === 0) {
+        return Promise.resolve();
+    }
+    return new Promise(function (resolve) {
+        idleWaiters.push(resolve);
+    });
+}
+
+// ==================== TEMPLATES ====================
+
+const templateCache = {};
+
+/**
+ * Loads and compiles one part of a notification template
+ * @param {string} name - Template name (folder inside views/emails)
+ * @param {string} part - 'subject', 'html' or 'text'
+ * @returns {Function} Compiled template
+ */
+function loadTemplate(name, part) {
+    const key = name + '/' + part;
+    if (!templateCache[key]) {
+        const source = fs.readFileSync(path.join(TEMPLATE_DIR, name, part + '.handlebars'), 'utf8');
+        // Only the HTML part needs escaping
+        templateCache[key] = Handlebars.compile(source, { noEscape: part !== 'html' });
+    }
+    return templateCache[key];
+}
+
+/**
+ * Renders a notification template
+ * @param {string} name - Template name (folder inside views/emails)
+ * @param {Object} data - Values for the template; appUrl is always available
+ * @returns {Object} {subject, text, html}
+ */
+function renderTemplate(name, data) {
+    const context = Object.assign({ appUrl: APP_URL }, data);
+    return {
+        subject: loadTemplate(name, 'subject')(context).trim(),
+        text: loadTemplate(name, 'text')(context),
+        html: loadTemplate(name, 'html')(context)
+    };
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Queues a plain email for delivery
+ * @param {string} to - Recipient email address
+ * @param {string} subject - Email subject line
+ * @param {string} body - Email body text (plain text)
+ * @param {string} [html] - Optional HTML body
+ * @returns {boolean} True if the email was queued, false if a field was missing
+ */
+function sendMail(to, subject, body, html) {
+    // Validate inputs
+    if (!to || !subject || !body) {
+        console.log('[EMAIL ERROR] Missing required fields');
+        return false;
+    }
+
+    enqueue({ to: to, subject: subject, text: body, html: html }, null);
+    return true;
+}
+
+/**
+ * Renders a notification template and queues it for delivery.
+ * With an unsubscribe path, the link is available to the template as
+ * unsubscribeUrl and is also sent as a one-click List-Unsubscribe header.
+ * @param {string} to - Recipient email address
+ * @param {string} name - Template name (folder inside views/emails)
+ * @param {Object} data - Values for the template
+ * @param {string} [unsubscribePath] - Path of the signed unsubscribe link, e.g. "/unsubscribe?..."
+ * @returns {boolean} True if the email was queued, false if the recipient was missing
+ */
+function sendTemplate(to, name, data, unsubscribePath) {
+    if (!to) {
+        console.log('[EMAIL ERROR] Missing recipient');
+        return false;
+    }
+
+    let headers;
+    if (unsubscribePath) {
+        const unsubscribeUrl = APP_URL + unsubscribePath;
+        data = Object.assign({ unsubscribeUrl: unsubscribeUrl }, data);
+        headers = {
+            'List-Unsubscribe': '<' + unsubscribeUrl + '>',
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+
+    const rendered = renderTemplate(name, data);
+    enqueue({ to: to, subject: rendered.subject, text: rendered.text, html: rendered.html, headers: headers }, name);
     return true;
 }
 
-// Export the sendMail function
 module.exports = {
-    sendMail
-};
\ No newline at end of file
+    APP_URL,
+    sendMail,
+    sendTemplate,
+    renderTemplate,
+    setTransport,
+    getOutbox,
+    clearOutbox,
+    whenIdle
+};
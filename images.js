@@ -0,0 +1,390 @@
+// Image Module - Resized derivatives and embedded metadata of uploaded photos
+// Galleries show small derivatives instead of the full-size original
+
+const sharp = require('sharp');
+const exifr = require('exifr');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// File extension stored for each accepted image type
+const IMAGE_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    gif: 'gif',
+    webp: 'webp'
+};
+
+// Formats whose EXIF/XMP metadata is read on upload
+const METADATA_FORMATS = ['jpeg', 'webp'];
+
+// Derivative sizes: longest edge in pixels
+const DERIVATIVE_SIZES = {
+    thumb: 320,
+    medium: 800,
+    large: 1600
+};
+
+/**
+ * Detects the real image type of a file from its first bytes (magic numbers),
+ * ignoring whatever type the client claimed
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<string|null>} 'jpeg', 'png', 'gif', 'webp', or null if it is none of these
+ */
+async function detectImageType(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const header = Buffer.alloc(12);
+    let bytesRead = 0;
+    try {
+        const result = await handle.read(header, 0, 12, 0);
+        bytesRead = result.bytesRead;
+    } finally {
+        await handle.close();
+    }
+
+    if (bytesRead >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (bytesRead >= 8 && header.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+        return 'png';
+    }
+    if (bytesRead >= 6 && (header.toString('ascii', 0, 6) === 'GIF87a' || header.toString('ascii', 0, 6) === 'GIF89a')) {
+        return 'gif';
+    }
+    if (bytesRead >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * Computes the SHA-256 hash of a file's contents
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+function hashFile(filePath) {
+    return new Promise(function (resolve, reject) {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', function (chunk) {
+                hash.update(chunk);
+            })
+            .on('end', function () {
+                resolve(hash.digest('hex'));
+            });
+    });
+}
+
+/**
+ * Gets where a derivative of a photo is written
+ * @param {string} filename - Filename of the original
+ * @param {string} sizeName - Key of DERIVATIVE_SIZES
+ * @returns {string} Path relative to the photo folder
+ */
+function getDerivativePath(filename, sizeName) {
+    return sizeName + '/' + path.parse(filename).name + '.jpg';
+}
+
+/**
+ * Creates thumbnail, medium and large JPEG derivatives of a photo.
+ * Each size is written to a subfolder of the photo folder named after the size.
+ * Images are never enlarged, and EXIF orientation is applied.
+ * @param {string} photoDir - Folder that holds the original files
+ * @param {string} filename - Filename of the original inside photoDir
+ * @returns {Promise<Object>} Map of size name to {path, width, height}, paths relative to photoDir
+ */
+async function createDerivatives(photoDir, filename) {
+    const source = path.join(photoDir, filename);
+    const derivatives = {};
+
+    const sizeNames = Object.keys(DERIVATIVE_SIZES);
+    for (let i = 0; i < sizeNames.length; i++) {
+        const sizeName = sizeNames[i];
+        const maxEdge = DERIVATIVE_SIZES[sizeName];
+
+        await fs.promises.mkdir(path.join(photoDir, sizeName), { recursive: true });
+        const relativePath = getDerivativePath(filename, sizeName);
+
+        const info = await sharp(source)
+            .rotate()
+            .resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toFile(path.join(photoDir, relativePath));
+
+        derivatives[sizeName] = {
+            path: relativePath,
+            width: info.width,
+            height: info.height
+        };
+    }
+
+    return derivatives;
+}
+
+/**
+ * Reads a single value from an XMP packet, in attribute or element form
+ * @param {string} xmp - XMP packet as text
+ * @param {string} name - Qualified property name, e.g. "tiff:Make"
+ * @returns {string|null} Property value or null if missing
+ */
+function readXmpValue(xmp, name) {
+    const attribute = new RegExp(name + '="([^"]*)"').exec(xmp);
+    if (attribute) {
+        return attribute[1];
+    }
+    const element = new RegExp('<' + name + '>([^<]*)</' + name + '>').exec(xmp);
+    return element ? element[1] : null;
+}
+
+/**
+ * Converts an XMP GPS coordinate such as "25,17.5N" to decimal degrees
+ * @param {string|null} value - XMP coordinate
+ * @returns {number|null} Decimal degrees or null if it cannot be parsed
+ */
+function parseXmpCoordinate(value) {
+    const match = value ? /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(value) : null;
+    if (!match) {
+        return null;
+    }
+    let degrees = parseInt(match[1]) + parseFloat(match[2]) / 60;
+    if (match[3]) {
+        degrees += parseFloat(match[3]) / 3600;
+    }
+    return match[4] === 'S' || match[4] === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Converts a date value to an ISO string
+ * @param {Date|string|null} value - Date object or date string
+ * @returns {string|null} ISO date string or null if it is not a valid date
+ */
+function toIsoDate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Reads EXIF and XMP metadata from a JPEG or WebP file.
+ * EXIF values win; XMP fills in what EXIF does not have.
+ * @param {string} filePath - Absolute path of the image
+ * @returns {Promise<Object|null>} Metadata {takenAt, make, model, lens, exposureTime,
+ *   fNumber, focalLength, iso, orientation, width, height, gps} or null for other formats
+ */
+async function readMetadata(filePath) {
+    const info = await sharp(filePath).metadata();
+
+    if (METADATA_FORMATS.indexOf(info.format) === -1) {
+        return null;
+    }
+
+    let exif = {};
+    if (info.exif && info.exif.length > 6) {
+        // sharp returns the APP1 payload; skip the "Exif\0\0" header to reach the TIFF data
+        exif = (await exifr.parse(info.exif.subarray(6), { gps: true })) || {};
+    }
+
+    const xmp = info.xmp ? info.xmp.toString('utf8') : '';
+
+    const metadata = {
+        takenAt: toIsoDate(exif.DateTimeOriginal || exif.CreateDate ||
+            readXmpValue(xmp, 'exif:DateTimeOriginal') || readXmpValue(xmp, 'xmp:CreateDate') ||
+            readXmpValue(xmp, 'photoshop:DateCreated')),
+        make: exif.Make || readXmpValue(xmp, 'tiff:Make'),
+        model: exif.Model || readXmpValue(xmp, 'tiff:Model'),
+        lens: exif.LensModel || readXmpValue(xmp, 'exifEX:LensModel') || readXmpValue(xmp, 'aux:Lens'),
+        exposureTime: exif.ExposureTime || null,
+        fNumber: exif.FNumber || null,
+        focalLength: exif.FocalLength || null,
+        iso: exif.ISO || null,
+        orientation: info.orientation || 1,
+        width: info.width,
+        height: info.height,
+        gps: null
+    };
+
+    // Orientations 5-8 swap width and height
+    if (metadata.orientation >= 5) {
+        metadata.width = info.height;
+        metadata.height = info.width;
+    }
+
+    let latitude = typeof exif.latitude === 'number' ? exif.latitude : null;
+    let longitude = typeof exif.longitude === 'number' ? exif.longitude : null;
+    if (latitude === null || longitude === null) {
+        latitude = parseXmpCoordinate(readXmpValue(xmp, 'exif:GPSLatitude'));
+        longitude = parseXmpCoordinate(readXmpValue(xmp, 'exif:GPSLongitude'));
+    }
+    if (latitude !== null && longitude !== null) {
+        metadata.gps = {
+            latitude: latitude,
+            longitude: longitude,
+            altitude: typeof exif.GPSAltitude === 'number' ? exif.GPSAltitude : null
+        };
+    }
+
+    return metadata;
+}
+
+// Size in bytes of one value of each TIFF field type, by type number
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// TIFF tag of IFD0 pointing to the GPS IFD
+const GPS_IFD_TAG = 0x8825;
+
+// Header of a JPEG APP1 segment holding XMP
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Empties the GPS IFD of an EXIF (TIFF) block in place: its entries and the
+ * values they point to are overwritten with zeros, and its entry count set to 0
+ * @param {Buffer} tiff - TIFF data, starting with the byte order mark
+ * @returns {boolean} True if a GPS IFD was found and emptied
+ */
+function clearExifGps(tiff) {
+    if (tiff.length < 8) {
+        return false;
+    }
+    const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+    const read16 = function (offset) {
+        return littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    };
+    const read32 = function (offset) {
+        return littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    };
+
+    const ifd0 = read32(4);
+    if (ifd0 + 2 > tiff.length) {
+        return false;
+    }
+    let gpsIfd = null;
+    const ifd0Count = read16(ifd0);
+    for (let i = 0; i < ifd0Count && ifd0 + 2 + i * 12 + 12 <= tiff.length; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (read16(entry) === GPS_IFD_TAG) {
+            gpsIfd = read32(entry + 8);
+        }
+    }
+    if (gpsIfd === null || gpsIfd + 2 > tiff.length) {
+        return false;
+    }
+
+    const count = read16(gpsIfd);
+    for (let i = 0; i < count && gpsIfd + 2 + i * 12 + 12 <= tiff.length; i++) {
+        const entry = gpsIfd + 2 + i * 12;
+        // Values larger than 4 bytes are stored elsewhere, at the offset in the entry
+        const size = (TIFF_TYPE_SIZES[read16(entry + 2)] || 1) * read32(entry + 4);
+        if (size > 4) {
+            const offset = read32(entry + 8);
+            tiff.fill(0, Math.min(offset, tiff.length), Math.min(offset + size, tiff.length));
+        }
+        tiff.fill(0, entry, entry + 12);
+    }
+    tiff.fill(0, gpsIfd, gpsIfd + 2);
+    return true;
+}
+
+/**
+ * Blanks out the exif:GPS properties of an XMP packet in place. They are
+ * replaced by spaces of the same length, so the packet keeps its size.
+ * @param {Buffer} xmp - XMP packet
+ * @returns {boolean} True if a GPS property was found
+ */
+function clearXmpGps(xmp) {
+    const text = xmp.toString('latin1');
+    const pattern = /\sexif:GPS\w+="[^"]*"|<(exif:GPS\w+)[\s>][\s\S]*?<\/\1>|<exif:GPS\w+[^>]*\/>/g;
+    let found = false;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        xmp.fill(' ', match.index, match.index + match[0].length);
+        found = true;
+    }
+    return found;
+}
+
+/**
+ * Removes the GPS location from the EXIF and XMP data of a JPEG in place
+ * @param {Buffer} data - JPEG file contents
+ * @returns {boolean} True if a location was removed
+ */
+function clearJpegGps(data) {
+    let found = false;
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xFF) {
+        const marker = data[offset + 1];
+        // Image data follows the start-of-scan segment; metadata comes before it
+        if (marker === 0xDA || marker === 0xD9) {
+            break;
+        }
+        const length = data.readUInt16BE(offset + 2);
+        if (marker === 0xE1) {
+            const segment = data.subarray(offset + 4, Math.min(offset + 2 + length, data.length));
+            if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+                found = clearExifGps(segment.subarray(6)) || found;
+            } else if (segment.toString('latin1', 0, XMP_HEADER.length) === XMP_HEADER) {
+                found = clearXmpGps(segment.subarray(XMP_HEADER.length)) || found;
+            }
+        }
+        offset += 2 + length;
+    }
+    return found;
+}
+
+/**
+ * Removes the GPS location from the EXIF and XMP chunks of a WebP in place
+ * @param {Buffer} data - WebP file contents
+ * @returns {boolean} True if a location was removed
+ */
+function clearWebpGps(data) {
+    let found = false;
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+        const type = data.toString('ascii', offset, offset + 4);
+        const size = data.readUInt32LE(offset + 4);
+        const chunk = data.subarray(offset + 8, Math.min(offset + 8 + size, data.length));
+        if (type === 'EXIF') {
+            // Some writers keep the JPEG "Exif\0\0" header in front of the TIFF data
+            found = clearExifGps(chunk.toString('latin1', 0, 6) === 'Exif\0\0' ? chunk.subarray(6) : chunk) || found;
+        } else if (type === 'XMP ') {
+            found = clearXmpGps(chunk) || found;
+        }
+        // Chunks are padded to an even size
+        offset += 8 + size + (size % 2);
+    }
+    return found;
+}
+
+/**
+ * Removes the GPS location from a JPEG or WebP file, leaving the image data
+ * and all other metadata exactly as they were. Only the bytes holding the
+ * location change, so the image is not re-encoded and keeps its quality.
+ * @param {string} filePath - Absolute path of the image
+ * @returns {Promise<boolean>} True if a location was found and removed
+ */
+async function stripGps(filePath) {
+    const type = await detectImageType(filePath);
+    if (type !== 'jpeg' && type !== 'webp') {
+        return false;
+    }
+
+    const data = await fs.promises.readFile(filePath);
+    const found = type === 'jpeg' ? clearJpegGps(data) : clearWebpGps(data);
+    if (found) {
+        await fs.promises.writeFile(filePath, data);
+    }
+    return found;
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    DERIVATIVE_SIZES,
+    detectImageType,
+    hashFile,
+    getDerivativePath,
+    createDerivatives,
+    readMetadata,
+    stripGps
+};
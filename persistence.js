@@ -1,14 +1,30 @@
 // Persistence Layer - MongoDB Database Operations
 const { MongoClient, ObjectId } = require('mongodb');
+const MongoStore = require('connect-mongo');
+const fs = require('fs');
+const path = require('path');
 
 // MongoDB connection string 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/';
 const DATABASE_NAME = 'infs3201_fall2025';
 
+// Folder where uploaded photo files are stored. It is outside the static
+// folder on purpose: images are only sent after a permission check.
+const PHOTO_DIR = path.join(__dirname, 'photos');
+
+// Collections whose documents carry a numeric "id" allocated from the counters collection
+const ID_COLLECTIONS = ['users', 'albums', 'photos', 'comments', 'notifications', 'groups', 'shareLinks', 'apiTokens'];
+
+// Wait between connection attempts while the session store waits for MongoDB
+const RECONNECT_DELAY = 5000;
+
+let client = null;
 let db = null;
+let connecting = null;
 
 /**
- * Connects to MongoDB and initializes the database connection
+ * Connects to MongoDB and initializes the database connection.
+ * Indexes and ID counters are set up once, before the connection is used.
  * @returns {Promise<void>}
  */
 async function connectDB() {
@@ -16,16 +32,171 @@ async function connectDB() {
         return; // Already connected
     }
     
+    // Share one connection attempt between callers that arrive at the same time
+    if (!connecting) {
+        connecting = openConnection();
+    }
+    
+    try {
+        db = await connecting;
+    } finally {
+        connecting = null;
+    }
+}
+
+/**
+ * Closes the MongoDB connection (used by command-line scripts so they can exit)
+ * @returns {Promise<void>}
+ */
+async function closeDB() {
+    if (client) {
+        await client.close();
+    }
+    client = null;
+    db = null;
+}
+
+/**
+ * Waits until the database connection is open, trying again every few seconds
+ * @returns {Promise<Object>} Connected MongoClient
+ */
+async function waitForClient() {
+    while (true) {
+        try {
+            await connectDB();
+            return client;
+        } catch (error) {
+            console.log(error.message + ' - retrying in ' + (RECONNECT_DELAY / 1000) + ' seconds');
+            await new Promise(function (resolve) {
+                setTimeout(resolve, RECONNECT_DELAY);
+            });
+        }
+    }
+}
+
+/**
+ * Creates the store that keeps login sessions in the "sessions" collection, so
+ * they survive restarts. MongoDB removes expired sessions by itself.
+ * The store waits for the database instead of failing if it is not up yet.
+ * @param {number} ttlSeconds - Lifetime of a session without activity
+ * @returns {Object} express-session store
+ */
+function createSessionStore(ttlSeconds) {
+    return MongoStore.create({
+        clientPromise: waitForClient(),
+        dbName: DATABASE_NAME,
+        collectionName: 'sessions',
+        ttl: ttlSeconds
+    });
+}
+
+/**
+ * Opens the MongoDB connection and prepares the database
+ * @returns {Promise<Object>} Database handle
+ */
+async function openConnection() {
     try {
-        const client = new MongoClient(MONGODB_URI);
+        client = new MongoClient(MONGODB_URI);
         await client.connect();
-        db = client.db(DATABASE_NAME);
+        const database = client.db(DATABASE_NAME);
+        await ensureIndexes(database);
+        await seedCounters(database);
         console.log('Connected to MongoDB successfully');
+        return database;
     } catch (error) {
         throw new Error('Error connecting to MongoDB: ' + error.message);
     }
 }
 
+/**
+ * Creates the indexes the application relies on (no-op if they already exist)
+ * @param {Object} database - Database handle
+ * @returns {Promise<void>}
+ */
+async function ensureIndexes(database) {
+    // Numeric IDs must never repeat
+    for (let i = 0; i < ID_COLLECTIONS.length; i++) {
+        await database.collection(ID_COLLECTIONS[i]).createIndex({ id: 1 }, { unique: true });
+    }
+    
+    // @mentions look users up by their mention key
+    await database.collection('users').createIndex({ mentionKey: 1 });
+    
+    // Comments are loaded, and counted for the "most commented" search sort, per photo
+    await database.collection('comments').createIndex({ photoId: 1 });
+    
+    // Duplicate detection looks photos up by content hash
+    await database.collection('photos').createIndex({ contentHash: 1 });
+    
+    // Full-text search over photo title, description and tags
+    await database.collection('photos').createIndex(
+        { title: 'text', description: 'text', tags: 'text' },
+        { name: 'photo_text', weights: { title: 5, tags: 3, description: 1 } }
+    );
+    
+    // Email verification and password reset tokens are looked up by hash and expire on their own
+    await database.collection('authTokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await database.collection('authTokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Failed login counters disappear once they have been quiet long enough
+    await database.collection('loginAttempts').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Each user's security history is listed newest first
+    await database.collection('auditLog').createIndex({ userId: 1, createdAt: -1 });
+    
+    // Notifications are listed per user and collected for digests
+    await database.collection('notifications').createIndex({ userId: 1, createdAt: -1 });
+    await database.collection('notifications').createIndex({ pendingDigest: 1 });
+    
+    // Sharing looks up the groups a user belongs to and the albums shared with them
+    await database.collection('groups').createIndex({ owner: 1 });
+    await database.collection('groups').createIndex({ members: 1 });
+    await database.collection('albums').createIndex({ 'shares.type': 1, 'shares.id': 1 });
+    
+    // Share links are looked up by token hash and listed per owner; expired links remove themselves
+    await database.collection('shareLinks').createIndex({ tokenHash: 1 }, { unique: true });
+    await database.collection('shareLinks').createIndex({ owner: 1, createdAt: -1 });
+    await database.collection('shareLinks').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Personal API tokens are listed per user
+    await database.collection('apiTokens').createIndex({ userId: 1, createdAt: -1 });
+}
+
+/**
+ * Makes sure every ID counter is at least the highest ID already stored, so
+ * data created before the counters existed keeps working. Uses $max, so
+ * running it again never moves a counter backwards.
+ * @param {Object} database - Database handle
+ * @returns {Promise<void>}
+ */
+async function seedCounters(database) {
+    for (let i = 0; i < ID_COLLECTIONS.length; i++) {
+        const name = ID_COLLECTIONS[i];
+        const last = await database.collection(name).find({}).sort({ id: -1 }).limit(1).toArray();
+        const maxId = last.length > 0 ? last[0].id : 0;
+        
+        await database.collection('counters').updateOne(
+            { _id: name },
+            { $max: { seq: maxId } },
+            { upsert: true }
+        );
+    }
+}
+
+/**
+ * Atomically allocates the next numeric ID for a collection
+ * @param {string} name - Collection name
+ * @returns {Promise<number>} The new ID
+ */
+async function getNextId(name) {
+    const counter = await db.collection('counters').findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return counter.seq;
+}
+
 /**
  * Gets all albums from the database
  * @returns {Promise<Array>} Array of album objects
@@ -55,6 +226,118 @@ async function findAlbumById(albumId) {
     }
 }
 
+/**
+ * Creates a new album in the database
+ * @param {Object} albumData - Album data {name, description, owner, unsorted}
+ * @returns {Promise<Object>} Created album object with id
+ */
+async function createAlbum(albumData) {
+    await connectDB();
+    try {
+        // Allocate the next album ID atomically
+        const nextId = await getNextId('albums');
+
+        const album = {
+            id: nextId,
+            name: albumData.name,
+            description: albumData.description || '',
+            owner: albumData.owner,
+            unsorted: albumData.unsorted || false,
+            createdAt: new Date()
+        };
+
+        await db.collection('albums').insertOne(album);
+        return album;
+    } catch (error) {
+        throw new Error('Error creating album: ' + error.message);
+    }
+}
+
+/**
+ * Updates an album in the database
+ * @param {number} albumId - ID of the album to update
+ * @param {Object} updates - Object containing fields to update {name, description, shares}
+ * @returns {Promise<boolean>} True if the album was found, false otherwise
+ */
+async function updateAlbum(albumId, updates) {
+    await connectDB();
+    try {
+        const updateFields = {};
+
+        if (updates.name !== undefined) {
+            updateFields.name = updates.name;
+        }
+        if (updates.description !== undefined) {
+            updateFields.description = updates.description;
+        }
+        if (updates.shares !== undefined) {
+            updateFields.shares = updates.shares;
+        }
+
+        if (Object.keys(updateFields).length === 0) {
+            return true;
+        }
+
+        const result = await db.collection('albums').updateOne(
+            { id: albumId },
+            { $set: updateFields }
+        );
+
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating album: ' + error.message);
+    }
+}
+
+/**
+ * Deletes an album document (photo memberships must be handled by the caller)
+ * @param {number} albumId - ID of the album to delete
+ * @returns {Promise<boolean>} True if an album was deleted
+ */
+async function deleteAlbum(albumId) {
+    await connectDB();
+    try {
+        const result = await db.collection('albums').deleteOne({ id: albumId });
+        return result.deletedCount > 0;
+    } catch (error) {
+        throw new Error('Error deleting album: ' + error.message);
+    }
+}
+
+/**
+ * Finds the "Unsorted" album belonging to a user
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Object|null>} Album object or null if the user has none yet
+ */
+async function findUnsortedAlbum(userId) {
+    await connectDB();
+    try {
+        const album = await db.collection('albums').findOne({ owner: userId, unsorted: true });
+        return album;
+    } catch (error) {
+        throw new Error('Error finding album: ' + error.message);
+    }
+}
+
+/**
+ * Replaces the album list of a photo
+ * @param {number} photoId - ID of the photo
+ * @param {Array<number>} albumIds - New list of album IDs
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function setPhotoAlbums(photoId, albumIds) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $set: { albums: albumIds } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating photo albums: ' + error.message);
+    }
+}
+
 /**
  * Gets all photos that belong to a specific album
  * @param {number} albumId - ID of the album
@@ -63,7 +346,7 @@ async function findAlbumById(albumId) {
 async function getPhotosByAlbum(albumId) {
     await connectDB();
     try {
-        const photos = await db.collection('photos').find({ albums: albumId }).toArray();
+        const photos = await db.collection('photos').find({ albums: albumId, deletedAt: null }).toArray();
         return photos;
     } catch (error) {
         throw new Error('Error loading photos: ' + error.message);
@@ -105,6 +388,12 @@ async function updatePhoto(photoId, updates) {
         if (updates.visibility !== undefined) {
             updateFields.visibility = updates.visibility;
         }
+        if (updates.tags !== undefined) {
+            updateFields.tags = updates.tags;
+        }
+        if (updates.shares !== undefined) {
+            updateFields.shares = updates.shares;
+        }
         
         // If no fields to update, consider it successful
         if (Object.keys(updateFields).length === 0) {
@@ -133,15 +422,19 @@ async function updatePhoto(photoId, updates) {
 async function createUser(userData) {
     await connectDB();
     try {
-        // Get the next user ID
-        const lastUser = await db.collection('users').find({}).sort({ id: -1 }).limit(1).toArray();
-        const nextId = lastUser.length > 0 ? lastUser[0].id + 1 : 1;
+        // Allocate the next user ID atomically
+        const nextId = await getNextId('users');
         
         const user = {
             id: nextId,
             name: userData.name,
+            mentionKey: userData.mentionKey,
             email: userData.email,
             password: userData.password,
+            emailVerified: false,
+            sessionVersion: 0,
+            role: 'user',
+            disabled: false,
             createdAt: new Date()
         };
         
@@ -167,6 +460,35 @@ async function findUserByEmail(email) {
     }
 }
 
+/**
+ * Finds active users by the name they are @mentioned with, stored as their mentionKey
+ * @param {Array<string>} keys - Mention keys, see business mentionKey
+ * @returns {Promise<Array>} Array of user objects
+ */
+async function findUsersByMentionKeys(keys) {
+    await connectDB();
+    try {
+        const users = await db.collection('users').find({ mentionKey: { $in: keys }, disabled: { $ne: true } }).toArray();
+        return users;
+    } catch (error) {
+        throw new Error('Error finding mentioned users: ' + error.message);
+    }
+}
+
+/**
+ * Gets all users that have no mention key stored yet
+ * @returns {Promise<Array>} Array of user objects
+ */
+async function getUsersWithoutMentionKey() {
+    await connectDB();
+    try {
+        const users = await db.collection('users').find({ mentionKey: null }).toArray();
+        return users;
+    } catch (error) {
+        throw new Error('Error loading users: ' + error.message);
+    }
+}
+
 /**
  * Finds a user by ID
  * @param {number} userId - User ID
@@ -182,146 +504,1604 @@ async function findUserById(userId) {
     }
 }
 
-// ==================== COMMENT OPERATIONS ====================
+/**
+ * Gets every user, without password hashes
+ * @returns {Promise<Array>} Array of users ordered by ID
+ */
+async function listUsers() {
+    await connectDB();
+    try {
+        const users = await db.collection('users')
+            .find({}, { projection: { password: 0 } })
+            .sort({ id: 1 })
+            .toArray();
+        return users;
+    } catch (error) {
+        throw new Error('Error loading users: ' + error.message);
+    }
+}
 
 /**
- * Creates a new comment on a photo
- * @param {Object} commentData - Comment data {photoId, userId, username, text}
- * @returns {Promise<Object>} Created comment object with id
+ * Updates a user's account details
+ * @param {number} userId - User ID
+ * @param {Object} updates - Any of {name, mentionKey, email, password, emailVerified, pendingEmail, role, disabled}
+ * @returns {Promise<boolean>} True if the user was found
  */
-async function createComment(commentData) {
+async function updateUser(userId, updates) {
     await connectDB();
     try {
-        // Get the next comment ID
-        const lastComment = await db.collection('comments').find({}).sort({ id: -1 }).limit(1).toArray();
-        const nextId = lastComment.length > 0 ? lastComment[0].id + 1 : 1;
+        const updateFields = {};
         
-        const comment = {
-            id: nextId,
-            photoId: commentData.photoId,
-            userId: commentData.userId,
-            username: commentData.username,
-            text: commentData.text,
-            createdAt: new Date()
-        };
+        if (updates.name !== undefined) {
+            updateFields.name = updates.name;
+        }
+        if (updates.mentionKey !== undefined) {
+            updateFields.mentionKey = updates.mentionKey;
+        }
+        if (updates.email !== undefined) {
+            updateFields.email = updates.email;
+        }
+        if (updates.password !== undefined) {
+            updateFields.password = updates.password;
+        }
+        if (updates.emailVerified !== undefined) {
+            updateFields.emailVerified = updates.emailVerified;
+        }
+        if (updates.pendingEmail !== undefined) {
+            updateFields.pendingEmail = updates.pendingEmail;
+        }
+        if (updates.role !== undefined) {
+            updateFields.role = updates.role;
+        }
+        if (updates.disabled !== undefined) {
+            updateFields.disabled = updates.disabled;
+        }
         
-        await db.collection('comments').insertOne(comment);
-        return comment;
+        const result = await db.collection('users').updateOne(
+            { id: userId },
+            { $set: updateFields }
+        );
+        return result.matchedCount > 0;
     } catch (error) {
-        throw new Error('Error creating comment: ' + error.message);
+        throw new Error('Error updating user: ' + error.message);
     }
 }
 
 /**
- * Gets all comments for a specific photo
- * @param {number} photoId - ID of the photo
- * @returns {Promise<Array>} Array of comments
+ * Bumps a user's session version, which signs out every session started before
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} New session version, or null if the user was not found
  */
-async function getCommentsByPhotoId(photoId) {
+async function incrementSessionVersion(userId) {
     await connectDB();
     try {
-        const comments = await db.collection('comments').find({ photoId: photoId }).sort({ createdAt: 1 }).toArray();
-        return comments;
+        const user = await db.collection('users').findOneAndUpdate(
+            { id: userId },
+            { $inc: { sessionVersion: 1 } },
+            { returnDocument: 'after' }
+        );
+        return user ? user.sessionVersion : null;
     } catch (error) {
-        throw new Error('Error loading comments: ' + error.message);
+        throw new Error('Error updating user: ' + error.message);
     }
 }
 
-// ==================== PHOTO OPERATIONS ====================
+/**
+ * Saves a user's notification preferences
+ * @param {number} userId - User ID
+ * @param {Object} prefs - Map of event type to delivery ('immediate', 'daily' or 'off')
+ * @returns {Promise<boolean>} True if the user was found
+ */
+async function updateNotificationPrefs(userId, prefs) {
+    await connectDB();
+    try {
+        const result = await db.collection('users').updateOne(
+            { id: userId },
+            { $set: { notificationPrefs: prefs } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating notification preferences: ' + error.message);
+    }
+}
+
+// ==================== AUTH TOKEN OPERATIONS ====================
 
 /**
- * Creates a new photo in the database
- * @param {Object} photoData - Photo data {filename, title, description, tags, albums, visibility, owner, date}
- * @returns {Promise<Object>} Created photo object with id
+ * Stores a single-use token. Only the token's hash is kept.
+ * @param {Object} tokenData - {tokenHash, userId, purpose, email, expiresAt}
+ * @returns {Promise<void>}
  */
-async function createPhoto(photoData) {
+async function createAuthToken(tokenData) {
     await connectDB();
     try {
-        // Get the next photo ID
-        const lastPhoto = await db.collection('photos').find({}).sort({ id: -1 }).limit(1).toArray();
-        const nextId = lastPhoto.length > 0 ? lastPhoto[0].id + 1 : 1;
-        
-        const photo = {
-            id: nextId,
-            filename: photoData.filename,
-            title: photoData.title || '',
-            description: photoData.description || '',
-            tags: photoData.tags || [],
-            albums: photoData.albums || [],
-            visibility: photoData.visibility || 'private',
-            owner: photoData.owner,
-            date: photoData.date || new Date().toISOString()
-        };
-        
-        await db.collection('photos').insertOne(photo);
-        return photo;
+        await db.collection('authTokens').insertOne({
+            tokenHash: tokenData.tokenHash,
+            userId: tokenData.userId,
+            purpose: tokenData.purpose,
+            email: tokenData.email,
+            expiresAt: tokenData.expiresAt,
+            usedAt: null,
+            createdAt: new Date()
+        });
     } catch (error) {
-        throw new Error('Error creating photo: ' + error.message);
+        throw new Error('Error creating token: ' + error.message);
     }
 }
 
 /**
- * Searches photos by title, description, and tags
- * @param {string} query - Search query
- * @returns {Promise<Array>} Array of matching photos
+ * Finds a token that is unused and not yet expired
+ * @param {string} tokenHash - Hash of the token
+ * @param {string} purpose - 'verify' or 'reset'
+ * @returns {Promise<Object|null>} Token object or null if it is invalid
  */
-async function searchPhotos(query) {
+async function findAuthToken(tokenHash, purpose) {
     await connectDB();
     try {
-        // Convert query to lowercase for case-insensitive search
-        const searchTerm = query.toLowerCase();
-        
-        // Get all photos and filter manually (avoiding .filter() method)
-        const allPhotos = await db.collection('photos').find({}).toArray();
-        const results = [];
-        
-        for (let i = 0; i < allPhotos.length; i++) {
-            const photo = allPhotos[i];
-            let matches = false;
-            
-            // Check title
-            if (photo.title && photo.title.toLowerCase().indexOf(searchTerm) !== -1) {
-                matches = true;
-            }
-            
-            // Check description
-            if (photo.description && photo.description.toLowerCase().indexOf(searchTerm) !== -1) {
-                matches = true;
-            }
-            
-            // Check tags
-            if (photo.tags && photo.tags.length > 0) {
-                for (let j = 0; j < photo.tags.length; j++) {
-                    if (photo.tags[j].toLowerCase().indexOf(searchTerm) !== -1) {
-                        matches = true;
-                        break;
-                    }
-                }
-            }
-            
-            if (matches) {
-                results.push(photo);
-            }
-        }
-        
-        return results;
+        const token = await db.collection('authTokens').findOne({
+            tokenHash: tokenHash,
+            purpose: purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+        return token;
     } catch (error) {
-        throw new Error('Error searching photos: ' + error.message);
+        throw new Error('Error finding token: ' + error.message);
+    }
+}
+
+/**
+ * Atomically marks a token as used, so it works only once
+ * @param {string} tokenHash - Hash of the token
+ * @param {string} purpose - 'verify' or 'reset'
+ * @returns {Promise<Object|null>} Token object, or null if it was invalid, expired or already used
+ */
+async function useAuthToken(tokenHash, purpose) {
+    await connectDB();
+    try {
+        const token = await db.collection('authTokens').findOneAndUpdate(
+            { tokenHash: tokenHash, purpose: purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        return token;
+    } catch (error) {
+        throw new Error('Error using token: ' + error.message);
+    }
+}
+
+/**
+ * Deletes a user's unused tokens for a purpose (e.g. older reset links after a reset)
+ * @param {number} userId - User ID
+ * @param {string} purpose - 'verify' or 'reset'
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+async function deleteAuthTokens(userId, purpose) {
+    await connectDB();
+    try {
+        const result = await db.collection('authTokens').deleteMany({ userId: userId, purpose: purpose, usedAt: null });
+        return result.deletedCount;
+    } catch (error) {
+        throw new Error('Error deleting tokens: ' + error.message);
+    }
+}
+
+// ==================== LOGIN THROTTLING ====================
+
+/**
+ * Reserves a login attempt for a key in one atomic update, before the password
+ * is checked: unless the key has to wait, its count goes up by one and the wait
+ * for the next attempt is set from the new count. Parallel attempts each see
+ * their own count, so a burst cannot slip past the limit.
+ * @param {string} key - Account or IP key, such as "account:ann@example.com" or "ip:127.0.0.1"
+ * @param {Array<number>} waits - Wait in milliseconds after each count (index = count);
+ *   counts beyond the end use the last entry
+ * @param {number} window - Milliseconds after the wait before the counter is forgotten
+ * @returns {Promise<Object>} Counter {_id, failures, blockedUntil, expiresAt, refused};
+ *   refused is true if the key had to wait and nothing was counted
+ */
+async function reserveLoginAttempt(key, waits, window) {
+    await connectDB();
+    try {
+        const now = new Date();
+        const attempt = await db.collection('loginAttempts').findOneAndUpdate(
+            { _id: key },
+            [
+                { $set: {
+                    failures: { $ifNull: ['$failures', 0] },
+                    blockedUntil: { $ifNull: ['$blockedUntil', new Date(0)] }
+                } },
+                { $set: { refused: { $gt: ['$blockedUntil', now] } } },
+                { $set: { failures: { $cond: ['$refused', '$failures', { $add: ['$failures', 1] }] } } },
+                { $set: { blockedUntil: { $cond: ['$refused', '$blockedUntil', {
+                    $add: [now, { $arrayElemAt: [{ $literal: waits }, { $min: ['$failures', waits.length - 1] }] }]
+                }] } } },
+                { $set: { expiresAt: { $add: ['$blockedUntil', window] } } }
+            ],
+            { upsert: true, returnDocument: 'after' }
+        );
+        return attempt;
+    } catch (error) {
+        throw new Error('Error recording login attempt: ' + error.message);
+    }
+}
+
+/**
+ * Gets the failed login counter of a key
+ * @param {string} key - Account, token or IP key
+ * @returns {Promise<Object|null>} Counter {_id, failures, blockedUntil, expiresAt}, or null if there is none
+ */
+async function findLoginAttempt(key) {
+    await connectDB();
+    try {
+        const attempt = await db.collection('loginAttempts').findOne({ _id: key });
+        return attempt;
+    } catch (error) {
+        throw new Error('Error loading login attempts: ' + error.message);
+    }
+}
+
+/**
+ * Gives back an attempt reserved for a key that turned out not to be a failure
+ * @param {string} key - Account or IP key
+ * @returns {Promise<void>}
+ */
+async function releaseLoginAttempt(key) {
+    await connectDB();
+    try {
+        await db.collection('loginAttempts').updateOne({ _id: key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    } catch (error) {
+        throw new Error('Error recording login attempt: ' + error.message);
+    }
+}
+
+/**
+ * Forgets the failed logins for a key (after a successful login)
+ * @param {string} key - Account or IP key
+ * @returns {Promise<void>}
+ */
+async function clearLoginAttempts(key) {
+    await connectDB();
+    try {
+        await db.collection('loginAttempts').deleteOne({ _id: key });
+    } catch (error) {
+        throw new Error('Error clearing login attempts: ' + error.message);
+    }
+}
+
+// ==================== AUDIT LOG ====================
+
+/**
+ * Records a security-relevant action
+ * @param {Object} entry - {userId, actorId, action, details, ip}; userId is the user
+ *   the action concerns and actorId the user who performed it
+ * @returns {Promise<void>}
+ */
+async function addAuditEntry(entry) {
+    await connectDB();
+    try {
+        await db.collection('auditLog').insertOne({
+            userId: entry.userId,
+            actorId: entry.actorId,
+            action: entry.action,
+            details: entry.details,
+            ip: entry.ip,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        throw new Error('Error writing audit log: ' + error.message);
+    }
+}
+
+/**
+ * Gets a user's most recent audit log entries
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Array of entries, newest first
+ */
+async function getAuditEntriesByUser(userId, limit) {
+    await connectDB();
+    try {
+        const entries = await db.collection('auditLog')
+            .find({ userId: userId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        return entries;
+    } catch (error) {
+        throw new Error('Error loading audit log: ' + error.message);
+    }
+}
+
+/**
+ * Gets the most recent audit log entries of the given kinds, site-wide
+ * @param {Array<string>} actions - Action names
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Array of entries, newest first
+ */
+async function getAuditEntriesByActions(actions, limit) {
+    await connectDB();
+    try {
+        const entries = await db.collection('auditLog')
+            .find({ action: { $in: actions } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        return entries;
+    } catch (error) {
+        throw new Error('Error loading audit log: ' + error.message);
+    }
+}
+
+// ==================== SITE STATISTICS ====================
+
+/**
+ * Counts users, photos, albums and comments for the admin dashboard
+ * @param {Date} since - Users who signed up after this date count as new
+ * @returns {Promise<Object>} Counts
+ */
+async function getSiteStatistics(since) {
+    await connectDB();
+    try {
+        const users = db.collection('users');
+        const photos = db.collection('photos');
+        const comments = db.collection('comments');
+        
+        return {
+            users: await users.countDocuments({}),
+            newUsers: await users.countDocuments({ createdAt: { $gte: since } }),
+            disabledUsers: await users.countDocuments({ disabled: true }),
+            staff: await users.countDocuments({ role: { $in: ['moderator', 'admin'] } }),
+            photos: await photos.countDocuments({ deletedAt: null }),
+            publicPhotos: await photos.countDocuments({ deletedAt: null, visibility: 'public' }),
+            hiddenPhotos: await photos.countDocuments({ deletedAt: null, hiddenAt: { $ne: null } }),
+            trashedPhotos: await photos.countDocuments({ deletedAt: { $ne: null } }),
+            albums: await db.collection('albums').countDocuments({}),
+            comments: await comments.countDocuments({}),
+            hiddenComments: await comments.countDocuments({ hiddenAt: { $ne: null } })
+        };
+    } catch (error) {
+        throw new Error('Error loading statistics: ' + error.message);
+    }
+}
+
+// ==================== COMMENT OPERATIONS ====================
+
+/**
+ * Creates a new comment on a photo
+ * @param {Object} commentData - Comment data {photoId, userId, username, text, parentId, mentions}; parentId is set on replies
+ * @returns {Promise<Object>} Created comment object with id
+ */
+async function createComment(commentData) {
+    await connectDB();
+    try {
+        // Allocate the next comment ID atomically
+        const nextId = await getNextId('comments');
+        
+        const comment = {
+            id: nextId,
+            photoId: commentData.photoId,
+            userId: commentData.userId,
+            username: commentData.username,
+            text: commentData.text,
+            parentId: commentData.parentId || null,
+            mentions: commentData.mentions || [],
+            createdAt: new Date()
+        };
+        
+        await db.collection('comments').insertOne(comment);
+        return comment;
+    } catch (error) {
+        throw new Error('Error creating comment: ' + error.message);
+    }
+}
+
+/**
+ * Gets all comments for a specific photo
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<Array>} Array of comments
+ */
+async function getCommentsByPhotoId(photoId) {
+    await connectDB();
+    try {
+        const comments = await db.collection('comments').find({ photoId: photoId }).sort({ createdAt: 1 }).toArray();
+        return comments;
+    } catch (error) {
+        throw new Error('Error loading comments: ' + error.message);
+    }
+}
+
+/**
+ * Finds a comment by ID
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment object or null if not found
+ */
+async function findCommentById(commentId) {
+    await connectDB();
+    try {
+        const comment = await db.collection('comments').findOne({ id: commentId });
+        return comment;
+    } catch (error) {
+        throw new Error('Error finding comment: ' + error.message);
+    }
+}
+
+/**
+ * Hides a comment from everyone, or shows it again
+ * @param {number} commentId - Comment ID
+ * @param {number|null} hiddenBy - ID of the moderator hiding it, or null to show it again
+ * @returns {Promise<boolean>} True if the comment was found
+ */
+async function setCommentHidden(commentId, hiddenBy) {
+    await connectDB();
+    try {
+        const result = await db.collection('comments').updateOne(
+            { id: commentId },
+            { $set: { hiddenAt: hiddenBy ? new Date() : null, hiddenBy: hiddenBy } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating comment: ' + error.message);
+    }
+}
+
+/**
+ * Replaces a comment's text, keeping the text it had before in its history.
+ * Only succeeds if the text is still the one the edit started from.
+ * @param {number} commentId - Comment ID
+ * @param {string} previousText - Text being replaced
+ * @param {string} text - New text
+ * @param {Array} mentions - Users mentioned in the new text [{key, userId}]
+ * @returns {Promise<boolean>} True if the comment was updated
+ */
+async function editComment(commentId, previousText, text, mentions) {
+    await connectDB();
+    try {
+        const now = new Date();
+        const result = await db.collection('comments').updateOne(
+            { id: commentId, text: previousText },
+            {
+                $set: { text: text, mentions: mentions, editedAt: now },
+                $push: { history: { text: previousText, replacedAt: now } }
+            }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error editing comment: ' + error.message);
+    }
+}
+
+/**
+ * Deletes a comment together with the replies to it
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<boolean>} True if the comment was deleted
+ */
+async function deleteComment(commentId) {
+    await connectDB();
+    try {
+        const result = await db.collection('comments').deleteMany({ $or: [{ id: commentId }, { parentId: commentId }] });
+        return result.deletedCount > 0;
+    } catch (error) {
+        throw new Error('Error deleting comment: ' + error.message);
+    }
+}
+
+/**
+ * Gets the most recent comments on the site, for moderation
+ * @param {boolean} onlyHidden - Only return hidden comments
+ * @param {number} limit - Maximum number of comments
+ * @returns {Promise<Array>} Array of comments, newest first
+ */
+async function getRecentComments(onlyHidden, limit) {
+    await connectDB();
+    try {
+        const filter = onlyHidden ? { hiddenAt: { $ne: null } } : {};
+        const comments = await db.collection('comments').find(filter).sort({ id: -1 }).limit(limit).toArray();
+        return comments;
+    } catch (error) {
+        throw new Error('Error loading comments: ' + error.message);
+    }
+}
+
+/**
+ * Deletes all comments on a photo
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<number>} Number of comments deleted
+ */
+async function deleteCommentsByPhotoId(photoId) {
+    await connectDB();
+    try {
+        const result = await db.collection('comments').deleteMany({ photoId: photoId });
+        return result.deletedCount;
+    } catch (error) {
+        throw new Error('Error deleting comments: ' + error.message);
+    }
+}
+
+// ==================== PHOTO OPERATIONS ====================
+
+/**
+ * Creates a new photo in the database
+ * @param {Object} photoData - Photo data {filename, title, description, tags, albums, visibility, owner, date}
+ * @returns {Promise<Object>} Created photo object with id
+ */
+async function createPhoto(photoData) {
+    await connectDB();
+    try {
+        // Allocate the next photo ID atomically
+        const nextId = await getNextId('photos');
+        
+        const photo = {
+            id: nextId,
+            filename: photoData.filename,
+            title: photoData.title || '',
+            description: photoData.description || '',
+            tags: photoData.tags || [],
+            albums: photoData.albums || [],
+            visibility: photoData.visibility || 'private',
+            owner: photoData.owner,
+            date: photoData.date || new Date().toISOString(),
+            derivatives: photoData.derivatives || null,
+            metadata: photoData.metadata || null,
+            originalName: photoData.originalName || '',
+            contentHash: photoData.contentHash || null
+        };
+        
+        await db.collection('photos').insertOne(photo);
+        return photo;
+    } catch (error) {
+        throw new Error('Error creating photo: ' + error.message);
+    }
+}
+
+/**
+ * Finds a photo in an album with the given content hash (trashed photos excluded)
+ * @param {string} contentHash - SHA-256 hash of the file contents
+ * @param {number} albumId - ID of the album
+ * @returns {Promise<Object|null>} Photo object or null if there is none
+ */
+async function findPhotoByHashInAlbum(contentHash, albumId) {
+    await connectDB();
+    try {
+        const photo = await db.collection('photos').findOne({
+            contentHash: contentHash,
+            albums: albumId,
+            deletedAt: null
+        });
+        return photo;
+    } catch (error) {
+        throw new Error('Error finding photo: ' + error.message);
+    }
+}
+
+/**
+ * Records the resized derivatives generated for a photo
+ * @param {number} photoId - ID of the photo
+ * @param {Object} derivatives - Map of size name to {path, width, height}
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function setPhotoDerivatives(photoId, derivatives) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $set: { derivatives: derivatives } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating photo derivatives: ' + error.message);
+    }
+}
+
+/**
+ * Removes the GPS location from a photo's stored metadata, and stores the
+ * content hash of the file without it
+ * @param {number} photoId - ID of the photo
+ * @param {string} contentHash - SHA-256 hash of the file contents
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function removePhotoGps(photoId, contentHash) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $set: { 'metadata.gps': null, contentHash: contentHash } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating photo metadata: ' + error.message);
+    }
+}
+
+/**
+ * Hides a photo from everyone but its owner, or shows it again
+ * @param {number} photoId - ID of the photo
+ * @param {number|null} hiddenBy - ID of the moderator hiding it, or null to show it again
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function setPhotoHidden(photoId, hiddenBy) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $set: { hiddenAt: hiddenBy ? new Date() : null, hiddenBy: hiddenBy } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating photo: ' + error.message);
+    }
+}
+
+/**
+ * Gets the most recently added photos outside the trash, for moderation
+ * @param {boolean} onlyHidden - Only return hidden photos
+ * @param {number} limit - Maximum number of photos
+ * @returns {Promise<Array>} Array of photos, newest first
+ */
+async function getRecentPhotos(onlyHidden, limit) {
+    await connectDB();
+    try {
+        const filter = { deletedAt: null };
+        if (onlyHidden) {
+            filter.hiddenAt = { $ne: null };
+        }
+        const photos = await db.collection('photos').find(filter).sort({ id: -1 }).limit(limit).toArray();
+        return photos;
+    } catch (error) {
+        throw new Error('Error loading photos: ' + error.message);
+    }
+}
+
+/**
+ * Gets all photos that have no derivatives recorded yet
+ * @returns {Promise<Array>} Array of photos
+ */
+async function getPhotosWithoutDerivatives() {
+    await connectDB();
+    try {
+        const photos = await db.collection('photos').find({ derivatives: null }).toArray();
+        return photos;
+    } catch (error) {
+        throw new Error('Error loading photos: ' + error.message);
+    }
+}
+
+/**
+ * Moves a photo to the trash by stamping it with a deletion time
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function trashPhoto(photoId) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $set: { deletedAt: new Date() } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error trashing photo: ' + error.message);
+    }
+}
+
+/**
+ * Takes a photo out of the trash
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<boolean>} True if the photo was found
+ */
+async function restorePhoto(photoId) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').updateOne(
+            { id: photoId },
+            { $unset: { deletedAt: '' } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error restoring photo: ' + error.message);
+    }
+}
+
+/**
+ * Gets all trashed photos belonging to a user, most recently deleted first
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Array>} Array of trashed photos
+ */
+async function getTrashedPhotosByOwner(userId) {
+    await connectDB();
+    try {
+        const photos = await db.collection('photos')
+            .find({ owner: userId, deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1 })
+            .toArray();
+        return photos;
+    } catch (error) {
+        throw new Error('Error loading trash: ' + error.message);
+    }
+}
+
+/**
+ * Gets trashed photos that were deleted before a cutoff time
+ * @param {Date} cutoff - Photos trashed before this time are returned
+ * @returns {Promise<Array>} Array of expired trashed photos
+ */
+async function getTrashedPhotosBefore(cutoff) {
+    await connectDB();
+    try {
+        const photos = await db.collection('photos').find({ deletedAt: { $lt: cutoff } }).toArray();
+        return photos;
+    } catch (error) {
+        throw new Error('Error loading trash: ' + error.message);
+    }
+}
+
+/**
+ * Permanently removes a photo document
+ * @param {number} photoId - ID of the photo
+ * @returns {Promise<boolean>} True if a photo was deleted
+ */
+async function deletePhoto(photoId) {
+    await connectDB();
+    try {
+        const result = await db.collection('photos').deleteOne({ id: photoId });
+        return result.deletedCount > 0;
+    } catch (error) {
+        throw new Error('Error deleting photo: ' + error.message);
+    }
+}
+
+/**
+ * Counts how many photos a user can see carry each tag
+ * @param {Object} access - Share access of the current user, see visibleToUserFilter
+ * @returns {Promise<Array>} Array of {name, count} sorted by name
+ */
+async function getTagCounts(access) {
+    await connectDB();
+    try {
+        const filter = visibleToUserFilter(access);
+        filter['tags.0'] = { $exists: true };
+        
+        const counts = await db.collection('photos').aggregate([
+            { $match: filter },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, name: '$_id', count: 1 } }
+        ]).toArray();
+        return counts;
+    } catch (error) {
+        throw new Error('Error loading tags: ' + error.message);
+    }
+}
+
+/**
+ * Gets all photos with an exact tag (trashed photos excluded)
+ * @param {string} tag - Normalised tag name
+ * @returns {Promise<Array>} Array of photos with the tag
+ */
+async function getPhotosByTag(tag) {
+    await connectDB();
+    try {
+        const photos = await db.collection('photos').find({ tags: tag, deletedAt: null }).toArray();
+        return photos;
+    } catch (error) {
+        throw new Error('Error loading photos: ' + error.message);
+    }
+}
+
+/**
+ * Builds the query condition for photos a user is allowed to see.
+ * Mirrors business.canViewPhoto so visibility can be checked by the database.
+ * @param {Object} access - Share access of the current user {userId, groupIds, albums}
+ *   as built by business.getShareAccess
+ * @returns {Object} MongoDB filter
+ */
+function visibleToUserFilter(access) {
+    const conditions = [
+        // Photos hidden by a moderator are only shown to their owner
+        { visibility: 'public', hiddenAt: null },
+        { owner: access.userId },
+        {
+            visibility: 'shared',
+            hiddenAt: null,
+            shares: {
+                $elemMatch: {
+                    $or: [
+                        { type: 'user', id: access.userId },
+                        { type: 'group', id: { $in: access.groupIds } }
+                    ]
+                }
+            }
+        }
+    ];
+    
+    // Photos inherit the shares of albums that belong to the same owner
+    const albumIds = Object.keys(access.albums);
+    for (let i = 0; i < albumIds.length; i++) {
+        conditions.push({
+            hiddenAt: null,
+            albums: parseInt(albumIds[i]),
+            owner: access.albums[albumIds[i]].owner
+        });
+    }
+    
+    return {
+        deletedAt: null,
+        $or: conditions
+    };
+}
+
+// Order of each search sort: the value photos are sorted by (stored on each
+// result as sortKey), its direction, and the direction of the ID that breaks ties
+const SEARCH_ORDERS = {
+    relevance: { key: { $meta: 'textScore' }, direction: -1, idDirection: 1 },
+    comments: { key: { $ifNull: [{ $arrayElemAt: ['$commentCount.count', 0] }, 0] }, direction: -1, idDirection: -1 },
+    oldest: { key: { $ifNull: ['$date', ''] }, direction: 1, idDirection: 1 },
+    title: { key: { $ifNull: ['$title', ''] }, direction: 1, idDirection: 1 },
+    newest: { key: { $ifNull: ['$date', ''] }, direction: -1, idDirection: -1 }
+};
+
+/**
+ * Searches photos using the text index and structured filters.
+ * Only photos visible to the user are returned.
+ * Photo dates are ISO strings, so date bounds are compared as strings.
+ * @param {Object} criteria - {text, tags, ownerId, albumId, visibility, after, before, sort}
+ * @param {Object} access - Share access of the current user, see visibleToUserFilter
+ * @param {number} skip - Number of results to skip
+ * @param {number} limit - Maximum number of results to return
+ * @param {Object} [position] - {key, id}: sortKey and ID of the last result
+ *   already seen; only results sorted after it are returned
+ * @returns {Promise<Object>} Object with photos array (each with its sortKey) and total match count
+ */
+async function searchPhotos(criteria, access, skip, limit, position) {
+    await connectDB();
+    try {
+        const filter = visibleToUserFilter(access);
+        
+        if (criteria.text) {
+            filter.$text = { $search: criteria.text };
+        }
+        if (criteria.tags && criteria.tags.length > 0) {
+            filter.tags = { $all: criteria.tags };
+        }
+        if (criteria.ownerId !== undefined) {
+            filter.owner = criteria.ownerId;
+        }
+        if (criteria.albumId !== undefined) {
+            filter.albums = criteria.albumId;
+        }
+        if (criteria.visibility !== undefined) {
+            filter.visibility = criteria.visibility;
+        }
+        if (criteria.after || criteria.before) {
+            filter.date = {};
+            if (criteria.after) {
+                filter.date.$gte = criteria.after;
+            }
+            if (criteria.before) {
+                filter.date.$lt = criteria.before;
+            }
+        }
+        
+        // $text must be in the first stage of the pipeline
+        const pipeline = [{ $match: filter }];
+        const order = SEARCH_ORDERS[criteria.sort] || SEARCH_ORDERS.newest;
+        
+        // Only the number of comments is looked up (through the photoId index), never the comments
+        if (criteria.sort === 'comments') {
+            pipeline.push({ $lookup: {
+                from: 'comments',
+                localField: 'id',
+                foreignField: 'photoId',
+                pipeline: [{ $count: 'count' }],
+                as: 'commentCount'
+            } });
+        }
+        pipeline.push({ $addFields: { sortKey: order.key } });
+        pipeline.push({ $project: { commentCount: 0 } });
+        
+        // Keyset paging: strictly past the last result in sort order, ties broken by ID
+        if (position) {
+            const keyOp = order.direction === 1 ? '$gt' : '$lt';
+            const idOp = order.idDirection === 1 ? '$gt' : '$lt';
+            pipeline.push({ $match: { $or: [
+                { sortKey: { [keyOp]: position.key } },
+                { sortKey: position.key, id: { [idOp]: position.id } }
+            ] } });
+        }
+        
+        pipeline.push({ $sort: { sortKey: order.direction, id: order.idDirection } });
+        pipeline.push({ $skip: skip });
+        pipeline.push({ $limit: limit });
+        
+        const photos = await db.collection('photos').aggregate(pipeline).toArray();
+        const total = await db.collection('photos').countDocuments(filter);
+        
+        return { photos: photos, total: total };
+    } catch (error) {
+        throw new Error('Error searching photos: ' + error.message);
+    }
+}
+
+// ==================== NOTIFICATION OPERATIONS ====================
+
+/**
+ * Stores a notification event for a user
+ * @param {Object} notificationData - {userId, type, data, pendingDigest}
+ * @returns {Promise<Object>} Created notification object with id
+ */
+async function createNotification(notificationData) {
+    await connectDB();
+    try {
+        // Allocate the next notification ID atomically
+        const nextId = await getNextId('notifications');
+        
+        const notification = {
+            id: nextId,
+            userId: notificationData.userId,
+            type: notificationData.type,
+            data: notificationData.data,
+            pendingDigest: notificationData.pendingDigest,
+            readAt: null,
+            createdAt: new Date()
+        };
+        
+        await db.collection('notifications').insertOne(notification);
+        return notification;
+    } catch (error) {
+        throw new Error('Error creating notification: ' + error.message);
+    }
+}
+
+/**
+ * Gets a user's most recent notifications
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum number of notifications
+ * @returns {Promise<Array>} Array of notifications, newest first
+ */
+async function getNotificationsByUser(userId, limit) {
+    await connectDB();
+    try {
+        const notifications = await db.collection('notifications')
+            .find({ userId: userId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        return notifications;
+    } catch (error) {
+        throw new Error('Error loading notifications: ' + error.message);
+    }
+}
+
+/**
+ * Counts a user's unread notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of unread notifications
+ */
+async function countUnreadNotifications(userId) {
+    await connectDB();
+    try {
+        return await db.collection('notifications').countDocuments({ userId: userId, readAt: null });
+    } catch (error) {
+        throw new Error('Error counting notifications: ' + error.message);
+    }
+}
+
+/**
+ * Marks one of a user's notifications as read
+ * @param {number} notificationId - Notification ID
+ * @param {number} userId - User ID the notification must belong to
+ * @returns {Promise<boolean>} True if the notification was found
+ */
+async function markNotificationRead(notificationId, userId) {
+    await connectDB();
+    try {
+        const result = await db.collection('notifications').updateOne(
+            { id: notificationId, userId: userId },
+            { $set: { readAt: new Date() } }
+        );
+        return result.matchedCount > 0;
+    } catch (error) {
+        throw new Error('Error updating notification: ' + error.message);
+    }
+}
+
+/**
+ * Marks all of a user's unread notifications as read
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of notifications updated
+ */
+async function markAllNotificationsRead(userId) {
+    await connectDB();
+    try {
+        const result = await db.collection('notifications').updateMany(
+            { userId: userId, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+        return result.modifiedCount;
+    } catch (error) {
+        throw new Error('Error updating notifications: ' + error.message);
+    }
+}
+
+/**
+ * Gets every notification waiting to go out in a digest email
+ * @returns {Promise<Array>} Array of notifications, oldest first
+ */
+async function getPendingDigestNotifications() {
+    await connectDB();
+    try {
+        const notifications = await db.collection('notifications')
+            .find({ pendingDigest: true })
+            .sort({ createdAt: 1 })
+            .toArray();
+        return notifications;
+    } catch (error) {
+        throw new Error('Error loading pending notifications: ' + error.message);
+    }
+}
+
+/**
+ * Marks notifications as sent in a digest
+ * @param {Array<number>} notificationIds - Notification IDs
+ * @returns {Promise<number>} Number of notifications updated
+ */
+async function markNotificationsDigested(notificationIds) {
+    await connectDB();
+    try {
+        const result = await db.collection('notifications').updateMany(
+            { id: { $in: notificationIds } },
+            { $set: { pendingDigest: false, digestedAt: new Date() } }
+        );
+        return result.modifiedCount;
+    } catch (error) {
+        throw new Error('Error updating notifications: ' + error.message);
+    }
+}
+
+/**
+ * Takes a user's notifications out of the digest queue without sending them
+ * (used when the user turns digests off)
+ * @param {number} userId - User ID
+ * @param {Array<string>} types - Event types to cancel
+ * @returns {Promise<number>} Number of notifications updated
+ */
+async function cancelPendingDigest(userId, types) {
+    await connectDB();
+    try {
+        const result = await db.collection('notifications').updateMany(
+            { userId: userId, type: { $in: types }, pendingDigest: true },
+            { $set: { pendingDigest: false } }
+        );
+        return result.modifiedCount;
+    } catch (error) {
+        throw new Error('Error updating notifications: ' + error.message);
+    }
+}
+
+// ==================== GROUP OPERATIONS ====================
+
+/**
+ * Creates a new group of users
+ * @param {Object} groupData - Group data {name, owner}
+ * @returns {Promise<Object>} Created group object with id
+ */
+async function createGroup(groupData) {
+    await connectDB();
+    try {
+        const nextId = await getNextId('groups');
+        
+        const group = {
+            id: nextId,
+            name: groupData.name,
+            owner: groupData.owner,
+            members: [],
+            createdAt: new Date()
+        };
+        
+        await db.collection('groups').insertOne(group);
+        return group;
+    } catch (error) {
+        throw new Error('Error creating group: ' + error.message);
+    }
+}
+
+/**
+ * Finds a group by ID
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Object|null>} Group object or null if not found
+ */
+async function findGroupById(groupId) {
+    await connectDB();
+    try {
+        const group = await db.collection('groups').findOne({ id: groupId });
+        return group;
+    } catch (error) {
+        throw new Error('Error finding group: ' + error.message);
+    }
+}
+
+/**
+ * Gets the groups a user has created
+ * @param {number} userId - ID of the owner
+ * @returns {Promise<Array>} Array of groups ordered by name
+ */
+async function getGroupsByOwner(userId) {
+    await connectDB();
+    try {
+        const groups = await db.collection('groups').find({ owner: userId }).sort({ name: 1 }).toArray();
+        return groups;
+    } catch (error) {
+        throw new Error('Error loading groups: ' + error.message);
+    }
+}
+
+/**
+ * Gets the groups a user is a member of
+ * @param {number} userId - ID of the member
+ * @returns {Promise<Array>} Array of groups
+ */
+async function getGroupsByMember(userId) {
+    await connectDB();
+    try {
+        const groups = await db.collection('groups').find({ members: userId }).toArray();
+        return groups;
+    } catch (error) {
+        throw new Error('Error loading groups: ' + error.message);
+    }
+}
+
+/**
+ * Adds a user to a group (no-op if they are already a member)
+ * @param {number} groupId - Group ID
+ * @param {number} userId - ID of the new member
+ * @returns {Promise<boolean>} True if the user was added, false if already a member
+ */
+async function addGroupMember(groupId, userId) {
+    await connectDB();
+    try {
+        const result = await db.collection('groups').updateOne(
+            { id: groupId },
+            { $addToSet: { members: userId } }
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        throw new Error('Error adding group member: ' + error.message);
+    }
+}
+
+/**
+ * Removes a user from a group
+ * @param {number} groupId - Group ID
+ * @param {number} userId - ID of the member
+ * @returns {Promise<boolean>} True if the user was a member
+ */
+async function removeGroupMember(groupId, userId) {
+    await connectDB();
+    try {
+        const result = await db.collection('groups').updateOne(
+            { id: groupId },
+            { $pull: { members: userId } }
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        throw new Error('Error removing group member: ' + error.message);
+    }
+}
+
+/**
+ * Deletes a group and every share made with it
+ * @param {number} groupId - Group ID
+ * @returns {Promise<boolean>} True if the group was deleted
+ */
+async function deleteGroup(groupId) {
+    await connectDB();
+    try {
+        const groupShare = { $pull: { shares: { type: 'group', id: groupId } } };
+        await db.collection('photos').updateMany({ 'shares.type': 'group', 'shares.id': groupId }, groupShare);
+        await db.collection('albums').updateMany({ 'shares.type': 'group', 'shares.id': groupId }, groupShare);
+        
+        const result = await db.collection('groups').deleteOne({ id: groupId });
+        return result.deletedCount > 0;
+    } catch (error) {
+        throw new Error('Error deleting group: ' + error.message);
+    }
+}
+
+/**
+ * Gets the albums shared with a user, directly or through one of their groups
+ * @param {number} userId - ID of the user
+ * @param {Array<number>} groupIds - IDs of the groups the user belongs to
+ * @returns {Promise<Array>} Array of albums
+ */
+async function getAlbumsSharedWith(userId, groupIds) {
+    await connectDB();
+    try {
+        const albums = await db.collection('albums').find({
+            shares: {
+                $elemMatch: {
+                    $or: [
+                        { type: 'user', id: userId },
+                        { type: 'group', id: { $in: groupIds } }
+                    ]
+                }
+            }
+        }).toArray();
+        return albums;
+    } catch (error) {
+        throw new Error('Error loading shared albums: ' + error.message);
+    }
+}
+
+// ==================== SHARE LINK OPERATIONS ====================
+
+/**
+ * Filter matching share links that have not been revoked and have not expired
+ * @returns {Object} MongoDB filter
+ */
+function activeShareLinkFilter() {
+    return {
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    };
+}
+
+/**
+ * Stores a share link. Only the token's hash is kept.
+ * @param {Object} linkData - {tokenHash, owner, targetType, targetId, expiresAt, passwordHash, allowDownload}
+ * @returns {Promise<Object>} Created share link with id
+ */
+async function createShareLink(linkData) {
+    await connectDB();
+    try {
+        const nextId = await getNextId('shareLinks');
+        
+        const link = {
+            id: nextId,
+            tokenHash: linkData.tokenHash,
+            owner: linkData.owner,
+            targetType: linkData.targetType,
+            targetId: linkData.targetId,
+            expiresAt: linkData.expiresAt || null,
+            passwordHash: linkData.passwordHash || null,
+            allowDownload: linkData.allowDownload === true,
+            views: 0,
+            lastViewedAt: null,
+            revokedAt: null,
+            createdAt: new Date()
+        };
+        
+        await db.collection('shareLinks').insertOne(link);
+        return link;
+    } catch (error) {
+        throw new Error('Error creating share link: ' + error.message);
+    }
+}
+
+/**
+ * Finds a share link that is neither revoked nor expired
+ * @param {string} tokenHash - Hash of the link's token
+ * @returns {Promise<Object|null>} Share link or null if it is invalid
+ */
+async function findActiveShareLink(tokenHash) {
+    await connectDB();
+    try {
+        const filter = activeShareLinkFilter();
+        filter.tokenHash = tokenHash;
+        const link = await db.collection('shareLinks').findOne(filter);
+        return link;
+    } catch (error) {
+        throw new Error('Error finding share link: ' + error.message);
+    }
+}
+
+/**
+ * Gets a user's share links that are neither revoked nor expired
+ * @param {number} ownerId - ID of the owner
+ * @returns {Promise<Array>} Array of share links, newest first
+ */
+async function getActiveShareLinksByOwner(ownerId) {
+    await connectDB();
+    try {
+        const filter = activeShareLinkFilter();
+        filter.owner = ownerId;
+        const links = await db.collection('shareLinks').find(filter).sort({ createdAt: -1 }).toArray();
+        return links;
+    } catch (error) {
+        throw new Error('Error loading share links: ' + error.message);
+    }
+}
+
+/**
+ * Counts a visit to a share link
+ * @param {number} linkId - Share link ID
+ * @returns {Promise<void>}
+ */
+async function recordShareLinkView(linkId) {
+    await connectDB();
+    try {
+        await db.collection('shareLinks').updateOne(
+            { id: linkId },
+            { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } }
+        );
+    } catch (error) {
+        throw new Error('Error recording share link view: ' + error.message);
+    }
+}
+
+/**
+ * Revokes one of a user's share links, so it stops working at once
+ * @param {number} linkId - Share link ID
+ * @param {number} ownerId - ID of the owner
+ * @returns {Promise<Object|null>} The revoked link, or null if the user has no such active link
+ */
+async function revokeShareLink(linkId, ownerId) {
+    await connectDB();
+    try {
+        const link = await db.collection('shareLinks').findOneAndUpdate(
+            { id: linkId, owner: ownerId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        return link;
+    } catch (error) {
+        throw new Error('Error revoking share link: ' + error.message);
+    }
+}
+
+// ==================== API TOKEN OPERATIONS ====================
+
+/**
+ * Stores a personal API token. Only a bcrypt hash of its secret is kept.
+ * @param {Object} tokenData - {userId, name, scope, secretHash}
+ * @returns {Promise<Object>} Created token with id
+ */
+async function createApiToken(tokenData) {
+    await connectDB();
+    try {
+        const nextId = await getNextId('apiTokens');
+        
+        const token = {
+            id: nextId,
+            userId: tokenData.userId,
+            name: tokenData.name,
+            scope: tokenData.scope,
+            secretHash: tokenData.secretHash,
+            lastUsedAt: null,
+            revokedAt: null,
+            createdAt: new Date()
+        };
+        
+        await db.collection('apiTokens').insertOne(token);
+        return token;
+    } catch (error) {
+        throw new Error('Error creating API token: ' + error.message);
+    }
+}
+
+/**
+ * Finds an API token that has not been revoked
+ * @param {number} tokenId - API token ID
+ * @returns {Promise<Object|null>} API token or null if not found
+ */
+async function findActiveApiToken(tokenId) {
+    await connectDB();
+    try {
+        const token = await db.collection('apiTokens').findOne({ id: tokenId, revokedAt: null });
+        return token;
+    } catch (error) {
+        throw new Error('Error finding API token: ' + error.message);
+    }
+}
+
+/**
+ * Gets a user's API tokens that have not been revoked
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Array of API tokens, newest first
+ */
+async function getActiveApiTokensByUser(userId) {
+    await connectDB();
+    try {
+        const tokens = await db.collection('apiTokens').find({ userId: userId, revokedAt: null }).sort({ createdAt: -1 }).toArray();
+        return tokens;
+    } catch (error) {
+        throw new Error('Error loading API tokens: ' + error.message);
+    }
+}
+
+/**
+ * Records that an API token was just used
+ * @param {number} tokenId - API token ID
+ * @returns {Promise<void>}
+ */
+async function recordApiTokenUse(tokenId) {
+    await connectDB();
+    try {
+        await db.collection('apiTokens').updateOne({ id: tokenId }, { $set: { lastUsedAt: new Date() } });
+    } catch (error) {
+        throw new Error('Error recording API token use: ' + error.message);
+    }
+}
+
+/**
+ * Revokes one of a user's API tokens, so it stops working at once
+ * @param {number} tokenId - API token ID
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object|null>} The revoked token, or null if the user has no such active token
+ */
+async function revokeApiToken(tokenId, userId) {
+    await connectDB();
+    try {
+        const token = await db.collection('apiTokens').findOneAndUpdate(
+            { id: tokenId, userId: userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        return token;
+    } catch (error) {
+        throw new Error('Error revoking API token: ' + error.message);
+    }
+}
+
+// ==================== EMAIL LOG ====================
+
+/**
+ * Records the outcome of an email delivery
+ * @param {Object} entry - {to, subject, template, transport, status, attempts, error}
+ * @returns {Promise<void>}
+ */
+async function logEmail(entry) {
+    await connectDB();
+    try {
+        await db.collection('emailLog').insertOne({
+            to: entry.to,
+            subject: entry.subject,
+            template: entry.template,
+            transport: entry.transport,
+            status: entry.status,
+            attempts: entry.attempts,
+            error: entry.error,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        throw new Error('Error logging email: ' + error.message);
+    }
+}
+
+// ==================== FILE STORAGE ====================
+
+/**
+ * Resolves a path relative to the photo folder, refusing anything that escapes it
+ * @param {string} relativePath - Filename or derivative path such as "thumb/x.jpg"
+ * @returns {string} Absolute file path
+ */
+function getPhotoFilePath(relativePath) {
+    const filePath = path.resolve(PHOTO_DIR, relativePath);
+    if (filePath.indexOf(PHOTO_DIR + path.sep) !== 0) {
+        throw new Error('Invalid photo path: ' + relativePath);
+    }
+    return filePath;
+}
+
+/**
+ * Renames a file inside the photo folder
+ * @param {string} fromPath - Current path inside the photo folder
+ * @param {string} toPath - New path inside the photo folder
+ * @returns {Promise<void>}
+ */
+async function renamePhotoFile(fromPath, toPath) {
+    try {
+        await fs.promises.rename(getPhotoFilePath(fromPath), getPhotoFilePath(toPath));
+    } catch (error) {
+        throw new Error('Error renaming photo file: ' + error.message);
+    }
+}
+
+/**
+ * Removes an uploaded photo file from disk. A file that is already gone is not an error.
+ * @param {string} relativePath - Path of the file inside the photo folder
+ * @returns {Promise<boolean>} True if a file was removed
+ */
+async function deletePhotoFile(relativePath) {
+    const filePath = getPhotoFilePath(relativePath);
+    try {
+        await fs.promises.unlink(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        throw new Error('Error deleting photo file: ' + error.message);
     }
 }
 
 module.exports = {
+    PHOTO_DIR,
     connectDB,
+    closeDB,
+    createSessionStore,
     loadAlbums,
     findAlbumById,
+    createAlbum,
+    updateAlbum,
+    deleteAlbum,
+    findUnsortedAlbum,
+    setPhotoAlbums,
     getPhotosByAlbum,
     findPhotoById,
     updatePhoto,
     createUser,
     findUserByEmail,
+    findUsersByMentionKeys,
+    getUsersWithoutMentionKey,
     findUserById,
+    listUsers,
+    updateUser,
+    incrementSessionVersion,
+    updateNotificationPrefs,
+    createAuthToken,
+    findAuthToken,
+    useAuthToken,
+    deleteAuthTokens,
+    findLoginAttempt,
+    reserveLoginAttempt,
+    releaseLoginAttempt,
+    clearLoginAttempts,
+    addAuditEntry,
+    getAuditEntriesByUser,
+    getAuditEntriesByActions,
+    getSiteStatistics,
     createComment,
     getCommentsByPhotoId,
+    deleteCommentsByPhotoId,
+    findCommentById,
+    editComment,
+    setCommentHidden,
+    deleteComment,
+    getRecentComments,
     createPhoto,
-    searchPhotos
+    findPhotoByHashInAlbum,
+    setPhotoDerivatives,
+    removePhotoGps,
+    setPhotoHidden,
+    getRecentPhotos,
+    getPhotosWithoutDerivatives,
+    trashPhoto,
+    restorePhoto,
+    getTrashedPhotosByOwner,
+    getTrashedPhotosBefore,
+    deletePhoto,
+    getTagCounts,
+    getPhotosByTag,
+    searchPhotos,
+    createNotification,
+    getNotificationsByUser,
+    countUnreadNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getPendingDigestNotifications,
+    markNotificationsDigested,
+    cancelPendingDigest,
+    createGroup,
+    findGroupById,
+    getGroupsByOwner,
+    getGroupsByMember,
+    addGroupMember,
+    removeGroupMember,
+    deleteGroup,
+    getAlbumsSharedWith,
+    createShareLink,
+    findActiveShareLink,
+    getActiveShareLinksByOwner,
+    recordShareLinkView,
+    revokeShareLink,
+    createApiToken,
+    findActiveApiToken,
+    getActiveApiTokensByUser,
+    recordApiTokenUse,
+    revokeApiToken,
+    logEmail,
+    getPhotoFilePath,
+    renamePhotoFile,
+    deletePhotoFile
 };
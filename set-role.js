@@ -0,0 +1,33 @@
+// Role Script - Makes an account a regular user, moderator or admin.
+// The first admin has to be created this way; after that admins can change
+// roles from the admin area.
+// Usage: npm run set-role -- <email> <user|moderator|admin>
+
+const business = require('./business');
+const persistence = require('./persistence');
+
+async function main() {
+    const userEmail = process.argv[2];
+    const role = process.argv[3];
+    
+    if (!userEmail || !role) {
+        console.log('Usage: npm run set-role -- <email> <' + Object.keys(business.ROLES).join('|') + '>');
+        process.exitCode = 1;
+        return;
+    }
+    
+    try {
+        const result = await business.assignRole(userEmail, role);
+        console.log(result.message);
+        if (!result.success) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.log('Error setting role: ' + error.message);
+        process.exitCode = 1;
+    } finally {
+        await persistence.closeDB();
+    }
+}
+
+main();
@@ -0,0 +1,197 @@
+// Tests for personal API tokens: scopes, revocation and throttling of wrong secrets.
+// The database is replaced by an in-memory store.
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const persistence = require('../persistence');
+const business = require('../business');
+
+const ANN = 1;
+const IP = '203.0.113.7';
+
+let tokens;
+let users;
+let attempts;
+let compares;
+
+persistence.createApiToken = async function (data) {
+    const token = Object.assign({ id: tokens.length + 1, revokedAt: null, lastUsedAt: null, createdAt: new Date() }, data);
+    tokens.push(token);
+    return token;
+};
+persistence.findActiveApiToken = async function (id) {
+    return tokens.find(function (t) { return t.id === id && !t.revokedAt; }) || null;
+};
+persistence.revokeApiToken = async function (id, userId) {
+    const token = await persistence.findActiveApiToken(id);
+    if (!token || token.userId !== userId) {
+        return null;
+    }
+    token.revokedAt = new Date();
+    return token;
+};
+persistence.recordApiTokenUse = async function () {};
+persistence.findUserById = async function (id) { return users[id] || null; };
+persistence.addAuditEntry = async function () {};
+
+// Login counters, with the same rules as the atomic update in persistence
+persistence.findLoginAttempt = async function (key) { return attempts[key] || null; };
+persistence.reserveLoginAttempt = async function (key, waits, window) {
+    const now = Date.now();
+    const attempt = attempts[key] || { _id: key, failures: 0, blockedUntil: new Date(0) };
+    attempt.refused = attempt.blockedUntil.getTime() > now;
+    if (!attempt.refused) {
+        attempt.failures++;
+        attempt.blockedUntil = new Date(now + waits[Math.min(attempt.failures, waits.length - 1)]);
+    }
+    attempt.expiresAt = new Date(attempt.blockedUntil.getTime() + window);
+    attempts[key] = attempt;
+    return Object.assign({}, attempt);
+};
+persistence.clearLoginAttempts = async function (key) { delete attempts[key]; };
+
+// Counts secret checks, to see when bcrypt is skipped
+const originalCompare = bcrypt.compare;
+bcrypt.compare = function (secret, hash) {
+    compares++;
+    return originalCompare.call(bcrypt, secret, hash);
+};
+
+/**
+ * Creates a token for Ann
+ * @param {string} scope - Token scope
+ * @returns {Promise<string>} The token as a script would send it
+ */
+async function createToken(scope) {
+    const result = await business.createApiToken(ANN, 'Backup script', scope);
+    assert.strictEqual(result.success, true);
+    return result.token;
+}
+
+/**
+ * Changes the secret of a token so it no longer matches
+ * @param {string} token - Valid token
+ * @returns {string} Token with the same ID and a wrong secret
+ */
+function withWrongSecret(token) {
+    return token.substring(0, token.lastIndexOf('_') + 1) + 'wrong-secret';
+}
+
+beforeEach(function () {
+    tokens = [];
+    users = { [ANN]: { id: ANN, name: 'Ann', email: 'ann@example.com', role: 'user' } };
+    attempts = {};
+    compares = 0;
+});
+
+describe('authenticateApiToken', function () {
+    test('accepts a token with the scope it was created with', async function () {
+        const scopes = Object.keys(business.API_TOKEN_SCOPES);
+        for (let i = 0; i < scopes.length; i++) {
+            const access = await business.authenticateApiToken(await createToken(scopes[i]), IP);
+            assert.strictEqual(access.user.id, ANN);
+            assert.strictEqual(access.scope, scopes[i]);
+        }
+    });
+
+    test('refuses scopes that do not exist', async function () {
+        const result = await business.createApiToken(ANN, 'Backup script', 'admin');
+        assert.strictEqual(result.success, false);
+    });
+
+    test('refuses malformed tokens and wrong secrets', async function () {
+        const token = await createToken('read');
+        assert.strictEqual(await business.authenticateApiToken('Bearer nonsense', IP), null);
+        assert.strictEqual(await business.authenticateApiToken(withWrongSecret(token), IP), null);
+    });
+
+    test('stops accepting a token as soon as it is revoked', async function () {
+        const token = await createToken('full');
+        assert.ok(await business.authenticateApiToken(token, IP));
+
+        const result = await business.revokeApiToken(1, ANN);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(await business.authenticateApiToken(token, IP), null);
+    });
+
+    test('refuses tokens of disabled users', async function () {
+        const token = await createToken('read');
+        users[ANN].disabled = true;
+        assert.strictEqual(await business.authenticateApiToken(token, IP), null);
+    });
+
+    test('accepts a burst of parallel requests with a good token', async function () {
+        const token = await createToken('read');
+        const requests = [];
+        for (let i = 0; i < 20; i++) {
+            requests.push(business.authenticateApiToken(token, IP));
+        }
+        const results = await Promise.all(requests);
+
+        for (let i = 0; i < results.length; i++) {
+            assert.strictEqual(results[i].scope, 'read');
+        }
+        assert.deepStrictEqual(attempts, {});
+    });
+
+    test('does not check a good secret with bcrypt again right after it matched', async function () {
+        const token = await createToken('read');
+        await business.authenticateApiToken(token, IP);
+        assert.strictEqual(compares, 1);
+
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual((await business.authenticateApiToken(token, IP)).scope, 'read');
+        }
+        assert.strictEqual(compares, 1);
+    });
+});
+
+describe('API token throttling', function () {
+    test('counts wrong secrets against the token and stops checking them once it has to wait', async function () {
+        const token = await createToken('read');
+        for (let i = 0; i < 11; i++) {
+            assert.strictEqual(await business.authenticateApiToken(withWrongSecret(token), IP), null);
+        }
+        assert.deepStrictEqual(Object.keys(attempts), ['token:1']);
+
+        compares = 0;
+        const result = await business.authenticateApiToken(withWrongSecret(token), IP);
+        assert.strictEqual(result.throttled, true);
+        assert.match(result.message, /Too many invalid API tokens/);
+        assert.strictEqual(compares, 0);
+    });
+
+    test('counts token IDs that do not exist against the address, apart from web logins', async function () {
+        assert.strictEqual(await business.authenticateApiToken('dmc_99_guess', IP), null);
+        assert.deepStrictEqual(Object.keys(attempts), ['apiip:' + IP]);
+    });
+
+    test('keeps accepting good tokens from an address blocked for web logins', async function () {
+        const token = await createToken('read');
+        attempts['ip:' + IP] = { _id: 'ip:' + IP, failures: 50, blockedUntil: new Date(Date.now() + 60000) };
+
+        const access = await business.authenticateApiToken(token, IP);
+        assert.strictEqual(access.scope, 'read');
+    });
+
+    test('keeps accepting a token that was just verified while its ID is being guessed', async function () {
+        const token = await createToken('read');
+        assert.ok(await business.authenticateApiToken(token, IP));
+
+        for (let i = 0; i < 12; i++) {
+            await business.authenticateApiToken(withWrongSecret(token), '198.51.100.1');
+        }
+        assert.strictEqual((await business.authenticateApiToken(withWrongSecret(token), IP)).throttled, true);
+        assert.strictEqual((await business.authenticateApiToken(token, IP)).scope, 'read');
+    });
+
+    test('forgets earlier wrong secrets once the right one is checked', async function () {
+        const token = await createToken('read');
+        await business.authenticateApiToken(withWrongSecret(token), IP);
+        assert.strictEqual(attempts['token:1'].failures, 1);
+
+        await business.authenticateApiToken(token, IP);
+        assert.strictEqual(attempts['token:1'], undefined);
+    });
+});
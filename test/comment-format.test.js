@@ -0,0 +1,68 @@
+// Tests for turning comment text into HTML
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const business = require('../business');
+
+const LINK_ATTRIBUTES = 'rel="nofollow noopener noreferrer" target="_blank"';
+
+describe('formatCommentHtml', function () {
+    test('escapes HTML in the text', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('<b>hi</b> & "x" \'y\''),
+            '&lt;b&gt;hi&lt;/b&gt; &amp; &quot;x&quot; &#39;y&#39;'
+        );
+    });
+
+    test('links bare http(s) addresses, leaving out trailing punctuation', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('see https://example.com/a?b=1&c=2.'),
+            'see <a href="https://example.com/a?b=1&amp;c=2" ' + LINK_ATTRIBUTES + '>https://example.com/a?b=1&amp;c=2</a>.'
+        );
+    });
+
+    test('links labelled addresses', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('[my <site>](https://example.com)'),
+            '<a href="https://example.com" ' + LINK_ATTRIBUTES + '>my &lt;site&gt;</a>'
+        );
+    });
+
+    test('never links other schemes', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('[x](javascript:alert(1))'),
+            '[x](javascript:alert(1))'
+        );
+    });
+
+    test('links mentions stored with the comment and leaves other @names as text', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('hi @Ann and @bob', [{ key: 'ann', userId: 3 }]),
+            'hi <a href="/user/3" class="mention">@Ann</a> and @bob'
+        );
+    });
+
+    test('does not read an @ inside an address or an email address as a mention', function () {
+        const mentions = [{ key: 'ann', userId: 3 }];
+        assert.strictEqual(
+            business.formatCommentHtml('https://example.com/@ann', mentions),
+            '<a href="https://example.com/@ann" ' + LINK_ATTRIBUTES + '>https://example.com/@ann</a>'
+        );
+        assert.strictEqual(business.formatCommentHtml('mail ann@ann.com', mentions), 'mail ann@ann.com');
+    });
+
+    test('formats bold and italic text, including mentions inside them', function () {
+        assert.strictEqual(
+            business.formatCommentHtml('**@ann** *one* _two_', [{ key: 'ann', userId: 3 }]),
+            '<strong><a href="/user/3" class="mention">@ann</a></strong> <em>one</em> <em>two</em>'
+        );
+    });
+
+    test('turns line breaks into <br>', function () {
+        assert.strictEqual(business.formatCommentHtml('a\nb\r\nc'), 'a<br>b<br>c');
+    });
+
+    test('treats missing text as empty', function () {
+        assert.strictEqual(business.formatCommentHtml(undefined), '');
+    });
+});
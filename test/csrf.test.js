@@ -0,0 +1,129 @@
+// Tests for the CSRF middleware and token checks
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const csrf = require('../csrf');
+
+/**
+ * Builds the parts of an Express request the middleware reads
+ * @param {Object} options - {method, path, body, query, headers, session}
+ * @returns {Object} Fake request
+ */
+function fakeRequest(options) {
+    const headers = options.headers || {};
+    return {
+        method: options.method,
+        path: options.path || '/',
+        body: options.body,
+        query: options.query || {},
+        session: options.session || {},
+        get: function (name) {
+            return headers[name.toLowerCase()];
+        }
+    };
+}
+
+/**
+ * Runs the middleware once and reports what it did
+ * @param {Object} req - Fake request
+ * @param {Object} [options] - {isExempt, isDeferred} for createCsrfProtection
+ * @returns {Object} {passed, rejected, res}
+ */
+function runMiddleware(req, options) {
+    const outcome = { passed: false, rejected: false, res: { locals: {} } };
+    const middleware = csrf.createCsrfProtection({
+        isExempt: (options && options.isExempt) || function () { return false; },
+        isDeferred: (options && options.isDeferred) || function () { return false; },
+        reject: function () {
+            outcome.rejected = true;
+        }
+    });
+    middleware(req, outcome.res, function () {
+        outcome.passed = true;
+    });
+    return outcome;
+}
+
+describe('isValidCsrfToken', function () {
+    test('accepts the session token', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        assert.strictEqual(csrf.isValidCsrfToken(session, token), true);
+    });
+
+    test('rejects a different token of the same length', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        const other = (token[0] === 'a' ? 'b' : 'a') + token.substring(1);
+        assert.strictEqual(csrf.isValidCsrfToken(session, other), false);
+    });
+
+    test('rejects a multi-byte token with as many characters as the real one, without throwing', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        assert.strictEqual(csrf.isValidCsrfToken(session, 'é'.repeat(token.length)), false);
+    });
+
+    test('rejects everything when the session has no token yet', function () {
+        assert.strictEqual(csrf.isValidCsrfToken({}, ''), false);
+        assert.strictEqual(csrf.isValidCsrfToken({}, 'undefined'), false);
+    });
+});
+
+describe('createCsrfProtection', function () {
+    test('lets GET requests through and exposes the token to views', function () {
+        const session = {};
+        const outcome = runMiddleware(fakeRequest({ method: 'GET', session: session }));
+        assert.strictEqual(outcome.passed, true);
+        assert.strictEqual(outcome.res.locals.csrfToken, session.csrfToken);
+        assert.match(session.csrfToken, /^[0-9a-f]{64}$/);
+    });
+
+    test('rejects a POST without a token', function () {
+        const req = fakeRequest({ method: 'POST', body: {}, session: { csrfToken: 'abc' } });
+        const outcome = runMiddleware(req);
+        assert.strictEqual(outcome.rejected, true);
+        assert.strictEqual(outcome.passed, false);
+    });
+
+    test('accepts the token from the form body or the X-CSRF-Token header', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        assert.strictEqual(runMiddleware(fakeRequest({ method: 'POST', body: { _csrf: token }, session: session })).passed, true);
+        assert.strictEqual(runMiddleware(fakeRequest({ method: 'DELETE', headers: { 'x-csrf-token': token }, session: session })).passed, true);
+    });
+
+    test('never reads the token from the query string', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        const req = fakeRequest({ method: 'POST', body: {}, query: { _csrf: token }, session: session });
+        assert.strictEqual(runMiddleware(req).rejected, true);
+    });
+
+    test('rejects a multi-byte token instead of failing the request', function () {
+        const session = {};
+        const token = csrf.ensureCsrfToken(session);
+        const req = fakeRequest({ method: 'POST', body: { _csrf: 'é'.repeat(token.length) }, session: session });
+        assert.strictEqual(runMiddleware(req).rejected, true);
+    });
+
+    test('lets exempt requests through', function () {
+        const req = fakeRequest({ method: 'POST', path: '/api/v1/photos', body: {}, session: { csrfToken: 'abc' } });
+        const outcome = runMiddleware(req, { isExempt: function () { return true; } });
+        assert.strictEqual(outcome.passed, true);
+    });
+
+    test('defers checking a multipart upload until its body has been read', function () {
+        const req = fakeRequest({ method: 'POST', path: '/upload', session: { csrfToken: 'abc' } });
+        const outcome = runMiddleware(req, { isDeferred: function () { return true; } });
+        assert.strictEqual(outcome.passed, true);
+        assert.strictEqual(req.csrfDeferred, true);
+    });
+
+    test('checks a deferred request at once when it already sent a token', function () {
+        const req = fakeRequest({ method: 'POST', path: '/upload', headers: { 'x-csrf-token': 'wrong' }, session: { csrfToken: 'abc' } });
+        const outcome = runMiddleware(req, { isDeferred: function () { return true; } });
+        assert.strictEqual(outcome.rejected, true);
+        assert.strictEqual(req.csrfDeferred, undefined);
+    });
+});
@@ -0,0 +1,167 @@
+// Tests for removing the GPS location from uploaded images
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const images = require('../images');
+const persistence = require('../persistence');
+const business = require('../business');
+
+// EXIF written into the test images: a camera and a location in Doha
+const EXIF = {
+    IFD0: { Make: 'Canon', Model: 'EOS R6' },
+    IFD3: {
+        GPSLatitudeRef: 'N',
+        GPSLatitude: '25/1 17/1 30/1',
+        GPSLongitudeRef: 'E',
+        GPSLongitude: '51/1 31/1 0/1'
+    }
+};
+
+// XMP packet carrying the same location
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description xmlns:exif="http://ns.adobe.com/exif/1.0/" xmlns:tiff="http://ns.adobe.com/tiff/1.0/" ' +
+    'tiff:Make="Nikon" exif:GPSLatitude="25,17.5N">' +
+    '<exif:GPSLongitude>51,31.0E</exif:GPSLongitude>' +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>';
+
+let dir;
+
+/**
+ * Creates a small solid-colour image
+ * @param {string} format - 'jpeg', 'webp' or 'png'
+ * @param {Object} [exif] - EXIF to embed
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function createImage(format, exif) {
+    let image = sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } })[format]();
+    if (exif) {
+        image = image.withExif(exif);
+    }
+    return image.toBuffer();
+}
+
+/**
+ * Adds an XMP segment right after the start of a JPEG
+ * @param {Buffer} jpeg - JPEG file contents
+ * @param {string} xmp - XMP packet
+ * @returns {Buffer} JPEG with the XMP segment
+ */
+function addJpegXmp(jpeg, xmp) {
+    const payload = Buffer.from('http://ns.adobe.com/xap/1.0/\0' + xmp, 'latin1');
+    const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([jpeg.subarray(0, 2), header, payload, jpeg.subarray(2)]);
+}
+
+/**
+ * Writes an image to the test folder
+ * @param {string} name - File name
+ * @param {Buffer} data - File contents
+ * @returns {Promise<string>} Absolute path of the file
+ */
+async function writeImage(name, data) {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, data);
+    return filePath;
+}
+
+/**
+ * Decodes an image to raw pixels
+ * @param {Buffer|string} input - Image contents or path
+ * @returns {Promise<Buffer>} Raw pixel data
+ */
+function pixels(input) {
+    return sharp(input).raw().toBuffer();
+}
+
+before(async function () {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'catalog-images-'));
+});
+
+after(async function () {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('stripGps', function () {
+    test('removes the EXIF location of a JPEG and keeps the image and the rest of its metadata', async function () {
+        const original = await createImage('jpeg', EXIF);
+        const filePath = await writeImage('exif.jpg', original);
+        assert.notStrictEqual((await images.readMetadata(filePath)).gps, null);
+
+        assert.strictEqual(await images.stripGps(filePath), true);
+
+        const metadata = await images.readMetadata(filePath);
+        assert.strictEqual(metadata.gps, null);
+        assert.strictEqual(metadata.make, 'Canon');
+        assert.strictEqual(metadata.model, 'EOS R6');
+
+        const stripped = await fs.promises.readFile(filePath);
+        assert.strictEqual(stripped.length, original.length);
+        assert.deepStrictEqual(await pixels(stripped), await pixels(original));
+    });
+
+    test('removes the EXIF location of a WebP', async function () {
+        const original = await createImage('webp', EXIF);
+        const filePath = await writeImage('exif.webp', original);
+
+        assert.strictEqual(await images.stripGps(filePath), true);
+
+        const metadata = await images.readMetadata(filePath);
+        assert.strictEqual(metadata.gps, null);
+        assert.strictEqual(metadata.make, 'Canon');
+        assert.deepStrictEqual(await pixels(filePath), await pixels(original));
+    });
+
+    test('removes an XMP location', async function () {
+        const original = addJpegXmp(await createImage('jpeg'), XMP);
+        const filePath = await writeImage('xmp.jpg', original);
+        assert.notStrictEqual((await images.readMetadata(filePath)).gps, null);
+
+        assert.strictEqual(await images.stripGps(filePath), true);
+
+        const metadata = await images.readMetadata(filePath);
+        assert.strictEqual(metadata.gps, null);
+        assert.strictEqual(metadata.make, 'Nikon');
+        assert.strictEqual((await fs.promises.readFile(filePath)).length, original.length);
+    });
+
+    test('leaves files without a location untouched', async function () {
+        const original = await createImage('jpeg', { IFD0: { Make: 'Canon' } });
+        const filePath = await writeImage('plain.jpg', original);
+
+        assert.strictEqual(await images.stripGps(filePath), false);
+        assert.deepStrictEqual(await fs.promises.readFile(filePath), original);
+    });
+
+    test('ignores formats whose metadata is not read', async function () {
+        const original = await createImage('png');
+        const filePath = await writeImage('plain.png', original);
+
+        assert.strictEqual(await images.stripGps(filePath), false);
+        assert.deepStrictEqual(await fs.promises.readFile(filePath), original);
+    });
+});
+
+describe('stripPhotoGps', function () {
+    test('stores the content hash of the file without the location', async function () {
+        const filePath = await writeImage('owned.jpg', await createImage('jpeg', EXIF));
+        const photo = { id: 7, owner: 1, filename: 'owned.jpg', contentHash: await images.hashFile(filePath), deletedAt: null };
+        let saved = null;
+        persistence.findPhotoById = async function () { return photo; };
+        persistence.getPhotoFilePath = function () { return filePath; };
+        persistence.removePhotoGps = async function (photoId, contentHash) {
+            saved = { photoId: photoId, contentHash: contentHash };
+            return true;
+        };
+
+        const result = await business.stripPhotoGps(photo.id, photo.owner);
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(saved, { photoId: 7, contentHash: await images.hashFile(filePath) });
+        assert.notStrictEqual(saved.contentHash, photo.contentHash);
+    });
+});
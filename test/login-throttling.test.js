@@ -0,0 +1,169 @@
+// Tests for login throttling: waits after failed logins, account lockout and
+// what a successful or refused attempt gives back. The database is replaced by
+// an in-memory store and emails go to the outbox transport.
+
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const persistence = require('../persistence');
+const email = require('../email');
+const business = require('../business');
+
+const ANN = 1;
+const IP = '203.0.113.7';
+const ACCOUNT_KEY = 'account:ann@example.com';
+const IP_KEY = 'ip:' + IP;
+const PASSWORD = 'correct horse battery';
+
+let user;
+let attempts;
+let audit;
+let compares;
+
+persistence.findUserByEmail = async function (address) {
+    return address.toLowerCase() === user.email ? user : null;
+};
+persistence.addAuditEntry = async function (entry) { audit.push(entry.action); };
+persistence.logEmail = async function () {};
+
+// Login counters, with the same rules as the atomic updates in persistence
+persistence.findLoginAttempt = async function (key) { return attempts[key] || null; };
+persistence.reserveLoginAttempt = async function (key, waits, window) {
+    const now = Date.now();
+    const attempt = attempts[key] || { _id: key, failures: 0, blockedUntil: new Date(0) };
+    attempt.refused = attempt.blockedUntil.getTime() > now;
+    if (!attempt.refused) {
+        attempt.failures++;
+        attempt.blockedUntil = new Date(now + waits[Math.min(attempt.failures, waits.length - 1)]);
+    }
+    attempt.expiresAt = new Date(attempt.blockedUntil.getTime() + window);
+    attempts[key] = attempt;
+    return Object.assign({}, attempt);
+};
+persistence.releaseLoginAttempt = async function (key) {
+    if (attempts[key] && attempts[key].failures > 0) {
+        attempts[key].failures--;
+    }
+};
+persistence.clearLoginAttempts = async function (key) { delete attempts[key]; };
+
+// Counts password checks, to see when bcrypt is skipped
+const originalCompare = bcrypt.compare;
+bcrypt.compare = function (password, hash) {
+    compares++;
+    return originalCompare.call(bcrypt, password, hash);
+};
+
+email.setTransport('outbox');
+
+/**
+ * Lets every current wait run out, as if time had passed
+ */
+function waitOut() {
+    const keys = Object.keys(attempts);
+    for (let i = 0; i < keys.length; i++) {
+        attempts[keys[i]].blockedUntil = new Date(0);
+    }
+}
+
+/**
+ * Tries to log in to Ann's account with a wrong password
+ * @returns {Promise<Object>} Result of loginUser
+ */
+function wrongLogin() {
+    return business.loginUser('ann@example.com', 'wrong password', IP);
+}
+
+before(async function () {
+    user = { id: ANN, name: 'Ann', email: 'ann@example.com', password: await bcrypt.hash(PASSWORD, 4) };
+});
+
+beforeEach(function () {
+    attempts = {};
+    audit = [];
+    compares = 0;
+    email.clearOutbox();
+});
+
+describe('failed login backoff', function () {
+    test('lets the first attempts through and then makes the account wait', async function () {
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual((await wrongLogin()).message, 'Invalid email or password');
+        }
+
+        const result = await wrongLogin();
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.throttled, true);
+        assert.strictEqual(result.message, 'Too many failed login attempts. Please try again in 1 second.');
+        assert.strictEqual(attempts[ACCOUNT_KEY].failures, 4);
+    });
+
+    test('doubles the wait with each further failure', async function () {
+        for (let i = 0; i < 6; i++) {
+            waitOut();
+            await wrongLogin();
+        }
+        const wait = attempts[ACCOUNT_KEY].blockedUntil.getTime() - Date.now();
+        assert.ok(wait > 3000 && wait <= 4000, 'waits about 4 seconds after 6 failures, not ' + wait + 'ms');
+    });
+
+    test('does not check the password while the account has to wait', async function () {
+        for (let i = 0; i < 4; i++) {
+            await wrongLogin();
+        }
+        compares = 0;
+
+        const result = await business.loginUser('ann@example.com', PASSWORD, IP);
+        assert.strictEqual(result.throttled, true);
+        assert.strictEqual(compares, 0);
+    });
+
+    test('makes an address wait that tries many accounts', async function () {
+        for (let i = 0; i < 11; i++) {
+            await business.loginUser('user' + i + '@example.com', 'guess', IP);
+        }
+        const result = await business.loginUser('someone@example.com', 'guess', IP);
+        assert.strictEqual(result.throttled, true);
+        assert.strictEqual(attempts['account:someone@example.com'].failures, 0);
+    });
+});
+
+describe('account lockout', function () {
+    test('locks the account at the tenth failure and emails its owner once', async function () {
+        for (let i = 0; i < 10; i++) {
+            waitOut();
+            await wrongLogin();
+        }
+        await email.whenIdle();
+        assert.deepStrictEqual(email.getOutbox().map(function (m) { return m.to + ': ' + m.subject; }), [
+            'ann@example.com: Your account has been temporarily locked'
+        ]);
+        assert.match(email.getOutbox()[0].text, /the last one from IP address 203\.0\.113\.7/);
+        assert.deepStrictEqual(audit.filter(function (a) { return a === 'lockout'; }), ['lockout']);
+
+        const result = await business.loginUser('ann@example.com', PASSWORD, '198.51.100.1');
+        assert.strictEqual(result.message, 'Too many failed login attempts. Please try again in 15 minutes.');
+    });
+});
+
+describe('settling login attempts', function () {
+    test('clears the account failures after the right password, and gives the address back only this attempt', async function () {
+        await wrongLogin();
+        await wrongLogin();
+
+        const result = await business.loginUser('ann@example.com', PASSWORD, IP);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(attempts[ACCOUNT_KEY], undefined);
+        assert.strictEqual(attempts[IP_KEY].failures, 2);
+        assert.deepStrictEqual(audit, ['login_failed', 'login_failed', 'login']);
+    });
+
+    test('gives back what it counted when the attempt is refused', async function () {
+        attempts[IP_KEY] = { _id: IP_KEY, failures: 20, blockedUntil: new Date(Date.now() + 60000) };
+
+        const result = await business.loginUser('ann@example.com', PASSWORD, IP);
+        assert.strictEqual(result.throttled, true);
+        assert.strictEqual(attempts[ACCOUNT_KEY].failures, 0);
+        assert.strictEqual(attempts[IP_KEY].failures, 20);
+    });
+});
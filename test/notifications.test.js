@@ -0,0 +1,249 @@
+// Tests for the notification emails sent for comments, replies, mentions and shares.
+// The database is replaced by an in-memory store and emails go to the outbox transport.
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const persistence = require('../persistence');
+const email = require('../email');
+const business = require('../business');
+
+const ANN = 1;
+const BOB = 2;
+const CARA = 3;
+const DAN = 4;
+const GROUP = 10;
+const ALBUM = 20;
+const PUBLIC_PHOTO = 100;
+const PRIVATE_PHOTO = 101;
+
+let store;
+
+/**
+ * Builds a user with a confirmed email address
+ * @param {number} id - User ID
+ * @param {string} name - User name
+ * @param {Object} [fields] - Extra fields
+ * @returns {Object} User
+ */
+function user(id, name, fields) {
+    return Object.assign({
+        id: id,
+        name: name,
+        email: name.toLowerCase() + '@example.com',
+        emailVerified: true,
+        mentionKey: name.toLowerCase()
+    }, fields);
+}
+
+/**
+ * Fills the in-memory store: Ann owns the photos, the album and a group with Bob and Dan in it
+ */
+function resetStore() {
+    store = {
+        users: [
+            user(ANN, 'Ann'),
+            user(BOB, 'Bob'),
+            user(CARA, 'Cara', { notificationPrefs: { reply: 'immediate' } }),
+            user(DAN, 'Dan')
+        ],
+        photos: [
+            { id: PUBLIC_PHOTO, owner: ANN, title: 'Sunset', visibility: 'public', albums: [], shares: [], deletedAt: null },
+            { id: PRIVATE_PHOTO, owner: ANN, title: 'Garden', visibility: 'private', albums: [], shares: [], deletedAt: null }
+        ],
+        albums: [{ id: ALBUM, owner: ANN, name: 'Holidays', shares: [] }],
+        groups: [{ id: GROUP, owner: ANN, name: 'Family', members: [BOB, DAN] }],
+        comments: [],
+        notifications: []
+    };
+}
+
+/**
+ * Finds a record by ID in one of the store's lists
+ * @param {Array} list - List of records
+ * @param {number} id - ID
+ * @returns {Object|null} The record
+ */
+function byId(list, id) {
+    return list.find(function (item) { return item.id === id; }) || null;
+}
+
+persistence.findUserById = async function (id) { return byId(store.users, id); };
+persistence.findUserByEmail = async function (address) {
+    return store.users.find(function (u) { return u.email === address.toLowerCase(); }) || null;
+};
+persistence.findUsersByMentionKeys = async function (keys) {
+    return store.users.filter(function (u) { return keys.indexOf(u.mentionKey) !== -1 && !u.disabled; });
+};
+persistence.findPhotoById = async function (id) { return byId(store.photos, id); };
+persistence.updatePhoto = async function (id, updates) { Object.assign(byId(store.photos, id), updates); return true; };
+persistence.findAlbumById = async function (id) { return byId(store.albums, id); };
+persistence.updateAlbum = async function (id, updates) { Object.assign(byId(store.albums, id), updates); return true; };
+persistence.findGroupById = async function (id) { return byId(store.groups, id); };
+persistence.getGroupsByMember = async function (userId) {
+    return store.groups.filter(function (g) { return g.members.indexOf(userId) !== -1; });
+};
+persistence.getAlbumsSharedWith = async function () { return []; };
+persistence.findCommentById = async function (id) { return byId(store.comments, id); };
+persistence.getCommentsByPhotoId = async function (photoId) {
+    return store.comments.filter(function (c) { return c.photoId === photoId; });
+};
+persistence.createComment = async function (comment) {
+    const created = Object.assign({ id: store.comments.length + 1, createdAt: new Date() }, comment);
+    store.comments.push(created);
+    return created;
+};
+persistence.createNotification = async function (notification) { store.notifications.push(notification); };
+persistence.addAuditEntry = async function () {};
+persistence.logEmail = async function () {};
+
+email.setTransport('outbox');
+
+/**
+ * Waits for queued emails and lists who got which subject
+ * @returns {Promise<Array<string>>} "address: subject" for each email, in sending order
+ */
+async function sentEmails() {
+    await email.whenIdle();
+    return email.getOutbox().map(function (message) { return message.to + ': ' + message.subject; });
+}
+
+beforeEach(function () {
+    resetStore();
+    email.clearOutbox();
+});
+
+describe('comment notifications', function () {
+    test('emails the photo owner about a new comment', async function () {
+        const result = await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Lovely colours');
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: New comment on your photo: Sunset']);
+    });
+
+    test('does not email owners about their own comments', async function () {
+        await business.addComment(PUBLIC_PHOTO, ANN, 'Ann', 'Taken last week');
+        assert.deepStrictEqual(await sentEmails(), []);
+    });
+
+    test('adds an unsubscribe link and one-click header', async function () {
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Lovely colours');
+        await email.whenIdle();
+        const message = email.getOutbox()[0];
+        assert.match(message.headers['List-Unsubscribe'], /\/unsubscribe\?user=1&type=comment&sig=/);
+        assert.strictEqual(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+        assert.match(message.text, /\/unsubscribe\?user=1&type=comment/);
+    });
+
+    test('records the event but sends nothing to an unconfirmed address', async function () {
+        byId(store.users, ANN).emailVerified = false;
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Lovely colours');
+        assert.deepStrictEqual(await sentEmails(), []);
+        assert.strictEqual(store.notifications.length, 1);
+        assert.strictEqual(store.notifications[0].type, 'comment');
+    });
+});
+
+describe('reply notifications', function () {
+    test('emails the author of the comment answered, and the owner', async function () {
+        const first = await business.addComment(PUBLIC_PHOTO, CARA, 'Cara', 'Where is this?');
+        email.clearOutbox();
+
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Looks like the coast', first.comment.id);
+        assert.deepStrictEqual(await sentEmails(), [
+            'ann@example.com: New comment on your photo: Sunset',
+            'cara@example.com: Bob replied to your comment on "Sunset"'
+        ]);
+    });
+
+    test('keeps replies for the daily digest by default', async function () {
+        const first = await business.addComment(PUBLIC_PHOTO, DAN, 'Dan', 'Where is this?');
+        email.clearOutbox();
+
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Looks like the coast', first.comment.id);
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: New comment on your photo: Sunset']);
+
+        const reply = store.notifications.find(function (n) { return n.userId === DAN; });
+        assert.strictEqual(reply.type, 'reply');
+        assert.strictEqual(reply.pendingDigest, true);
+    });
+
+    test('does not tell earlier commenters about a new top-level comment', async function () {
+        await business.addComment(PUBLIC_PHOTO, CARA, 'Cara', 'Where is this?');
+        email.clearOutbox();
+
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Beautiful');
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: New comment on your photo: Sunset']);
+        assert.strictEqual(store.notifications.find(function (n) { return n.userId === CARA; }), undefined);
+    });
+
+    test('tells everyone in the thread about a reply, and nobody from other threads', async function () {
+        byId(store.users, DAN).notificationPrefs = { reply: 'immediate' };
+        const thread = await business.addComment(PUBLIC_PHOTO, DAN, 'Dan', 'Where is this?');
+        await business.addComment(PUBLIC_PHOTO, CARA, 'Cara', 'Doha, I think', thread.comment.id);
+        await business.addComment(PUBLIC_PHOTO, ANN, 'Ann', 'Another question?');
+        email.clearOutbox();
+
+        // Bob answers Cara's reply, which goes into Dan's thread
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Yes, the corniche', store.comments[1].id);
+        assert.deepStrictEqual(await sentEmails(), [
+            'ann@example.com: New comment on your photo: Sunset',
+            'cara@example.com: Bob replied to your comment on "Sunset"',
+            'dan@example.com: Bob also commented on "Sunset"'
+        ]);
+    });
+});
+
+describe('mention notifications', function () {
+    test('emails the people mentioned', async function () {
+        const result = await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'Have a look @Dan');
+        assert.deepStrictEqual(result.comment.mentions, [{ key: 'dan', userId: DAN }]);
+        assert.deepStrictEqual(await sentEmails(), [
+            'dan@example.com: Bob mentioned you on "Sunset"',
+            'ann@example.com: New comment on your photo: Sunset'
+        ]);
+    });
+
+    test('sends a mentioned owner one email, about the mention', async function () {
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', '@Ann great shot');
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: Bob mentioned you on "Sunset"']);
+    });
+
+    test('does not mention people who cannot see the photo', async function () {
+        byId(store.photos, PRIVATE_PHOTO).visibility = 'shared';
+        byId(store.photos, PRIVATE_PHOTO).shares = [{ type: 'user', id: BOB, permission: 'comment' }];
+
+        const result = await business.addComment(PRIVATE_PHOTO, BOB, 'Bob', 'Have a look @Dan');
+        assert.deepStrictEqual(result.comment.mentions, []);
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: New comment on your photo: Garden']);
+    });
+
+    test('ignores @names inside links', async function () {
+        await business.addComment(PUBLIC_PHOTO, BOB, 'Bob', 'See https://example.com/@dan');
+        assert.deepStrictEqual(await sentEmails(), ['ann@example.com: New comment on your photo: Sunset']);
+    });
+});
+
+describe('share notifications', function () {
+    test('emails the person a photo is shared with', async function () {
+        const result = await business.sharePhoto(PRIVATE_PHOTO, ANN, { email: 'dan@example.com', permission: 'view' });
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(await sentEmails(), ['dan@example.com: Ann shared "Garden" with you']);
+    });
+
+    test('does not email again when only the permission changes', async function () {
+        await business.sharePhoto(PRIVATE_PHOTO, ANN, { email: 'dan@example.com', permission: 'view' });
+        email.clearOutbox();
+
+        await business.sharePhoto(PRIVATE_PHOTO, ANN, { email: 'dan@example.com', permission: 'comment' });
+        assert.deepStrictEqual(await sentEmails(), []);
+    });
+
+    test('emails each member of a group an album is shared with', async function () {
+        const result = await business.shareAlbum(ALBUM, ANN, { groupId: String(GROUP), permission: 'comment' });
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(await sentEmails(), [
+            'bob@example.com: Ann shared the album "Holidays" with you',
+            'dan@example.com: Ann shared the album "Holidays" with you'
+        ]);
+        assert.match(email.getOutbox()[0].text, /through the group "Family"/);
+    });
+});
@@ -0,0 +1,240 @@
+// Tests for photo search: parsing the search box and sidebar, and the queries it runs.
+// The MongoDB client is replaced so the queries persistence builds can be inspected.
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MongoClient } = require('mongodb');
+const persistence = require('../persistence');
+const business = require('../business');
+
+const ANN = 1;
+const ACCESS = { userId: ANN, groupIds: [], albums: {} };
+
+// Calls made to the stand-in database, oldest first: {collection, method, args}
+let calls = [];
+
+// Photos the stand-in database returns from the next aggregation
+let results = [];
+
+const cursor = {
+    sort: function () { return this; },
+    limit: function () { return this; },
+    toArray: async function () { return results; }
+};
+
+/**
+ * Builds a stand-in collection that records what is asked of it
+ * @param {string} name - Collection name
+ * @returns {Object} Collection with the methods persistence uses here
+ */
+function fakeCollection(name) {
+    const record = function (method, args) {
+        calls.push({ collection: name, method: method, args: args });
+    };
+    return {
+        createIndex: async function () { record('createIndex', Array.from(arguments)); },
+        updateOne: async function () {},
+        countDocuments: async function () { return results.length; },
+        find: function () { return cursor; },
+        aggregate: function (pipeline) {
+            record('aggregate', [pipeline]);
+            return cursor;
+        }
+    };
+}
+
+MongoClient.prototype.connect = async function () { return this; };
+MongoClient.prototype.db = function () {
+    return { collection: fakeCollection };
+};
+
+/**
+ * Runs a search and returns the aggregation pipeline sent to the database
+ * @param {Object} criteria - Search criteria
+ * @param {Object} [position] - Keyset position
+ * @returns {Promise<Array>} Pipeline stages
+ */
+async function searchPipeline(criteria, position) {
+    await persistence.searchPhotos(criteria, ACCESS, 0, 10, position);
+    const aggregations = calls.filter(function (c) { return c.method === 'aggregate'; });
+    return aggregations[aggregations.length - 1].args[0];
+}
+
+/**
+ * Finds the first stage of a pipeline that uses an operator
+ * @param {Array} pipeline - Pipeline stages
+ * @param {string} operator - e.g. '$lookup'
+ * @returns {Object|undefined} The stage's specification
+ */
+function stage(pipeline, operator) {
+    const found = pipeline.find(function (s) { return s[operator] !== undefined; });
+    return found ? found[operator] : undefined;
+}
+
+// Nothing is shared with anyone in these tests
+persistence.getGroupsByMember = async function () { return []; };
+persistence.getAlbumsSharedWith = async function () { return []; };
+
+beforeEach(function () {
+    results = [];
+});
+
+describe('parseSearchQuery filters', function () {
+    test('reads qualifiers typed in the search box', function () {
+        const parsed = business.parseSearchQuery({ q: 'tag:Beach owner:me album:4 visibility:Shared after:2024-01-01 before:2024-02-01 sort:oldest' }, ANN);
+        assert.deepStrictEqual(parsed.errors, []);
+        assert.deepStrictEqual(parsed.criteria, {
+            text: '',
+            tags: ['beach'],
+            ownerId: ANN,
+            albumId: 4,
+            visibility: 'shared',
+            after: '2024-01-01',
+            before: '2024-02-01',
+            sort: 'oldest'
+        });
+        assert.strictEqual(parsed.isEmpty, false);
+    });
+
+    test('requires tags from both the box and the sidebar, and lets other sidebar fields win', function () {
+        const parsed = business.parseSearchQuery({ q: 'tag:beach owner:7', tag: 'sunset,Sea', owner: 'me' }, ANN);
+        assert.deepStrictEqual(parsed.criteria.tags, ['beach', 'sunset', 'sea']);
+        assert.strictEqual(parsed.criteria.ownerId, ANN);
+        assert.strictEqual(parsed.params.owner, 'me');
+    });
+
+    test('reports invalid values instead of applying them', function () {
+        const parsed = business.parseSearchQuery({ owner: 'ann', album: 'x', visibility: 'secret', after: '2024-02-30', sort: 'size' }, ANN);
+        assert.deepStrictEqual(parsed.errors, [
+            'Owner must be "me" or a user ID',
+            'Album must be an album ID',
+            'Visibility must be "public", "private" or "shared"',
+            '"After" must be a date in YYYY-MM-DD form',
+            'Sort must be one of: relevance, newest, oldest, title, comments'
+        ]);
+        assert.deepStrictEqual(parsed.criteria, { text: '', sort: 'newest' });
+    });
+
+    test('drops a date range that ends before it starts', function () {
+        const parsed = business.parseSearchQuery({ after: '2024-03-01', before: '2024-01-01' }, ANN);
+        assert.deepStrictEqual(parsed.errors, ['"After" must be earlier than "Before"']);
+        assert.strictEqual(parsed.criteria.after, undefined);
+        assert.strictEqual(parsed.criteria.before, undefined);
+    });
+
+    test('counts a sort alone as nothing to search for', function () {
+        assert.strictEqual(business.parseSearchQuery({ sort: 'title' }, ANN).isEmpty, true);
+        assert.strictEqual(business.parseSearchQuery({}, ANN).isEmpty, true);
+    });
+});
+
+describe('searchPhotos filters and sorts', function () {
+    test('adds each filter to the visibility filter', async function () {
+        const pipeline = await searchPipeline({ tags: ['beach'], ownerId: ANN, albumId: 4, visibility: 'public', after: '2024-01-01', before: '2024-02-01', sort: 'newest' });
+        const match = pipeline[0].$match;
+        assert.deepStrictEqual(match.tags, { $all: ['beach'] });
+        assert.strictEqual(match.owner, ANN);
+        assert.strictEqual(match.albums, 4);
+        assert.strictEqual(match.visibility, 'public');
+        assert.deepStrictEqual(match.date, { $gte: '2024-01-01', $lt: '2024-02-01' });
+        assert.strictEqual(match.deletedAt, null);
+    });
+
+    test('sorts by title and then by ID', async function () {
+        const pipeline = await searchPipeline({ sort: 'title' });
+        assert.deepStrictEqual(stage(pipeline, '$addFields'), { sortKey: { $ifNull: ['$title', ''] } });
+        assert.deepStrictEqual(stage(pipeline, '$sort'), { sortKey: 1, id: 1 });
+    });
+
+    test('sorts by number of comments without loading the comments', async function () {
+        const pipeline = await searchPipeline({ sort: 'comments' });
+        const lookup = stage(pipeline, '$lookup');
+        assert.strictEqual(lookup.from, 'comments');
+        assert.strictEqual(lookup.localField, 'id');
+        assert.strictEqual(lookup.foreignField, 'photoId');
+        assert.deepStrictEqual(lookup.pipeline, [{ $count: 'count' }]);
+        assert.deepStrictEqual(stage(pipeline, '$sort'), { sortKey: -1, id: -1 });
+        assert.deepStrictEqual(stage(pipeline, '$project'), { [lookup.as]: 0 });
+    });
+
+    test('looks up comments only for the comments sort', async function () {
+        const pipeline = await searchPipeline({ sort: 'newest' });
+        assert.strictEqual(stage(pipeline, '$lookup'), undefined);
+    });
+
+    test('has an index for counting the comments of a photo', async function () {
+        // Indexes are created when the first query connects
+        await searchPipeline({ sort: 'comments' });
+        const indexes = calls.filter(function (c) { return c.method === 'createIndex' && c.collection === 'comments'; });
+        assert.ok(indexes.some(function (c) { return c.args[0].photoId === 1; }));
+    });
+});
+
+describe('text search', function () {
+    test('keeps words that are not qualifiers as search text, sorted by relevance', function () {
+        const parsed = business.parseSearchQuery({ q: '  sunset  tag:beach  over:water ' }, ANN);
+        assert.strictEqual(parsed.criteria.text, 'sunset over:water');
+        assert.strictEqual(parsed.criteria.sort, 'relevance');
+        assert.strictEqual(parsed.isEmpty, false);
+    });
+
+    test('needs search words to sort by relevance', function () {
+        const parsed = business.parseSearchQuery({ tag: 'beach', sort: 'relevance' }, ANN);
+        assert.deepStrictEqual(parsed.errors, ['Sorting by relevance needs search words']);
+        assert.strictEqual(parsed.criteria.sort, 'newest');
+    });
+
+    test('searches the text index in the first stage and ranks by its score', async function () {
+        const pipeline = await searchPipeline({ text: 'sunset', sort: 'relevance' });
+        assert.deepStrictEqual(pipeline[0].$match.$text, { $search: 'sunset' });
+        assert.deepStrictEqual(stage(pipeline, '$addFields'), { sortKey: { $meta: 'textScore' } });
+        assert.deepStrictEqual(stage(pipeline, '$sort'), { sortKey: -1, id: 1 });
+    });
+});
+
+describe('search paging', function () {
+    test('skips the results of earlier pages and limits the page size', async function () {
+        const page = await business.searchPhotos({ text: '', sort: 'newest' }, ANN, 3, 500);
+        assert.strictEqual(page.limit, 48);
+        assert.strictEqual(page.page, 3);
+
+        const pipeline = calls.filter(function (c) { return c.method === 'aggregate'; }).pop().args[0];
+        assert.strictEqual(stage(pipeline, '$skip'), 96);
+        assert.strictEqual(stage(pipeline, '$limit'), 48);
+    });
+
+    test('continues strictly after the last result seen, breaking ties by ID', async function () {
+        const newest = await searchPipeline({ sort: 'newest' }, { key: '2024-05-01', id: 9 });
+        assert.deepStrictEqual(stage(newest.slice(1), '$match'), { $or: [
+            { sortKey: { $lt: '2024-05-01' } },
+            { sortKey: '2024-05-01', id: { $lt: 9 } }
+        ] });
+
+        const title = await searchPipeline({ sort: 'title' }, { key: 'Beach', id: 9 });
+        assert.deepStrictEqual(stage(title.slice(1), '$match'), { $or: [
+            { sortKey: { $gt: 'Beach' } },
+            { sortKey: 'Beach', id: { $gt: 9 } }
+        ] });
+    });
+
+    test('returns where the next page starts while there are more results', async function () {
+        results = [
+            { id: 5, sortKey: 'Beach' },
+            { id: 6, sortKey: 'Canyon' },
+            { id: 2, sortKey: 'Dinner' }
+        ];
+        const page = await business.searchPhotosAfter({ text: '', sort: 'title' }, ANN, null, 2);
+        assert.deepStrictEqual(page.results.map(function (p) { return p.id; }), [5, 6]);
+        assert.deepStrictEqual(page.next, { key: 'Canyon', id: 6 });
+
+        const pipeline = calls.filter(function (c) { return c.method === 'aggregate'; }).pop().args[0];
+        assert.strictEqual(stage(pipeline, '$limit'), 3);
+    });
+
+    test('has no next page after the last result', async function () {
+        results = [{ id: 2, sortKey: 'Dinner' }];
+        const page = await business.searchPhotosAfter({ text: '', sort: 'title' }, ANN, { key: 'Canyon', id: 6 }, 2);
+        assert.strictEqual(page.results.length, 1);
+        assert.strictEqual(page.next, null);
+    });
+});
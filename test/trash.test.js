@@ -0,0 +1,216 @@
+// Tests for deleting photos: the trash, restoring from it and purging for good.
+// The database and the photo folder are replaced by an in-memory store.
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const persistence = require('../persistence');
+const business = require('../business');
+
+const ANN = 1;
+const BOB = 2;
+const MODERATOR = 3;
+const HOLIDAYS = 20;
+const FAMILY = 21;
+const PHOTO = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+let store;
+
+/**
+ * Fills the in-memory store: Ann's photo is in two albums, with a comment and its files on disk
+ */
+function resetStore() {
+    store = {
+        users: [
+            { id: ANN, name: 'Ann', role: 'user' },
+            { id: BOB, name: 'Bob', role: 'user' },
+            { id: MODERATOR, name: 'Mo', role: 'moderator' }
+        ],
+        albums: [
+            { id: HOLIDAYS, owner: ANN, name: 'Holidays' },
+            { id: FAMILY, owner: ANN, name: 'Family' }
+        ],
+        photos: [{
+            id: PHOTO,
+            owner: ANN,
+            title: 'Sunset',
+            filename: '1700000000000-a1b2c3.jpg',
+            derivatives: { thumb: { path: 'thumb/1700000000000-a1b2c3.jpg' }, large: { path: 'large/1700000000000-a1b2c3.jpg' } },
+            albums: [HOLIDAYS, FAMILY],
+            deletedAt: null
+        }],
+        comments: [{ id: 1, photoId: PHOTO, userId: BOB, text: 'Lovely' }],
+        files: ['1700000000000-a1b2c3.jpg', 'thumb/1700000000000-a1b2c3.jpg', 'large/1700000000000-a1b2c3.jpg'],
+        audit: []
+    };
+}
+
+/**
+ * Finds a record by ID in one of the store's lists
+ * @param {Array} list - List of records
+ * @param {number} id - ID
+ * @returns {Object|null} The record
+ */
+function byId(list, id) {
+    return list.find(function (item) { return item.id === id; }) || null;
+}
+
+persistence.findUserById = async function (id) { return byId(store.users, id); };
+persistence.findAlbumById = async function (id) { return byId(store.albums, id); };
+persistence.findUnsortedAlbum = async function (userId) {
+    return store.albums.find(function (a) { return a.owner === userId && a.unsorted; }) || null;
+};
+persistence.createAlbum = async function (data) {
+    const album = Object.assign({ id: 30 + store.albums.length }, data);
+    store.albums.push(album);
+    return album;
+};
+persistence.findPhotoById = async function (id) { return byId(store.photos, id); };
+persistence.trashPhoto = async function (id) { byId(store.photos, id).deletedAt = new Date(); return true; };
+persistence.restorePhoto = async function (id) { byId(store.photos, id).deletedAt = null; return true; };
+persistence.setPhotoAlbums = async function (id, albums) { byId(store.photos, id).albums = albums; return true; };
+persistence.deletePhoto = async function (id) {
+    store.photos = store.photos.filter(function (p) { return p.id !== id; });
+};
+persistence.deleteCommentsByPhotoId = async function (photoId) {
+    store.comments = store.comments.filter(function (c) { return c.photoId !== photoId; });
+};
+persistence.deletePhotoFile = async function (relativePath) {
+    const found = store.files.indexOf(relativePath) !== -1;
+    store.files = store.files.filter(function (f) { return f !== relativePath; });
+    return found;
+};
+persistence.getTrashedPhotosByOwner = async function (userId) {
+    return store.photos.filter(function (p) { return p.owner === userId && p.deletedAt; });
+};
+persistence.getTrashedPhotosBefore = async function (cutoff) {
+    return store.photos.filter(function (p) { return p.deletedAt && p.deletedAt < cutoff; });
+};
+persistence.addAuditEntry = async function (entry) {
+    store.audit.push(entry.userId + ' ' + entry.action + (entry.actorId !== entry.userId ? ' by ' + entry.actorId : ''));
+};
+
+/**
+ * Puts Ann's photo in the trash as of some time ago
+ * @param {number} [daysAgo] - Days since it was deleted
+ */
+function trashPhoto(daysAgo) {
+    byId(store.photos, PHOTO).deletedAt = new Date(Date.now() - (daysAgo || 0) * DAY);
+}
+
+beforeEach(function () {
+    resetStore();
+});
+
+describe('deletePhoto', function () {
+    test('moves the photo to the trash and keeps its comments and files', async function () {
+        const result = await business.deletePhoto(PHOTO, ANN);
+
+        assert.deepStrictEqual(result, { success: true, message: 'Photo moved to trash' });
+        assert.ok(byId(store.photos, PHOTO).deletedAt instanceof Date);
+        assert.strictEqual(store.comments.length, 1);
+        assert.strictEqual(store.files.length, 3);
+        assert.deepStrictEqual(store.audit, ['1 photo_deleted']);
+    });
+
+    test('lets only the owner delete a photo', async function () {
+        const result = await business.deletePhoto(PHOTO, BOB);
+        assert.strictEqual(result.message, 'You do not have permission to delete this photo');
+        assert.strictEqual(byId(store.photos, PHOTO).deletedAt, null);
+    });
+
+    test('lists the trash with the date each photo will be purged', async function () {
+        byId(store.photos, PHOTO).deletedAt = new Date(2024, 2, 1, 12);
+        const trash = await business.getTrash(ANN);
+        assert.strictEqual(trash.length, 1);
+        assert.strictEqual(trash[0].purgeDate, 'March 31, 2024');
+    });
+});
+
+describe('restorePhoto', function () {
+    test('puts the photo back in its albums', async function () {
+        trashPhoto();
+        const result = await business.restorePhoto(PHOTO, ANN);
+
+        assert.deepStrictEqual(result, { success: true, message: 'Photo restored', albumId: HOLIDAYS });
+        assert.strictEqual(byId(store.photos, PHOTO).deletedAt, null);
+        assert.deepStrictEqual(byId(store.photos, PHOTO).albums, [HOLIDAYS, FAMILY]);
+    });
+
+    test('drops albums deleted in the meantime', async function () {
+        trashPhoto();
+        store.albums = store.albums.filter(function (a) { return a.id !== HOLIDAYS; });
+
+        const result = await business.restorePhoto(PHOTO, ANN);
+        assert.strictEqual(result.albumId, FAMILY);
+        assert.deepStrictEqual(byId(store.photos, PHOTO).albums, [FAMILY]);
+    });
+
+    test('puts a photo whose albums are all gone in the owner\'s Unsorted album', async function () {
+        trashPhoto();
+        store.albums = [];
+
+        const result = await business.restorePhoto(PHOTO, ANN);
+        const unsorted = store.albums[0];
+        assert.strictEqual(unsorted.name, 'Unsorted');
+        assert.strictEqual(unsorted.owner, ANN);
+        assert.strictEqual(result.albumId, unsorted.id);
+        assert.deepStrictEqual(byId(store.photos, PHOTO).albums, [unsorted.id]);
+    });
+
+    test('restores only trashed photos, and only for their owner', async function () {
+        assert.strictEqual((await business.restorePhoto(PHOTO, ANN)).message, 'Photo not found in trash');
+
+        trashPhoto();
+        assert.strictEqual((await business.restorePhoto(PHOTO, BOB)).message, 'You do not have permission to restore this photo');
+        assert.notStrictEqual(byId(store.photos, PHOTO).deletedAt, null);
+    });
+});
+
+describe('purgePhoto', function () {
+    test('removes the photo, its comments, its file and its derivatives', async function () {
+        trashPhoto();
+        const result = await business.purgePhoto(PHOTO, ANN);
+
+        assert.deepStrictEqual(result, { success: true, message: 'Photo permanently deleted' });
+        assert.deepStrictEqual(store.photos, []);
+        assert.deepStrictEqual(store.comments, []);
+        assert.deepStrictEqual(store.files, []);
+        assert.deepStrictEqual(store.audit, ['1 photo_purged']);
+    });
+
+    test('makes owners put a photo in the trash first', async function () {
+        const result = await business.purgePhoto(PHOTO, ANN);
+        assert.strictEqual(result.message, 'Photo not found in trash');
+        assert.strictEqual(store.photos.length, 1);
+        assert.strictEqual(store.files.length, 3);
+    });
+
+    test('refuses other users', async function () {
+        trashPhoto();
+        const result = await business.purgePhoto(PHOTO, BOB);
+        assert.strictEqual(result.message, 'You do not have permission to delete this photo');
+        assert.strictEqual(store.photos.length, 1);
+    });
+
+    test('lets moderators remove a photo that is not in the trash, recorded in the owner\'s log', async function () {
+        const result = await business.purgePhoto(PHOTO, MODERATOR);
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(store.photos, []);
+        assert.deepStrictEqual(store.audit, ['1 photo_removed by 3']);
+    });
+});
+
+describe('purgeExpiredTrash', function () {
+    test('purges the photos trashed longer ago than the retention window', async function () {
+        trashPhoto(business.TRASH_RETENTION_DAYS + 1);
+        store.photos.push({ id: PHOTO + 1, owner: ANN, title: 'Beach', filename: 'recent.jpg', albums: [HOLIDAYS], deletedAt: new Date(Date.now() - (business.TRASH_RETENTION_DAYS - 1) * DAY) });
+        store.files.push('recent.jpg');
+
+        assert.strictEqual(await business.purgeExpiredTrash(), 1);
+        assert.deepStrictEqual(store.photos.map(function (p) { return p.id; }), [PHOTO + 1]);
+        assert.deepStrictEqual(store.files, ['recent.jpg']);
+        assert.deepStrictEqual(store.comments, []);
+        assert.deepStrictEqual(store.audit, ['1 photo_purged']);
+    });
+});
@@ -0,0 +1,196 @@
+// Tests for uploads: checking the real image type from the file contents,
+// naming the stored file and refusing the same image twice in an album.
+// Uploads go to a temporary folder and the database is replaced by an in-memory store.
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const images = require('../images');
+const persistence = require('../persistence');
+const business = require('../business');
+
+const ANN = 1;
+const BOB = 2;
+const ALBUM = 20;
+const OTHER_ALBUM = 21;
+
+let dir;
+let albums;
+let photos;
+
+persistence.getPhotoFilePath = function (relativePath) { return path.join(dir, relativePath); };
+persistence.renamePhotoFile = async function (fromPath, toPath) {
+    await fs.promises.rename(path.join(dir, fromPath), path.join(dir, toPath));
+};
+persistence.deletePhotoFile = async function (relativePath) {
+    await fs.promises.rm(path.join(dir, relativePath), { force: true });
+};
+persistence.findAlbumById = async function (id) {
+    return albums.find(function (a) { return a.id === id; }) || null;
+};
+persistence.findPhotoByHashInAlbum = async function (contentHash, albumId) {
+    return photos.find(function (p) { return p.contentHash === contentHash && p.albums.indexOf(albumId) !== -1; }) || null;
+};
+persistence.createPhoto = async function (data) {
+    const photo = Object.assign({ id: 100 + photos.length, deletedAt: null }, data);
+    photos.push(photo);
+    return photo;
+};
+
+/**
+ * Creates a small solid-colour image
+ * @param {string} format - 'jpeg', 'png', 'gif' or 'webp'
+ * @param {string} [colour] - Background colour
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function createImage(format, colour) {
+    return sharp({ create: { width: 40, height: 30, channels: 3, background: colour || '#336699' } })[format]().toBuffer();
+}
+
+/**
+ * Writes a file to the upload folder, as multer would under a generated name
+ * @param {string} name - File name
+ * @param {Buffer|string} data - File contents
+ * @returns {Promise<string>} The name
+ */
+async function receive(name, data) {
+    await fs.promises.writeFile(path.join(dir, name), data);
+    return name;
+}
+
+/**
+ * Checks whether a file is in the upload folder
+ * @param {string} relativePath - Path inside the folder
+ * @returns {boolean} True if it exists
+ */
+function stored(relativePath) {
+    return fs.existsSync(path.join(dir, relativePath));
+}
+
+before(async function () {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'catalog-uploads-'));
+    persistence.PHOTO_DIR = dir;
+});
+
+after(async function () {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(function () {
+    albums = [
+        { id: ALBUM, owner: ANN, name: 'Holidays' },
+        { id: OTHER_ALBUM, owner: ANN, name: 'Best of' }
+    ];
+    photos = [];
+});
+
+describe('detectImageType', function () {
+    test('recognises each supported format from its first bytes', async function () {
+        const formats = ['jpeg', 'png', 'gif', 'webp'];
+        for (let i = 0; i < formats.length; i++) {
+            const filePath = path.join(dir, await receive('sniff-' + formats[i], await createImage(formats[i])));
+            assert.strictEqual(await images.detectImageType(filePath), formats[i]);
+        }
+    });
+
+    test('does not go by the file name', async function () {
+        const png = path.join(dir, await receive('really-a-png.jpg', await createImage('png')));
+        assert.strictEqual(await images.detectImageType(png), 'png');
+
+        const script = path.join(dir, await receive('photo.jpg', '<script>alert(1)</script>'));
+        assert.strictEqual(await images.detectImageType(script), null);
+    });
+
+    test('refuses files too short to carry a signature', async function () {
+        const filePath = path.join(dir, await receive('short', Buffer.from([0xFF, 0xD8])));
+        assert.strictEqual(await images.detectImageType(filePath), null);
+    });
+});
+
+describe('uploadPhoto', function () {
+    test('stores the file under its generated name with the extension of its real type', async function () {
+        const data = await createImage('png');
+        const filename = await receive('1700000000000-a1b2c3', data);
+
+        const result = await business.uploadPhoto(ALBUM, ANN, filename, { originalName: '../../holiday.jpg' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.photo.filename, '1700000000000-a1b2c3.png');
+        assert.strictEqual(result.photo.originalName, '../../holiday.jpg');
+        assert.strictEqual(result.photo.contentHash, await images.hashFile(path.join(dir, result.photo.filename)));
+        assert.strictEqual(result.photo.derivatives.thumb.path, 'thumb/1700000000000-a1b2c3.jpg');
+        assert.strictEqual(stored(filename), false);
+        assert.strictEqual(stored(result.photo.filename), true);
+    });
+
+    test('refuses a file that is not an image and removes it', async function () {
+        const filename = await receive('1700000000001-d4e5f6', 'GIF8 not really');
+
+        const result = await business.uploadPhoto(ALBUM, ANN, filename, { originalName: 'cat.gif' });
+
+        assert.deepStrictEqual(result, { success: false, message: 'Not a supported image (JPEG, PNG, GIF, WebP)' });
+        assert.strictEqual(stored(filename), false);
+        assert.strictEqual(photos.length, 0);
+    });
+
+    test('removes the file when the user cannot add to the album', async function () {
+        const filename = await receive('1700000000002-a7b8c9', await createImage('jpeg'));
+
+        const result = await business.uploadPhoto(ALBUM, BOB, filename, {});
+
+        assert.strictEqual(result.message, 'You cannot add photos to this album');
+        assert.strictEqual(stored(filename), false);
+    });
+});
+
+describe('duplicate detection', function () {
+    test('refuses the same image twice in an album and points to the copy already there', async function () {
+        const data = await createImage('jpeg');
+        const first = await business.uploadPhoto(ALBUM, ANN, await receive('1700000000010-first', data), {});
+        const filename = await receive('1700000000011-second', data);
+
+        const result = await business.uploadPhoto(ALBUM, ANN, filename, { originalName: 'copy.jpg' });
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.message, 'This image is already in the album');
+        assert.strictEqual(result.duplicateOf, first.photo.id);
+        assert.strictEqual(stored(filename), false);
+        assert.strictEqual(stored(first.photo.filename), true);
+        assert.strictEqual(photos.length, 1);
+    });
+
+    test('accepts the same image in another album, and a different image in the same one', async function () {
+        const data = await createImage('jpeg');
+        await business.uploadPhoto(ALBUM, ANN, await receive('1700000000020-first', data), {});
+
+        const otherAlbum = await business.uploadPhoto(OTHER_ALBUM, ANN, await receive('1700000000021-again', data), {});
+        assert.strictEqual(otherAlbum.success, true);
+
+        const different = await business.uploadPhoto(ALBUM, ANN, await receive('1700000000022-red', await createImage('jpeg', '#cc3333')), {});
+        assert.strictEqual(different.success, true);
+    });
+
+    test('reports each file of a batch on its own and numbers only the photos created', async function () {
+        const data = await createImage('jpeg');
+        const files = [
+            { filename: await receive('1700000000030-a', data), originalName: 'a.jpg' },
+            { filename: await receive('1700000000031-b', data), originalName: 'b.jpg' },
+            { originalName: 'huge.jpg', error: 'File is too large' },
+            { filename: await receive('1700000000032-c', await createImage('webp', '#33cc33')), originalName: 'c.webp' }
+        ];
+
+        const results = await business.uploadPhotos(ALBUM, ANN, files, { titlePrefix: 'Trip' });
+
+        assert.deepStrictEqual(results.map(function (r) { return r.originalName + ': ' + r.message; }), [
+            'a.jpg: Photo uploaded successfully',
+            'b.jpg: This image is already in the album',
+            'huge.jpg: File is too large',
+            'c.webp: Photo uploaded successfully'
+        ]);
+        assert.strictEqual(results[1].duplicateOf, results[0].photo.id);
+        assert.deepStrictEqual(photos.map(function (p) { return p.title; }), ['Trip 1', 'Trip 2']);
+    });
+});
@@ -0,0 +1,193 @@
+// Tests for who may see and comment on a photo, in code and in the database filter.
+// The MongoDB client is replaced so the queries persistence builds can be inspected.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { MongoClient } = require('mongodb');
+const business = require('../business');
+const persistence = require('../persistence');
+
+const OWNER = 1;
+const FRIEND = 2;
+const STRANGER = 3;
+const GROUP = 10;
+const ALBUM = 20;
+
+// Share access of each user, as getShareAccess builds it. The friend is in the
+// owner's group and has the owner's album shared with them.
+const ACCESS = {
+    [OWNER]: { userId: OWNER, groupIds: [], albums: {} },
+    [FRIEND]: { userId: FRIEND, groupIds: [GROUP], albums: { [ALBUM]: { owner: OWNER, permission: 'view' } } },
+    [STRANGER]: { userId: STRANGER, groupIds: [], albums: {} }
+};
+
+/**
+ * Builds a photo of the owner, with the fields every stored photo has
+ * @param {number} id - Photo ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Photo
+ */
+function photo(id, fields) {
+    return Object.assign({ id: id, owner: OWNER, visibility: 'private', albums: [], shares: [], hiddenAt: null, deletedAt: null }, fields);
+}
+
+const PHOTOS = [
+    photo(1, { visibility: 'public' }),
+    photo(2, {}),
+    photo(3, { visibility: 'shared', shares: [{ type: 'user', id: FRIEND, permission: 'comment' }] }),
+    photo(4, { visibility: 'shared', shares: [{ type: 'group', id: GROUP, permission: 'view' }] }),
+    photo(5, { albums: [ALBUM] }),
+    photo(6, { visibility: 'public', hiddenAt: new Date() }),
+    photo(7, { visibility: 'public', deletedAt: new Date() }),
+    photo(8, { visibility: 'private', shares: [{ type: 'user', id: FRIEND, permission: 'comment' }] }),
+    photo(9, { owner: STRANGER, albums: [ALBUM] }),
+    photo(10, { visibility: 'shared', albums: [ALBUM], shares: [{ type: 'user', id: FRIEND, permission: 'comment' }] })
+];
+
+// Aggregation pipelines sent to the stand-in database, oldest first
+const pipelines = [];
+
+const emptyCursor = {
+    sort: function () { return this; },
+    limit: function () { return this; },
+    toArray: async function () { return []; }
+};
+
+const fakeCollection = {
+    createIndex: async function () {},
+    updateOne: async function () {},
+    countDocuments: async function () { return 0; },
+    find: function () { return emptyCursor; },
+    aggregate: function (pipeline) {
+        pipelines.push(pipeline);
+        return emptyCursor;
+    }
+};
+
+MongoClient.prototype.connect = async function () { return this; };
+MongoClient.prototype.db = function () {
+    return { collection: function () { return fakeCollection; } };
+};
+
+/**
+ * Checks whether a stored value satisfies one field condition of a MongoDB filter.
+ * Supports the operators visibleToUserFilter uses.
+ * @param {*} value - Field value of the document
+ * @param {*} condition - Condition from the filter
+ * @returns {boolean} True if the value matches
+ */
+function matchesCondition(value, condition) {
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+        if (condition.$in) {
+            return condition.$in.some(function (item) { return matchesCondition(value, item); });
+        }
+        if (condition.$elemMatch) {
+            return Array.isArray(value) && value.some(function (item) { return matchesFilter(item, condition.$elemMatch); });
+        }
+        throw new Error('Unsupported condition: ' + JSON.stringify(condition));
+    }
+    if (Array.isArray(value)) {
+        return value.indexOf(condition) !== -1;
+    }
+    // null matches both null and missing fields
+    return condition === null ? value === null || value === undefined : value === condition;
+}
+
+/**
+ * Checks whether a document matches a MongoDB filter
+ * @param {Object} doc - Document
+ * @param {Object} filter - Filter
+ * @returns {boolean} True if the document matches
+ */
+function matchesFilter(doc, filter) {
+    return Object.keys(filter).every(function (key) {
+        if (key === '$or') {
+            return filter.$or.some(function (branch) { return matchesFilter(doc, branch); });
+        }
+        return matchesCondition(doc[key], filter[key]);
+    });
+}
+
+/**
+ * Lists the IDs of the test photos a permission check lets through
+ * @param {Function} check - Called with each photo
+ * @returns {Array<number>} Photo IDs
+ */
+function idsWhere(check) {
+    return PHOTOS.filter(check).map(function (p) { return p.id; });
+}
+
+describe('canViewPhoto and canCommentOnPhoto', function () {
+    test('let owners see and comment on their photos, even hidden by a moderator', function () {
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[1], OWNER, ACCESS[OWNER]), true);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[5], OWNER, ACCESS[OWNER]), true);
+    });
+
+    test('let anyone see public photos', function () {
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[0], STRANGER, ACCESS[STRANGER]), true);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[0], null), true);
+    });
+
+    test('hide private, hidden and deleted photos from everyone else', function () {
+        assert.strictEqual(business.canViewPhoto(PHOTOS[1], FRIEND, ACCESS[FRIEND]), false);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[5], FRIEND, ACCESS[FRIEND]), false);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[6], OWNER, ACCESS[OWNER]), false);
+    });
+
+    test('follow the permission of a share with the user or one of their groups', function () {
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[2], FRIEND, ACCESS[FRIEND]), true);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[3], FRIEND, ACCESS[FRIEND]), true);
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[3], FRIEND, ACCESS[FRIEND]), false);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[2], STRANGER, ACCESS[STRANGER]), false);
+    });
+
+    test('ignore the share list of a photo that is not shared', function () {
+        assert.strictEqual(business.canViewPhoto(PHOTOS[7], FRIEND, ACCESS[FRIEND]), false);
+    });
+
+    test('apply shares of albums owned by the photo owner only', function () {
+        assert.strictEqual(business.canViewPhoto(PHOTOS[4], FRIEND, ACCESS[FRIEND]), true);
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[4], FRIEND, ACCESS[FRIEND]), false);
+        assert.strictEqual(business.canViewPhoto(PHOTOS[8], FRIEND, ACCESS[FRIEND]), false);
+    });
+
+    test('keep the stronger of a photo share and an album share', function () {
+        assert.strictEqual(business.canCommentOnPhoto(PHOTOS[9], FRIEND, ACCESS[FRIEND]), true);
+    });
+
+    test('leave editing to the owner', function () {
+        assert.strictEqual(business.canEditPhoto(PHOTOS[2], OWNER), true);
+        assert.strictEqual(business.canEditPhoto(PHOTOS[2], FRIEND), false);
+    });
+});
+
+/**
+ * Runs a search with no criteria against a stand-in database and returns the
+ * filter of its first $match stage, which is the visibility filter
+ * @param {Object} access - Share access of the user searching
+ * @returns {Promise<Object>} MongoDB filter
+ */
+async function searchFilter(access) {
+    await persistence.searchPhotos({}, access, 0, 10);
+    return pipelines[pipelines.length - 1][0].$match;
+}
+
+describe('search visibility', function () {
+    test('finds the photos canViewPhoto lets each user see', async function () {
+        const userIds = [OWNER, FRIEND, STRANGER];
+        for (let i = 0; i < userIds.length; i++) {
+            const access = ACCESS[userIds[i]];
+            const filter = await searchFilter(access);
+            assert.deepStrictEqual(
+                idsWhere(function (p) { return matchesFilter(p, filter); }),
+                idsWhere(function (p) { return business.canViewPhoto(p, userIds[i], access); }),
+                'user ' + userIds[i]
+            );
+        }
+    });
+
+    test('shows the friend public, shared and album photos only', async function () {
+        const filter = await searchFilter(ACCESS[FRIEND]);
+        assert.deepStrictEqual(idsWhere(function (p) { return matchesFilter(p, filter); }), [1, 3, 4, 5, 10]);
+    });
+});